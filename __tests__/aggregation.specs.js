@@ -125,8 +125,14 @@ describe('aggregation', () => {
   });
 
   test('rate', async () => {
-    const expected = [[10, 1], [20, 1], [30, 1], [40, 1]];
-    await testAggregation('rate', expected);
+    await insertAggregationData(TIMESERIES_KEY);
+    const actual = await runAggregation(TIMESERIES_KEY, 10, 50, 'rate');
+    // the values of each bucket drop 3 times (counter resets), and span 9 time units
+    const expected = [[10, 602 / 9], [20, 902 / 9], [30, 1202 / 9], [40, 1502 / 9]];
+    actual.forEach(([ts, rate], i) => {
+      expect(ts).toEqual(expected[i][0]);
+      expect(rate).toBeCloseTo(expected[i][1]);
+    });
   });
 
   test('first', async () => {
@@ -0,0 +1,131 @@
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:buckets';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+describe('time buckets', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  function insertTimestamps(timestamps) {
+    return ts.bulkAdd(TIMESERIES_KEY, timestamps.map((t, i) => [t, { value: i + 1 }]));
+  }
+
+  async function countBuckets(min, max, ...args) {
+    const range = await ts.range(TIMESERIES_KEY, min, max, 'AGGREGATION', ...args);
+    return range.map(({ timestamp, values }) => [timestamp, values.value.count]);
+  }
+
+  describe('ALIGN', () => {
+    beforeEach(() => insertTimestamps([3, 5, 8, 12, 14, 21]));
+
+    it('should align buckets to 0 by default', async () => {
+      expect(await countBuckets(3, 21, 5, 'count(value)')).toEqual([[0, 1], [5, 2], [10, 2], [20, 1]]);
+    });
+
+    it('should align buckets to the start of the range', async () => {
+      expect(await countBuckets(3, 21, 5, 'count(value)', 'ALIGN', 'start')).toEqual([[3, 2], [8, 2], [13, 1], [18, 1]]);
+      expect(await countBuckets('-', '+', 5, 'count(value)', 'ALIGN', '-')).toEqual([[3, 2], [8, 2], [13, 1], [18, 1]]);
+    });
+
+    it('should align buckets to the end of the range', async () => {
+      expect(await countBuckets(3, 20, 5, 'count(value)', 'ALIGN', 'end')).toEqual([[0, 1], [5, 2], [10, 2]]);
+      expect(await countBuckets('-', '+', 5, 'count(value)', 'ALIGN', 'end')).toEqual([[1, 2], [6, 1], [11, 2], [21, 1]]);
+    });
+
+    it('should align buckets to a timestamp', async () => {
+      expect(await countBuckets('-', '+', 10, 'count(value)', 'ALIGN', 4)).toEqual([[-6, 1], [4, 3], [14, 2]]);
+    });
+
+    it('should align filled buckets', async () => {
+      const range = await ts.range(TIMESERIES_KEY, 0, 29, 'AGGREGATION', 10, 'sum(value)', 'ALIGN', 2, 'FILL', 0);
+      expect(range.map(x => [x.timestamp, x.values.value.sum])).toEqual([[-8, 0], [2, 6], [12, 15], [22, 0]]);
+    });
+  });
+
+  describe('calendar units', () => {
+    const jan31 = Date.UTC(2024, 0, 31, 22);
+    const feb1 = Date.UTC(2024, 1, 1, 10);
+    const feb29 = Date.UTC(2024, 1, 29, 23);
+    const mar4 = Date.UTC(2024, 2, 4, 12);
+
+    beforeEach(() => insertTimestamps([jan31, feb1, feb29, mar4]));
+
+    it('should accept fixed durations', async () => {
+      expect(await countBuckets('-', '+', '1d', 'count(value)')).toEqual([
+        [Date.UTC(2024, 0, 31), 1], [Date.UTC(2024, 1, 1), 1], [Date.UTC(2024, 1, 29), 1], [Date.UTC(2024, 2, 4), 1]
+      ]);
+      expect(await countBuckets('-', '+', '24h', 'count(value)')).toEqual(await countBuckets('-', '+', DAY, 'count(value)'));
+    });
+
+    it('should start weeks on Monday', async () => {
+      // Monday 29 January and 26 February, 4 March
+      expect(await countBuckets('-', '+', '1w', 'count(value)')).toEqual([
+        [Date.UTC(2024, 0, 29), 2], [Date.UTC(2024, 1, 26), 1], [Date.UTC(2024, 2, 4), 1]
+      ]);
+    });
+
+    it('should bucket by calendar months', async () => {
+      expect(await countBuckets('-', '+', '1M', 'count(value)')).toEqual([
+        [Date.UTC(2024, 0, 1), 1], [Date.UTC(2024, 1, 1), 2], [Date.UTC(2024, 2, 1), 1]
+      ]);
+      expect(await countBuckets('-', '+', '1y', 'count(value)')).toEqual([[Date.UTC(2024, 0, 1), 4]]);
+    });
+
+    it('should bucket in a timezone', async () => {
+      // 31 January 22:00 UTC is 1 February in +02:00, and 29 February 23:00 UTC is 1 March
+      expect(await countBuckets('-', '+', '1M', 'count(value)', 'TIMEZONE', '+02:00')).toEqual([
+        [Date.UTC(2024, 0, 31, 22), 2], [Date.UTC(2024, 1, 29, 22), 2]
+      ]);
+      expect(await countBuckets('-', '+', '1d', 'count(value)', 'TIMEZONE', '-0500')).toEqual([
+        [Date.UTC(2024, 0, 31, 5), 1], [Date.UTC(2024, 1, 1, 5), 1], [Date.UTC(2024, 1, 29, 5), 1], [Date.UTC(2024, 2, 4, 5), 1]
+      ]);
+    });
+
+    it('should compute rates within each month', async () => {
+      // January and March hold a single sample
+      const range = await ts.range(TIMESERIES_KEY, '-', '+', 'AGGREGATION', '1M', 'rate(value, 1d)');
+      expect(range.map(x => x.timestamp)).toEqual([Date.UTC(2024, 1, 1)]);
+      expect(range[0].values.value.rate).toBeCloseTo(DAY / (feb29 - feb1));
+    });
+
+    it('should fill calendar buckets', async () => {
+      const range = await ts.range(TIMESERIES_KEY, Date.UTC(2023, 10, 15), mar4, 'AGGREGATION', '1M', 'count(value)', 'FILL', 0);
+      expect(range.map(x => [new Date(x.timestamp).toISOString().slice(0, 7), x.values.value.count])).toEqual([
+        ['2023-11', 0], ['2023-12', 0], ['2024-01', 1], ['2024-02', 2], ['2024-03', 1]
+      ]);
+    });
+
+    it('should store calendar buckets with copy', async () => {
+      const dest = `${TIMESERIES_KEY}:monthly`;
+      await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', '1M', 'sum(value)', 'TIMEZONE', '+02:00');
+      expect(await ts.range(dest, '-', '+')).toEqual([
+        { timestamp: Date.UTC(2024, 0, 31, 22), values: { value_sum: 3 } },
+        { timestamp: Date.UTC(2024, 1, 29, 22), values: { value_sum: 7 } }
+      ]);
+    });
+  });
+
+  it('should validate the options', async () => {
+    await insertTimestamps([1, 2]);
+    const check = (args, error) => expect(ts.range(TIMESERIES_KEY, '-', '+', ...args)).rejects.toThrow(error);
+
+    await check(['AGGREGATION', '1x', 'count(value)'], /timeBucket must be a number or a duration/);
+    await check(['AGGREGATION', '0d', 'count(value)'], /timeBucket must be > 0/);
+    await check(['AGGREGATION', '1M', 'count(value)', 'ALIGN', 'start'], /ALIGN is not supported/);
+    await check(['AGGREGATION', 10, 'count(value)', 'ALIGN', 'middle'], /ALIGN: expecting/);
+    await check(['AGGREGATION', '1d', 'count(value)', 'TIMEZONE', 'Europe/Paris'], /TIMEZONE: expecting/);
+    await check(['ALIGN', 'start'], /ALIGN requires AGGREGATION/);
+  });
+
+});
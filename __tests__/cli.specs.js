@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { main, parseArgs, formatTable } = require('../lib/cli');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:cli';
+
+describe('cli', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  function capture() {
+    const stream = new PassThrough();
+    stream.text = '';
+    stream.on('data', chunk => { stream.text += chunk; });
+    return stream;
+  }
+
+  async function run(argv, stdin = Readable.from([])) {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await main(argv.map(String), { stdin, stdout, stderr, createClient: () => client.duplicate() });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  }
+
+  async function insertData(count = 5) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      samples.push([start_ts + i, { id: i, value: i * 10 }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, samples);
+    return samples.map(([timestamp, values]) => ({ timestamp, values }));
+  }
+
+  describe('parseArgs', () => {
+    it('should separate flags from arguments', () => {
+      const actual = parseArgs(['-o', 'json', 'range', 'key', '-', '+', '--mode=function', 'FILTER', 'id>2']);
+      expect(actual).toEqual({
+        flags: { output: 'json', mode: 'function' },
+        command: 'range',
+        args: ['key', '-', '+', 'FILTER', 'id>2']
+      });
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => parseArgs(['--bogus', 'size', 'key'])).toThrow(/unknown option/);
+      expect(() => parseArgs(['size', 'key', '--url'])).toThrow(/requires a value/);
+      expect(() => parseArgs(['-o', 'xml', 'size', 'key'])).toThrow(/--output/);
+    });
+  });
+
+  describe('formatTable', () => {
+    it('should render a column per field', () => {
+      const actual = formatTable([
+        { timestamp: 1000, values: { id: 1, name: 'alpha' } },
+        { timestamp: 2000, values: { id: 20, active: true } }
+      ]);
+      expect(actual).toEqual([
+        'timestamp  id  name   active',
+        '---------  --  -----  ------',
+        '1000       1   alpha',
+        '2000       20         true',
+        ''
+      ].join('\n'));
+    });
+
+    it('should flatten aggregated values', () => {
+      const actual = formatTable([{ timestamp: 1000, values: { value: { avg: 2.5, max: 4 } } }]);
+      expect(actual.split('\n')[0]).toEqual('timestamp  value.avg  value.max');
+    });
+  });
+
+  it('should run commands', async () => {
+    let result = await run(['add', TIMESERIES_KEY, start_ts, 'id', '1', 'name', 'alpha']);
+    expect(result).toEqual({ code: 0, stdout: `${start_ts}\n`, stderr: '' });
+
+    result = await run(['size', TIMESERIES_KEY]);
+    expect(result.stdout).toEqual('1\n');
+
+    result = await run(['get', TIMESERIES_KEY, start_ts, '--output', 'json']);
+    expect(JSON.parse(result.stdout)).toEqual({ id: 1, name: 'alpha' });
+
+    result = await run(['INCRBY', TIMESERIES_KEY, start_ts, 'id', '5']);
+    expect(JSON.parse(result.stdout)).toEqual([6]);
+  });
+
+  it('should print ranges as a table', async () => {
+    await insertData();
+
+    const { code, stdout } = await run(['range', TIMESERIES_KEY, '-', '+', 'FILTER', 'id>=3']);
+    expect(code).toEqual(0);
+    expect(stdout.split('\n')).toEqual([
+      'timestamp   id  value',
+      '----------  --  -----',
+      `${start_ts + 3}  3   30`,
+      `${start_ts + 4}  4   40`,
+      ''
+    ]);
+  });
+
+  it('should print ranges as json', async () => {
+    const data = await insertData();
+
+    const { stdout } = await run(['-o', 'json', 'scan', TIMESERIES_KEY, '-', '+', 'COUNT', '2']);
+    expect(JSON.parse(stdout)).toEqual(data);
+  });
+
+  it('should export and import series', async () => {
+    const data = await insertData();
+    const file = path.join(os.tmpdir(), `ts-lex-${process.pid}.ndjson`);
+
+    try {
+      let result = await run(['export', TIMESERIES_KEY, '-', '+', 'FILTER', 'id>0', '--file', file]);
+      expect(result.code).toEqual(0);
+      expect(result.stderr).toEqual('exported 4 samples\n');
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line))).toEqual(data.slice(1));
+
+      result = await run(['import', `${TIMESERIES_KEY}:copy`, '-f', file, '-b', '2']);
+      expect(result.stderr).toEqual('imported 4 samples\n');
+      expect(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+')).toEqual(data.slice(1));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should print the results of mrange per series', async () => {
+    await insertData(2);
+    await ts.setLabels(TIMESERIES_KEY, { region: 'eu' });
+
+    const { stdout } = await run(['mrange', '-', '+', 'LABELS', 'value', 'MATCH', 'region=eu', 'LIMIT', 0, 1]);
+    expect(stdout.split('\n')).toEqual([
+      `${TIMESERIES_KEY} {"region":"eu"}`,
+      'timestamp   value',
+      '----------  -----',
+      `${start_ts}  0`,
+      ''
+    ]);
+  });
+
+  it('should export csv', async () => {
+    await insertData(2);
+
+    let result = await run(['export', TIMESERIES_KEY, '--format', 'csv']);
+    expect(result.stdout.split('\n')).toEqual(['timestamp,id,value', `${start_ts},0,0`, `${start_ts + 1},1,10`, '']);
+
+    result = await run(['export', TIMESERIES_KEY, 'LABELS', 'value', '--format', 'csv']);
+    expect(result.stdout.split('\n')).toEqual(['timestamp,value', `${start_ts},0`, `${start_ts + 1},10`, '']);
+
+    result = await run(['export', TIMESERIES_KEY, start_ts + 1, 'LABELS', 'value', '--format', 'csv']);
+    expect(result.stdout.split('\n')).toEqual(['timestamp,value', `${start_ts + 1},10`, '']);
+  });
+
+  it('should import from stdin', async () => {
+    const input = Readable.from([
+      `{"timestamp":${start_ts},"values":{"id":1}}\n`,
+      `\n[${start_ts + 1},{"id":2}]\n`
+    ]);
+
+    const result = await run(['import', TIMESERIES_KEY], input);
+    expect(result.code).toEqual(0);
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(2);
+  });
+
+  it('should report invalid input', async () => {
+    const input = Readable.from([`{"timestamp":${start_ts},"values":{"id":1}}\n`, 'bogus\n']);
+
+    const result = await run(['import', TIMESERIES_KEY], input);
+    expect(result.code).toEqual(1);
+    expect(result.stderr).toMatch(/invalid JSON on line 2/);
+  });
+
+  it('should report errors', async () => {
+    let result = await run(['bogus', TIMESERIES_KEY]);
+    expect(result.code).toEqual(1);
+    expect(result.stderr).toMatch(/unknown command "bogus"/);
+
+    result = await run(['range', TIMESERIES_KEY]);
+    expect(result.code).toEqual(1);
+    expect(result.stderr).toMatch(/expected at least 3/);
+
+    result = await run(['count', TIMESERIES_KEY, '-', '+', 'FILTER', 'id']);
+    expect(result.code).toEqual(1);
+    expect(result.stderr).toMatch(/FILTER/);
+  });
+
+  it('should print usage', async () => {
+    const result = await run(['--help']);
+    expect(result.code).toEqual(0);
+    expect(result.stdout).toMatch(/^Usage: ts-lex/);
+  });
+
+});
@@ -0,0 +1,128 @@
+const TimeSeries = require('../index');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:client';
+const DEST_KEY = 'ts:client:dest';
+
+describe('TimeSeries client', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885909;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertData(key = TIMESERIES_KEY) {
+    const samples = [];
+    for (let i = 0; i < 10; i++) {
+      samples.push([start_ts + i, { value: (i + 1) * 10, name: `item-${i}` }]);
+    }
+    await ts.bulkAdd(key, samples);
+    return samples.map(([timestamp, values]) => ({ timestamp, values }));
+  }
+
+  it('requires a redis client', () => {
+    expect(() => new TimeSeries()).toThrow();
+  });
+
+  it('should add and get a value', async () => {
+    const data = { beers: 30, brand: 'Polar' };
+    const timestamp = await ts.add(TIMESERIES_KEY, start_ts, data);
+
+    expect(parseInt(timestamp)).toEqual(start_ts);
+
+    const actual = await ts.get(TIMESERIES_KEY, start_ts);
+    expect(actual).toEqual(data);
+  });
+
+  it('should bulkAdd values', async () => {
+    const samples = await insertData();
+
+    const size = await ts.size(TIMESERIES_KEY);
+    expect(size).toEqual(samples.length);
+
+    const span = await ts.span(TIMESERIES_KEY);
+    expect(span).toEqual([start_ts, start_ts + samples.length - 1]);
+  });
+
+  it('should return a range', async () => {
+    const samples = await insertData();
+
+    const range = await ts.range(TIMESERIES_KEY, '-', '+');
+    expect(range).toEqual(samples);
+
+    const reversed = await ts.revrange(TIMESERIES_KEY, '-', '+');
+    expect(reversed).toEqual(samples.slice().reverse());
+
+    // revrange takes min, max as range does, and includes both
+    const bounded = await ts.revrange(TIMESERIES_KEY, start_ts + 2, start_ts + 5);
+    expect(bounded).toEqual(samples.slice(2, 6).reverse());
+    expect(await ts.revrange(TIMESERIES_KEY, `(${start_ts + 2}`, start_ts + 5)).toEqual(samples.slice(3, 6).reverse());
+    expect(await ts.revrange(TIMESERIES_KEY, start_ts + 5, start_ts + 2)).toEqual([]);
+
+    const filtered = await ts.range(TIMESERIES_KEY, '-', '+', 'FILTER', 'value>50', 'LABELS', 'value');
+    expect(filtered.map(x => x.values.value)).toEqual([60, 70, 80, 90, 100]);
+  });
+
+  it('should return an aggregated range', async () => {
+    await insertData();
+
+    const response = await ts.range(TIMESERIES_KEY, start_ts, start_ts + 9, 'AGGREGATION', 100, 'max(value)');
+    expect(response.length).toEqual(1);
+    expect(response[0].values.value.max).toEqual(100);
+  });
+
+  it('should support set, incrBy, exists and del', async () => {
+    await ts.set(TIMESERIES_KEY, start_ts, { count: 1, name: 'first' });
+    const incremented = await ts.incrBy(TIMESERIES_KEY, start_ts, { count: 4 });
+    expect(incremented).toEqual([5]);
+
+    expect(await ts.exists(TIMESERIES_KEY, start_ts)).toBe(true);
+
+    const deleted = await ts.del(TIMESERIES_KEY, start_ts);
+    expect(deleted).toEqual(1);
+    expect(await ts.exists(TIMESERIES_KEY, start_ts)).toBe(false);
+  });
+
+  it('should pop values', async () => {
+    const samples = await insertData();
+
+    const value = await ts.pop(TIMESERIES_KEY, start_ts);
+    expect(value).toEqual(samples[0].values);
+
+    const popped = await ts.poprange(TIMESERIES_KEY, start_ts + 1, start_ts + 4);
+    expect(popped).toEqual(samples.slice(1, 5));
+
+    const count = await ts.count(TIMESERIES_KEY, '-', '+');
+    expect(count).toEqual(samples.length - 5);
+
+    const removed = await ts.remrange(TIMESERIES_KEY, '-', '+');
+    expect(removed).toEqual(samples.length - 5);
+  });
+
+  it('should return times', async () => {
+    const samples = await insertData();
+    const times = await ts.times(TIMESERIES_KEY);
+    expect(times).toEqual(samples.map(x => x.timestamp));
+  });
+
+  it('should copy and merge', async () => {
+    const samples = await insertData();
+
+    const copied = await ts.copy(TIMESERIES_KEY, DEST_KEY, '-', '+', 'LABELS', 'value');
+    expect(copied).toEqual(samples.length);
+
+    const merged = await ts.merge(TIMESERIES_KEY, DEST_KEY, `${DEST_KEY}:merged`, '-', '+');
+    expect(merged).toEqual(samples.length);
+
+    const range = await ts.range(`${DEST_KEY}:merged`, '-', '+');
+    expect(range.map(x => x.values.value)).toEqual(samples.map(x => x.values.value * 2));
+  });
+
+});
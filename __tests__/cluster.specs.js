@@ -0,0 +1,179 @@
+const TimeSeries = require('../index');
+const { hashSlot, hashTag, isSameSlot, colocatedKey, metadataKey } = require('../lib/cluster');
+const { createClusterClient } = require('./redis');
+
+// the cluster tests run only when a cluster is configured
+const describeCluster = process.env.REDIS_CLUSTER_NODES ? describe : describe.skip;
+
+describe('cluster', () => {
+
+  describe('hashSlot', () => {
+    it('should compute the slot of a key', () => {
+      expect(hashSlot('foo')).toEqual(12182);
+      expect(hashSlot('bar')).toEqual(5061);
+      expect(hashSlot('123456789')).toEqual(12739);
+    });
+
+    it('should only hash the hash tag', () => {
+      expect(hashTag('{user:1}:temp')).toEqual('user:1');
+      expect(hashSlot('{foo}:temp')).toEqual(hashSlot('foo'));
+      expect(hashSlot('x{bar}y{foo}')).toEqual(hashSlot('bar'));
+    });
+
+    it('should ignore empty hash tags', () => {
+      expect(hashTag('{}foo')).toEqual('{}foo');
+      expect(hashTag('foo{')).toEqual('foo{');
+    });
+
+    it('should compare the slots of multiple keys', () => {
+      expect(isSameSlot(['{a}:1', '{a}:2', 'a'])).toEqual(true);
+      expect(isSameSlot(['foo', 'bar'])).toEqual(false);
+    });
+  });
+
+  describe('colocatedKey', () => {
+    it('should wrap keys without a hash tag', () => {
+      const key = colocatedKey('sensor:1', 'hourly');
+      expect(key).toEqual('{sensor:1}:hourly');
+      expect(hashSlot(key)).toEqual(hashSlot('sensor:1'));
+    });
+
+    it('should keep an existing hash tag', () => {
+      const key = colocatedKey('{sensor:1}:temp', 'hourly');
+      expect(key).toEqual('{sensor:1}:temp:hourly');
+      expect(hashSlot(key)).toEqual(hashSlot('{sensor:1}:temp'));
+    });
+
+    it('should be available on the client', () => {
+      const ts = new TimeSeries({});
+      expect(ts.colocatedKey('foo', 'bar')).toEqual('{foo}:bar');
+    });
+  });
+
+  describeCluster('commands', () => {
+    const SOURCE_KEY = 'ts:cluster:src';
+    const OTHER_KEY = 'ts:cluster:other';
+    const DEST_KEY = 'ts:cluster:dest';
+    const start_ts = 1511885900;
+
+    let client;
+    let ts;
+    let keys;
+
+    beforeEach(async () => {
+      client = await createClusterClient();
+      ts = new TimeSeries(client);
+      keys = [SOURCE_KEY, OTHER_KEY, DEST_KEY, colocatedKey(SOURCE_KEY, 'dest'), metadataKey(SOURCE_KEY), metadataKey(DEST_KEY)];
+      // flushdb only reaches a single node
+      await Promise.all(keys.map(key => client.del(key)));
+    });
+
+    afterEach(async () => {
+      await Promise.all(keys.map(key => client.del(key)));
+      return client.quit();
+    });
+
+    async function insertData(key, count = 10) {
+      const samples = [];
+      for (let i = 0; i < count; i++) {
+        samples.push([start_ts + i, { id: i, value: i * 10 }]);
+      }
+      await ts.bulkAdd(key, samples);
+      return samples.map(([timestamp, values]) => ({ timestamp, values }));
+    }
+
+    it('should use keys in different slots', () => {
+      expect(isSameSlot([SOURCE_KEY, OTHER_KEY, DEST_KEY])).toEqual(false);
+    });
+
+    it('should copy to a co-located key on the server', async () => {
+      const data = await insertData(SOURCE_KEY);
+      const dest = colocatedKey(SOURCE_KEY, 'dest');
+      const spy = jest.spyOn(client, 'zadd');
+
+      expect(await ts.copy(SOURCE_KEY, dest, '-', '+')).toEqual(10);
+      expect(await ts.range(dest, '-', '+')).toEqual(data);
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should copy across slots', async () => {
+      const data = await insertData(SOURCE_KEY);
+
+      expect(await ts.copy(SOURCE_KEY, DEST_KEY, start_ts + 2, '+', 'FILTER', 'id<8')).toEqual(6);
+      expect(await ts.range(DEST_KEY, '-', '+')).toEqual(data.slice(2, 8));
+    });
+
+    it('should copy across slots to a hash', async () => {
+      await insertData(SOURCE_KEY);
+
+      await ts.copy(SOURCE_KEY, DEST_KEY, '-', '+', 'LABELS', 'value', 'STORAGE', 'hash');
+      const hash = await client.hgetall(DEST_KEY);
+      expect(Object.keys(hash).length).toEqual(10);
+      expect(JSON.parse(hash[start_ts + 1])).toEqual({ value: 10 });
+    });
+
+    it('should store across slots as bulkAdd does', async () => {
+      await insertData(SOURCE_KEY);
+      await ts.add(DEST_KEY, start_ts + 1, { id: 1, value: 0 });
+      await ts.duplicatePolicy(DEST_KEY, 'KEEP_FIRST');
+      await ts.retention(DEST_KEY, { maxCount: 5 });
+
+      await ts.copy(SOURCE_KEY, DEST_KEY, '-', '+');
+      const range = await ts.range(DEST_KEY, '-', '+');
+      expect(range.map(x => x.timestamp)).toEqual([5, 6, 7, 8, 9].map(i => start_ts + i));
+
+      await ts.duplicatePolicy(DEST_KEY, 'BLOCK');
+      await ts.add(SOURCE_KEY, start_ts + 5, { id: 5, value: 1 });
+      await expect(ts.copy(SOURCE_KEY, DEST_KEY, '-', '+')).rejects.toThrow(/already exists/);
+    });
+
+    it('should reject labels, which are indexed across slots', async () => {
+      await expect(ts.setLabels(SOURCE_KEY, { region: 'eu' })).rejects.toThrow(/not supported on a cluster/);
+      await expect(ts.delLabels(SOURCE_KEY, 'region')).rejects.toThrow(/not supported on a cluster/);
+    });
+
+    it('should merge across slots', async () => {
+      const data = await insertData(SOURCE_KEY);
+      await insertData(OTHER_KEY);
+
+      expect(await ts.merge(SOURCE_KEY, OTHER_KEY, DEST_KEY, '-', '+', 'LABELS', 'value')).toEqual(10);
+      const merged = await ts.range(DEST_KEY, '-', '+');
+      expect(merged.map(x => x.values.value)).toEqual(data.map(x => x.values.value * 2));
+    });
+
+    it('should not leave temporary keys behind', async () => {
+      await insertData(SOURCE_KEY);
+      await insertData(OTHER_KEY);
+      const spy = jest.spyOn(client, 'del');
+
+      await ts.merge(SOURCE_KEY, OTHER_KEY, DEST_KEY, '-', '+');
+      const temps = [].concat(...spy.mock.calls);
+      expect(temps.length).toBeGreaterThan(0);
+      for (const key of temps) {
+        expect(await client.exists(key)).toEqual(0);
+      }
+    });
+
+    it('should reject keys in different slots when fallback is disabled', async () => {
+      ts = new TimeSeries(client, { crossSlot: 'error' });
+      await insertData(SOURCE_KEY);
+
+      await expect(ts.copy(SOURCE_KEY, DEST_KEY, '-', '+')).rejects.toThrow(/different cluster slots/);
+      expect(await client.exists(DEST_KEY)).toEqual(0);
+    });
+
+    it('should require compaction rules to write to the same slot', async () => {
+      await expect(ts.createRule(SOURCE_KEY, DEST_KEY, 10, 'avg(value)')).rejects.toThrow(/same cluster slot/);
+
+      const dest = ts.colocatedKey(SOURCE_KEY, 'dest');
+      await ts.createRule(SOURCE_KEY, dest, 10, 'avg(value)');
+      await insertData(SOURCE_KEY);
+      expect(await ts.size(dest)).toBeGreaterThan(0);
+    });
+  });
+
+  it('should validate the crossSlot option', () => {
+    expect(() => new TimeSeries({}, { crossSlot: 'ignore' })).toThrow(/crossSlot/);
+  });
+
+});
@@ -0,0 +1,214 @@
+const { metadataKey } = require('../lib/cluster');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:compaction';
+const DEST_KEY = 'ts:compaction:10s';
+
+describe('compaction', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  function insertData(count = 25, offset = 0) {
+    const samples = [];
+    for (let i = offset; i < offset + count; i++) {
+      samples.push([start_ts + i, { value: i, name: `n${i % 3}` }]);
+    }
+    return ts.bulkAdd(TIMESERIES_KEY, samples);
+  }
+
+  it('should create, list and delete rules', async () => {
+    expect(await ts.rules(TIMESERIES_KEY)).toEqual([]);
+
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, { value: ['avg', 'max'] });
+    await ts.createRule(TIMESERIES_KEY, `${TIMESERIES_KEY}:1m`, 60, 'sum(value)');
+    expect(await ts.rules(TIMESERIES_KEY)).toEqual([
+      { dest: DEST_KEY, timeBucket: 10, aggregations: ['avg(value)', 'max(value)'] },
+      { dest: `${TIMESERIES_KEY}:1m`, timeBucket: 60, aggregations: ['sum(value)'] }
+    ]);
+
+    expect(await ts.deleteRule(TIMESERIES_KEY, DEST_KEY)).toEqual(1);
+    expect(await ts.deleteRule(TIMESERIES_KEY, DEST_KEY)).toEqual(0);
+    expect((await ts.rules(TIMESERIES_KEY)).map(x => x.dest)).toEqual([`${TIMESERIES_KEY}:1m`]);
+  });
+
+  it('should aggregate samples as they are added', async () => {
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, ['sum(value)', 'count(value)', 'last(name)']);
+
+    for (let i = 0; i < 12; i++) {
+      await ts.add(TIMESERIES_KEY, start_ts + i, { value: i, name: `n${i}` });
+    }
+
+    const bucket = start_ts - (start_ts % 10);
+    const expected = [];
+    for (let b = bucket; b <= start_ts + 11; b += 10) {
+      const values = [];
+      for (let i = 0; i < 12; i++) {
+        if (start_ts + i >= b && start_ts + i < b + 10) values.push(i);
+      }
+      expected.push({
+        timestamp: b,
+        values: {
+          value_sum: values.reduce((a, v) => a + v, 0),
+          value_count: values.length,
+          name_last: `n${values[values.length - 1]}`
+        }
+      });
+    }
+    expect(await ts.range(DEST_KEY, '-', '+')).toEqual(expected);
+  });
+
+  it('should match copy with AGGREGATION', async () => {
+    const aggregations = [
+      'avg(value)', 'min(value)', 'max(value)', 'stats(value)', 'stdev(value)', 'range(value)', 'median(value)',
+      'p90(value)', 'first(name)', 'rate(value)', 'irate(value)', 'increase(value)', 'delta(value)'
+    ];
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, aggregations);
+    await insertData(10);
+    await insertData(15, 10);
+
+    await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 10, ...aggregations);
+    expect(await ts.range(DEST_KEY, '-', '+')).toEqual(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+'));
+  });
+
+  it('should re-aggregate buckets when samples arrive late', async () => {
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, ['sum(value)', 'last(value)']);
+    await ts.add(TIMESERIES_KEY, start_ts + 5, { value: 5 });
+    await ts.add(TIMESERIES_KEY, start_ts + 20, { value: 20 });
+
+    // into an older bucket
+    await ts.add(TIMESERIES_KEY, start_ts + 6, { value: 6 });
+    // into the newest bucket, before the newest sample
+    await ts.add(TIMESERIES_KEY, start_ts + 25, { value: 25 });
+    await ts.add(TIMESERIES_KEY, start_ts + 21, { value: 21 });
+
+    await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 10, 'sum(value)', 'last(value)');
+    expect(await ts.range(DEST_KEY, '-', '+')).toEqual(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+'));
+  });
+
+  it('should keep a bounded state for the newest bucket', async () => {
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 1000, ['avg(value)', 'stdev(value)', 'p50(value)']);
+    const samples = [];
+    for (let i = 0; i < 500; i++) {
+      samples.push([start_ts + i, { value: i % 5 }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, samples);
+
+    const state = await client.hget(metadataKey(TIMESERIES_KEY), `rule_state:${DEST_KEY}`);
+    // collecting the values would take at least a byte each
+    expect(state.length).toBeLessThan(500);
+
+    const [bucket] = await ts.range(DEST_KEY, '-', '+');
+    await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 1000, 'avg(value)', 'stdev(value)');
+    const [expected] = await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+');
+    expect(bucket.values.value_avg).toBeCloseTo(expected.values.value_avg, 10);
+    expect(bucket.values.value_stdev).toBeCloseTo(expected.values.value_stdev, 10);
+    expect(bucket.values.value_p50).toBeCloseTo(2, 1);
+  });
+
+  it('should follow samples which are changed or removed', async () => {
+    const aggregations = ['sum(value)', 'count(value)', 'max(value)'];
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, aggregations);
+    await insertData(40);
+
+    const check = async () => {
+      await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 10, ...aggregations);
+      const expected = await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+');
+      await client.del(`${TIMESERIES_KEY}:copy`);
+      expect(await ts.range(DEST_KEY, '-', '+')).toEqual(expected);
+    };
+
+    await ts.set(TIMESERIES_KEY, start_ts + 2, { value: 100 });
+    await ts.set(TIMESERIES_KEY, start_ts + 45, { value: 1 });
+    await ts.incrBy(TIMESERIES_KEY, start_ts + 3, { value: 50 });
+    await check();
+
+    await ts.del(TIMESERIES_KEY, start_ts + 2, start_ts + 45);
+    await ts.pop(TIMESERIES_KEY, start_ts + 39);
+    await check();
+
+    await ts.remrange(TIMESERIES_KEY, start_ts + 5, start_ts + 22);
+    await ts.remrange(TIMESERIES_KEY, '-', '+', 'FILTER', 'value>35');
+    await check();
+
+    await ts.poprange(TIMESERIES_KEY, start_ts + 23, start_ts + 30);
+    await check();
+  });
+
+  it('should ignore samples without the aggregated fields', async () => {
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, ['max(value)']);
+    await ts.add(TIMESERIES_KEY, start_ts, { other: 1 });
+    expect(await ts.size(DEST_KEY)).toEqual(0);
+
+    await ts.add(TIMESERIES_KEY, start_ts + 1, { value: 3, other: 1 });
+    expect(await ts.size(DEST_KEY)).toEqual(1);
+  });
+
+  it('should only aggregate samples added after the rule is created', async () => {
+    await insertData(5);
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 100, ['count(value)']);
+    await ts.add(TIMESERIES_KEY, start_ts + 5, { value: 5 });
+
+    const [sample] = await ts.range(DEST_KEY, '-', '+');
+    expect(sample.values).toEqual({ value_count: 1 });
+  });
+
+  it('should stop updating the destination once the rule is deleted', async () => {
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, ['count(value)']);
+    await insertData(5);
+    await ts.deleteRule(TIMESERIES_KEY, DEST_KEY);
+    await insertData(20, 5);
+
+    expect(await ts.size(DEST_KEY)).toEqual(1);
+    expect(await client.hkeys(metadataKey(TIMESERIES_KEY))).toEqual([]);
+  });
+
+  it('should apply the retention policy of the destination', async () => {
+    await ts.retention(DEST_KEY, { maxCount: 2 });
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 5, ['sum(value)']);
+    await insertData(25);
+
+    expect(await ts.size(DEST_KEY)).toEqual(2);
+  });
+
+  it('should keep the aggregates of samples trimmed by the retention policy of the source', async () => {
+    const aggregations = ['sum(value)', 'count(value)'];
+    await ts.retention(TIMESERIES_KEY, { maxCount: 3 });
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, aggregations);
+    for (let i = 0; i < 25; i++) {
+      await ts.add(TIMESERIES_KEY, start_ts + i, { value: i });
+      await ts.add(`${TIMESERIES_KEY}:all`, start_ts + i, { value: i });
+    }
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(3);
+
+    await ts.copy(`${TIMESERIES_KEY}:all`, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 10, ...aggregations);
+    const expected = await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+');
+    expect(await ts.range(DEST_KEY, '-', '+')).toEqual(expected);
+
+    // the newest bucket is aggregated again from the samples still in the series
+    await ts.del(TIMESERIES_KEY, start_ts + 24);
+    const buckets = await ts.range(DEST_KEY, '-', '+');
+    expect(buckets.slice(0, -1)).toEqual(expected.slice(0, -1));
+    expect(buckets[buckets.length - 1].values).toEqual({ value_sum: 45, value_count: 2 });
+  });
+
+  it('should validate rules', async () => {
+    await expect(ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, 'avg(value')).rejects.toThrow(/invalid aggregation/);
+    await expect(ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, 'mode(value)')).rejects.toThrow(/invalid aggregation type/);
+    await expect(ts.call([TIMESERIES_KEY, DEST_KEY], 'createRule', 0, 'avg(value)')).rejects.toThrow(/timeBucket must be a number/);
+    await expect(ts.call([TIMESERIES_KEY, TIMESERIES_KEY], 'createRule', 10, 'avg(value)')).rejects.toThrow(/must differ/);
+
+    await ts.createRule(TIMESERIES_KEY, DEST_KEY, 10, 'avg(value)');
+    await expect(ts.createRule(TIMESERIES_KEY, DEST_KEY, 60, 'avg(value)')).rejects.toThrow(/already exists/);
+  });
+
+});
@@ -0,0 +1,115 @@
+const { createTimeSeries, rangeValues } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:counters';
+
+// a counter reset to 0 between 4000 and 6000, and a single sample in the second bucket
+const SAMPLES = [
+  [1000, { requests: 10, temperature: 20 }],
+  [2000, { requests: 30, temperature: 18 }],
+  [4000, { requests: 50, temperature: 21 }],
+  [6000, { requests: 5, temperature: 19.5 }],
+  [9000, { requests: 35, temperature: 17 }],
+  [12000, { requests: 60, temperature: 16 }]
+];
+
+describe('counter aggregations', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  function aggregate(...specs) {
+    return rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 10000, ...specs);
+  }
+
+  it('should compute the increase of a counter across resets', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    // 20 + 20, then 5 after the reset, then 30
+    expect(await aggregate('increase(requests)')).toEqual([{ requests: { increase: 75 } }]);
+  });
+
+  it('should compute rates per timestamp unit', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const [values] = await aggregate('rate(requests)', 'irate(requests)');
+    expect(values.requests.rate).toBeCloseTo(75 / 8000);
+    expect(values.requests.irate).toEqual(0.01);
+  });
+
+  it('should compute rates per unit', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await aggregate('rate(requests, 1s)', 'irate(requests, 1m)')).toEqual([
+      { requests: { rate: 9.375, irate: 600 } }
+    ]);
+    expect(await aggregate('rate(requests, 500)')).toEqual([{ requests: { rate: 4.6875 } }]);
+  });
+
+  it('should use the last 2 samples for irate', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    // the reset between 4000 and 6000
+    const range = await ts.range(TIMESERIES_KEY, 0, 6000, 'AGGREGATION', 10000, 'irate(requests, 1s)');
+    expect(range[0].values.requests.irate).toEqual(2.5);
+  });
+
+  it('should compute the delta of a gauge', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await aggregate('delta(temperature)', 'increase(temperature)')).toEqual([
+      { temperature: { delta: -3, increase: 57.5 } }
+    ]);
+  });
+
+  it('should skip buckets holding a single sample', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.range(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 5000, 'delta(requests)', 'count(requests)');
+    expect(range.map(x => [x.timestamp, x.values.requests])).toEqual([
+      [0, { delta: 40, count: 3 }],
+      [5000, { delta: 30, count: 2 }],
+      [10000, { count: 1 }]
+    ]);
+  });
+
+  it('should order samples in time with revrange', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.revrange(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10000, 'increase(requests)', 'delta(temperature)');
+    expect(range.map(x => x.values)).toEqual([{ requests: { increase: 75 }, temperature: { delta: -3 } }]);
+  });
+
+  it('should store counter aggregations with copy and compaction rules', async () => {
+    const aggregations = ['rate(requests, 3s)', 'increase(requests)', 'delta(temperature)'];
+    await ts.createRule(TIMESERIES_KEY, `${TIMESERIES_KEY}:rule`, 5000, aggregations);
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+', 'AGGREGATION', 5000, ...aggregations);
+    const expected = [
+      { timestamp: 0, values: { requests_rate: 40, requests_increase: 40, temperature_delta: 1 } },
+      { timestamp: 5000, values: { requests_rate: 30, requests_increase: 30, temperature_delta: -2.5 } }
+    ];
+    expect(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+')).toEqual(expected);
+    expect(await ts.range(`${TIMESERIES_KEY}:rule`, '-', '+')).toEqual(expected);
+
+    const [rule] = await ts.rules(TIMESERIES_KEY);
+    expect(rule.aggregations).toEqual(['rate(requests, 3000)', 'increase(requests)', 'delta(temperature)']);
+  });
+
+  it('should validate units', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    await expect(aggregate('rate(requests, 1M)')).rejects.toThrow(/unit must be a number > 0/);
+    await expect(aggregate('rate(requests, 0)')).rejects.toThrow(/unit must be a number > 0/);
+    await expect(aggregate('increase(requests, 1s)')).rejects.toThrow(/unexpected argument/);
+    await expect(ts.call([TIMESERIES_KEY, 'dest'], 'createRule', 10, 'delta(requests, 1s)')).rejects.toThrow(/unexpected argument/);
+  });
+
+});
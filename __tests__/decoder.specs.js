@@ -0,0 +1,130 @@
+const { restoreValue } = require('../lib/decoder');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:decoder';
+
+describe('decoder', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+  const formats = ['json', 'msgpack'];
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  const data = {
+    boolVal: true,
+    falseVal: false,
+    intVal: 12345,
+    stringVal: 'bazinga',
+    floatVal: 123.456,
+    zip: '02134'
+  };
+
+  async function insertData() {
+    const states = ['ready', 'active', 'waiting'];
+    const samples = [];
+    for (let i = 0; i < 20; i++) {
+      samples.push([start_ts + i, { value: i * 1.5, state: states[i % states.length], active: i % 2 === 0 }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, samples);
+    return samples;
+  }
+
+  describe('restoreValue', () => {
+    it('restores the floats returned by the script', () => {
+      expect(restoreValue('123.456')).toEqual(123.456);
+      expect(restoreValue('-0.25')).toEqual(-0.25);
+      expect(restoreValue('1.5e-07')).toEqual(1.5e-7);
+      expect(restoreValue(10)).toEqual(10);
+    });
+
+    it('leaves other strings untouched', () => {
+      expect(restoreValue('123')).toEqual('123');
+      expect(restoreValue('-20')).toEqual('-20');
+      expect(restoreValue('true')).toEqual('true');
+      expect(restoreValue('02134')).toEqual('02134');
+      expect(restoreValue('1.50')).toEqual('1.50');
+      expect(restoreValue('1e3')).toEqual('1e3');
+      expect(restoreValue('')).toEqual('');
+      expect(restoreValue('bazinga')).toEqual('bazinga');
+    });
+  });
+
+  it('restores the types of a single value', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, [[start_ts, data]]);
+
+    const actual = await ts.get(TIMESERIES_KEY, start_ts);
+    expect(actual).toEqual(data);
+
+    for (const format of formats) {
+      const formatted = await ts.get(TIMESERIES_KEY, start_ts, 'FORMAT', format);
+      expect(formatted).toEqual(actual);
+    }
+  });
+
+  it('restores the floats stored by add', async () => {
+    await ts.add(TIMESERIES_KEY, start_ts, { floatVal: 123.456, boolVal: true });
+
+    expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ floatVal: 123.456, boolVal: true });
+  });
+
+  it('keeps the values of json and msgpack replies as they are', async () => {
+    const values = { ...data, numeric: '123', float: '1.5', bool: 'true' };
+    await ts.bulkAdd(TIMESERIES_KEY, [[start_ts, values]]);
+
+    for (const format of formats) {
+      expect(await ts.get(TIMESERIES_KEY, start_ts, 'FORMAT', format)).toEqual(values);
+      expect(await ts.range(TIMESERIES_KEY, '-', '+', 'FORMAT', format)).toEqual([{ timestamp: start_ts, values }]);
+    }
+  });
+
+  it('returns the same range for all formats', async () => {
+    const samples = await insertData();
+    const expected = samples.map(([timestamp, values]) => ({ timestamp, values }));
+
+    const actual = await ts.range(TIMESERIES_KEY, '-', '+');
+    expect(actual).toEqual(expected);
+
+    for (const format of formats) {
+      const formatted = await ts.range(TIMESERIES_KEY, '-', '+', 'FORMAT', format);
+      expect(formatted).toEqual(actual);
+    }
+  });
+
+  it('returns the same aggregation results for all formats', async () => {
+    await insertData();
+
+    const args = [
+      'AGGREGATION', 10, 'avg(value)', 'stats(value)', 'distinct(state)', 'count_distinct(state)', 'data(active)'
+    ];
+    const actual = await ts.range(TIMESERIES_KEY, '-', '+', ...args);
+
+    expect(actual.length).toEqual(2);
+    actual.forEach(({ timestamp, values }) => {
+      expect(typeof timestamp).toEqual('number');
+      expect(typeof values.value.avg).toEqual('number');
+      expect(typeof values.value.stats).toEqual('object');
+      expect(typeof values.value.stats.std).toEqual('number');
+      expect(values.value.stats.count).toEqual(10);
+      expect(values.state.distinct.sort()).toEqual(['active', 'ready', 'waiting']);
+      expect(Object.keys(values.state.count_distinct).sort()).toEqual(['active', 'ready', 'waiting']);
+      expect(values.active.data.length).toEqual(10);
+      values.active.data.forEach(x => expect(typeof x).toEqual('boolean'));
+    });
+
+    actual.forEach(x => x.values.state.distinct.sort());
+    for (const format of formats) {
+      const formatted = await ts.range(TIMESERIES_KEY, '-', '+', ...args, 'FORMAT', format);
+      formatted.forEach(x => x.values.state.distinct.sort());
+      expect(formatted).toEqual(actual);
+    }
+  });
+
+});
@@ -0,0 +1,173 @@
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:duplicates';
+
+describe('duplicate policy', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function addTwice(second, options) {
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 10, name: 'first', weight: 1.5 });
+    await ts.add(TIMESERIES_KEY, start_ts, second, options);
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(1);
+    return ts.get(TIMESERIES_KEY, start_ts);
+  }
+
+  it('should default to REPLACE', async () => {
+    expect(await ts.duplicatePolicy(TIMESERIES_KEY)).toEqual('REPLACE');
+
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 10 });
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 20 });
+    expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ value: 20 });
+  });
+
+  it('should block', async () => {
+    await ts.duplicatePolicy(TIMESERIES_KEY, 'BLOCK');
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 10 });
+    await expect(ts.add(TIMESERIES_KEY, start_ts, { value: 20 })).rejects.toThrow(/already exists/);
+    expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ value: 10 });
+  });
+
+  it('should accept an identical sample when blocking', async () => {
+    await ts.duplicatePolicy(TIMESERIES_KEY, 'BLOCK');
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 10, name: 'first', weight: 1.5 });
+    await ts.add(TIMESERIES_KEY, start_ts, { weight: 1.5, value: 10, name: 'first' });
+
+    const samples = [[start_ts, { name: 'first', weight: 1.5, value: 10 }], [start_ts + 1, { value: 11 }]];
+    expect(await ts.bulkAdd(TIMESERIES_KEY, samples)).toEqual(2);
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(2);
+  });
+
+  it('should set the policy of a series', async () => {
+    expect(await ts.duplicatePolicy(TIMESERIES_KEY, 'keep_first')).toEqual('KEEP_FIRST');
+    expect(await ts.duplicatePolicy(TIMESERIES_KEY)).toEqual('KEEP_FIRST');
+    expect(await ts.duplicatePolicy(`${TIMESERIES_KEY}:other`)).toEqual('REPLACE');
+
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 10 });
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 20 });
+    expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ value: 10 });
+  });
+
+  it('should replace', async () => {
+    const value = await addTwice({ value: 20 }, { duplicatePolicy: 'REPLACE' });
+    expect(value).toEqual({ value: 20 });
+  });
+
+  it('should keep the first sample', async () => {
+    const value = await addTwice({ value: 20 }, { duplicatePolicy: 'KEEP_FIRST' });
+    expect(value).toEqual({ value: 10, name: 'first', weight: 1.5 });
+  });
+
+  it('should merge fields', async () => {
+    const value = await addTwice({ value: 20, active: true }, { duplicatePolicy: 'MERGE_FIELDS' });
+    expect(value).toEqual({ value: 20, name: 'first', weight: 1.5, active: true });
+  });
+
+  it('should combine numeric fields', async () => {
+    const second = { value: 20, name: 'second', weight: 1 };
+    expect(await addTwice(second, { duplicatePolicy: 'SUM' })).toEqual({ value: 30, name: 'second', weight: 2.5 });
+
+    await client.flushdb();
+    expect(await addTwice(second, { duplicatePolicy: 'MIN' })).toEqual({ value: 10, name: 'second', weight: 1 });
+
+    await client.flushdb();
+    expect(await addTwice(second, { duplicatePolicy: 'MAX' })).toEqual({ value: 20, name: 'second', weight: 1.5 });
+  });
+
+  it('should let a call override the policy of the series', async () => {
+    await ts.duplicatePolicy(TIMESERIES_KEY, 'SUM');
+    const value = await addTwice({ value: 20 }, { duplicatePolicy: 'REPLACE' });
+    expect(value).toEqual({ value: 20 });
+  });
+
+  describe('bulkAdd', () => {
+    it('should reject the whole batch when blocked', async () => {
+      await ts.duplicatePolicy(TIMESERIES_KEY, 'BLOCK');
+      await ts.duplicatePolicy(`${TIMESERIES_KEY}:other`, 'BLOCK');
+      await ts.add(TIMESERIES_KEY, start_ts + 1, { value: 1 });
+
+      const samples = [[start_ts, { value: 0 }], [start_ts + 1, { value: 2 }]];
+      await expect(ts.bulkAdd(TIMESERIES_KEY, samples)).rejects.toThrow(/already exists/);
+      expect(await ts.size(TIMESERIES_KEY)).toEqual(1);
+
+      await expect(ts.bulkAdd(`${TIMESERIES_KEY}:other`, [[start_ts, { value: 0 }], [start_ts, { value: 1 }]])).rejects.toThrow(/already exists/);
+      expect(await ts.size(`${TIMESERIES_KEY}:other`)).toEqual(0);
+    });
+
+    it('should apply the policy within a batch', async () => {
+      const samples = [[start_ts, { value: 1 }], [start_ts, { value: 2 }], [start_ts + 1, { value: 3 }]];
+      expect(await ts.bulkAdd(TIMESERIES_KEY, samples, { duplicatePolicy: 'SUM' })).toEqual(3);
+      expect(await ts.range(TIMESERIES_KEY, '-', '+')).toEqual([
+        { timestamp: start_ts, values: { value: 3 } },
+        { timestamp: start_ts + 1, values: { value: 3 } }
+      ]);
+    });
+
+    it('should count the samples stored', async () => {
+      await ts.duplicatePolicy(TIMESERIES_KEY, 'KEEP_FIRST');
+      await ts.add(TIMESERIES_KEY, start_ts, { value: 1 });
+
+      const samples = [[start_ts, { value: 2 }], [start_ts + 1, { value: 3 }]];
+      expect(await ts.bulkAdd(TIMESERIES_KEY, samples)).toEqual(1);
+      expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ value: 1 });
+    });
+  });
+
+  describe('copy and merge', () => {
+    const SOURCE_KEY = `${TIMESERIES_KEY}:source`;
+    const OTHER_KEY = `${TIMESERIES_KEY}:source2`;
+
+    beforeEach(async () => {
+      await ts.bulkAdd(SOURCE_KEY, [[start_ts, { value: 1 }], [start_ts + 1, { value: 2 }]]);
+      await ts.add(TIMESERIES_KEY, start_ts + 1, { value: 5 });
+    });
+
+    it('should apply the policy of the destination when copying', async () => {
+      await ts.duplicatePolicy(TIMESERIES_KEY, 'KEEP_FIRST');
+      await ts.copy(SOURCE_KEY, TIMESERIES_KEY, '-', '+');
+      expect(await ts.range(TIMESERIES_KEY, '-', '+')).toEqual([
+        { timestamp: start_ts, values: { value: 1 } },
+        { timestamp: start_ts + 1, values: { value: 5 } }
+      ]);
+
+      await ts.duplicatePolicy(TIMESERIES_KEY, 'SUM');
+      await ts.copy(SOURCE_KEY, TIMESERIES_KEY, start_ts + 1, start_ts + 1, { filter: 'value>0' });
+      expect(await ts.get(TIMESERIES_KEY, start_ts + 1)).toEqual({ value: 7 });
+    });
+
+    it('should reject a copy or merge into a blocking series', async () => {
+      await ts.duplicatePolicy(TIMESERIES_KEY, 'BLOCK');
+      await expect(ts.copy(SOURCE_KEY, TIMESERIES_KEY, '-', '+')).rejects.toThrow(/already exists/);
+
+      await ts.add(OTHER_KEY, start_ts + 2, { value: 3 });
+      await expect(ts.merge(SOURCE_KEY, OTHER_KEY, TIMESERIES_KEY, '-', '+')).rejects.toThrow(/already exists/);
+      expect(await ts.size(TIMESERIES_KEY)).toEqual(1);
+    });
+  });
+
+  it('should keep compaction rules accurate', async () => {
+    await ts.createRule(TIMESERIES_KEY, `${TIMESERIES_KEY}:agg`, 10, ['sum(value)', 'count(value)']);
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 1 });
+    await ts.add(TIMESERIES_KEY, start_ts + 1, { value: 2 });
+    await ts.add(TIMESERIES_KEY, start_ts + 1, { value: 5 }, { duplicatePolicy: 'REPLACE' });
+
+    const [bucket] = await ts.range(`${TIMESERIES_KEY}:agg`, '-', '+');
+    expect(bucket.values).toEqual({ value_sum: 6, value_count: 2 });
+  });
+
+  it('should reject invalid policies', async () => {
+    await expect(ts.duplicatePolicy(TIMESERIES_KEY, 'LAST')).rejects.toThrow(/invalid DUPLICATE_POLICY/);
+    await expect(ts.add(TIMESERIES_KEY, start_ts, { value: 1 }, { duplicatePolicy: 'LAST' })).rejects.toThrow(/invalid DUPLICATE_POLICY/);
+  });
+
+});
@@ -0,0 +1,88 @@
+const msgpack = require('msgpack-lite');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:encoding';
+
+describe('timestamp encoding', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertTimestamps(key, timestamps) {
+    for (const timestamp of timestamps) {
+      await ts.add(key, timestamp, { value: timestamp });
+    }
+  }
+
+  // the layout of entries written before version 0.3.0
+  function addLegacy(key, timestamp, values) {
+    const member = Buffer.concat([Buffer.from(`${timestamp}|`), msgpack.encode(values)]);
+    return client.zadd(key, 0, member);
+  }
+
+  async function getTimestamps(min, max) {
+    const range = await ts.range(TIMESERIES_KEY, min, max);
+    return range.map(x => x.timestamp);
+  }
+
+  it('should order timestamps numerically', async () => {
+    const timestamps = [1000, 999, 10, 9, -1, -1000, 0.5, -0.25, 0, 1511885900, 1511885900123];
+    await insertTimestamps(TIMESERIES_KEY, timestamps);
+
+    const sorted = [...timestamps].sort((a, b) => a - b);
+    expect(await getTimestamps('-', '+')).toEqual(sorted);
+
+    const reversed = await ts.revrange(TIMESERIES_KEY, '-', '+');
+    expect(reversed.map(x => x.timestamp)).toEqual([...sorted].reverse());
+
+    expect(await ts.span(TIMESERIES_KEY)).toEqual([-1000, 1511885900123]);
+  });
+
+  it('should support negative and exclusive boundaries', async () => {
+    await insertTimestamps(TIMESERIES_KEY, [-20, -10, 0, 10, 20]);
+
+    expect(await getTimestamps(-10, 10)).toEqual([-10, 0, 10]);
+    expect(await getTimestamps('(-10', '(10')).toEqual([0]);
+    expect(await getTimestamps('[-10', '(20')).toEqual([-10, 0, 10]);
+    expect(await getTimestamps(9, 11)).toEqual([10]);
+    expect(await ts.count(TIMESERIES_KEY, -100, -1)).toEqual(2);
+  });
+
+  describe('migrate', () => {
+    it('should rewrite entries written by earlier versions', async () => {
+      const timestamps = [5, 1000, 999, -3, 20];
+      for (const timestamp of timestamps) {
+        await addLegacy(TIMESERIES_KEY, timestamp, { value: timestamp });
+      }
+      await ts.add(TIMESERIES_KEY, 1001, { value: 1001 });
+
+      expect(await ts.call(TIMESERIES_KEY, 'migrate', 'COUNT', 2)).toEqual([2, 3]);
+      expect(await ts.migrate(TIMESERIES_KEY, { batchSize: 2 })).toEqual(3);
+      expect(await ts.migrate(TIMESERIES_KEY)).toEqual(0);
+
+      const range = await ts.range(TIMESERIES_KEY, '-', '+');
+      expect(range).toEqual([-3, 5, 20, 999, 1000, 1001].map(t => ({ timestamp: t, values: { value: t } })));
+    });
+
+    it('should migrate several keys', async () => {
+      await addLegacy(TIMESERIES_KEY, 10, { value: 1 });
+      await addLegacy(`${TIMESERIES_KEY}:other`, 20, { value: 2 });
+
+      expect(await ts.migrate([TIMESERIES_KEY, `${TIMESERIES_KEY}:other`, `${TIMESERIES_KEY}:missing`])).toEqual(2);
+      expect(await ts.get(`${TIMESERIES_KEY}:other`, 20)).toEqual({ value: 2 });
+    });
+
+    it('should validate its options', async () => {
+      await expect(ts.call(TIMESERIES_KEY, 'migrate', 'LIMIT', 2)).rejects.toThrow(/invalid option/);
+      await expect(ts.call(TIMESERIES_KEY, 'migrate', 'COUNT', 0)).rejects.toThrow(/COUNT must be a number/);
+    });
+  });
+
+});
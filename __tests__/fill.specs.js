@@ -0,0 +1,109 @@
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:fill';
+
+describe('FILL', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  // buckets of 10 at 10, 40 and 50
+  async function insertData() {
+    await ts.bulkAdd(TIMESERIES_KEY, [
+      [12, { value: 10, name: 'a' }],
+      [15, { value: 20, name: 'b' }],
+      [41, { value: 60, name: 'c' }],
+      [55, { value: 90 }]
+    ]);
+  }
+
+  async function fill(mode, min = '-', max = '+') {
+    const range = await ts.range(TIMESERIES_KEY, min, max, 'AGGREGATION', 10, 'avg(value)', 'FILL', mode);
+    return range.map(({ timestamp, values }) => [timestamp, values.value && values.value.avg]);
+  }
+
+  it('should only return buckets with samples by default', async () => {
+    await insertData();
+    expect(await fill('none')).toEqual([[10, 15], [40, 60], [50, 90]]);
+  });
+
+  it('should fill empty buckets', async () => {
+    await insertData();
+
+    expect(await fill('null')).toEqual([[10, 15], [20, null], [30, null], [40, 60], [50, 90]]);
+    expect(await fill('previous')).toEqual([[10, 15], [20, 15], [30, 15], [40, 60], [50, 90]]);
+    expect(await fill('next')).toEqual([[10, 15], [20, 60], [30, 60], [40, 60], [50, 90]]);
+    expect(await fill('linear')).toEqual([[10, 15], [20, 30], [30, 45], [40, 60], [50, 90]]);
+    expect(await fill(-1.5)).toEqual([[10, 15], [20, -1.5], [30, -1.5], [40, 60], [50, 90]]);
+  });
+
+  it('should fill up to the boundaries of the range', async () => {
+    await insertData();
+
+    expect(await fill('previous', 0, 79)).toEqual([
+      [0, null], [10, 15], [20, 15], [30, 15], [40, 60], [50, 90], [60, 90], [70, 90]
+    ]);
+    // samples outside of the range are not considered
+    expect(await fill('linear', 0, 29)).toEqual([[0, null], [10, 15], [20, null]]);
+  });
+
+  it('should fill each aggregation on its own', async () => {
+    await insertData();
+
+    const range = await ts.range(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, 'sum(value)', 'last(name)', 'FILL', 'linear');
+    expect(range.map(x => x.values)).toEqual([
+      { value: { sum: 30 }, name: { last: 'b' } },
+      { value: { sum: 40 }, name: { last: null } },
+      { value: { sum: 50 }, name: { last: null } },
+      { value: { sum: 60 }, name: { last: 'c' } },
+      { value: { sum: 90 }, name: { last: null } }
+    ]);
+  });
+
+  it('should fill in json format and reversed ranges', async () => {
+    await insertData();
+
+    let range = await ts.range(TIMESERIES_KEY, 10, 49, 'AGGREGATION', 10, 'stats(value)', 'FILL', 'null', 'FORMAT', 'json');
+    expect(range.map(x => x.values.value.stats)).toEqual([
+      expect.objectContaining({ count: 2, sum: 30 }),
+      null,
+      null,
+      expect.objectContaining({ count: 1, sum: 60 })
+    ]);
+
+    range = await ts.revrange(TIMESERIES_KEY, 10, 49, 'AGGREGATION', 10, 'count(value)', 'FILL', 0);
+    expect(range.map(x => x.values.value.count).sort()).toEqual([0, 0, 1, 2]);
+  });
+
+  it('should store filled buckets with copy', async () => {
+    await insertData();
+    const dest = `${TIMESERIES_KEY}:copy`;
+
+    expect(await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', 10, 'sum(value)', 'FILL', 'previous')).toEqual(5);
+    expect(await ts.range(dest, '-', '+')).toEqual([
+      { timestamp: 10, values: { value_sum: 30 } },
+      { timestamp: 20, values: { value_sum: 30 } },
+      { timestamp: 30, values: { value_sum: 30 } },
+      { timestamp: 40, values: { value_sum: 60 } },
+      { timestamp: 50, values: { value_sum: 90 } }
+    ]);
+
+    await client.del(dest);
+    expect(await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', 10, 'sum(value)', 'FILL', 'null')).toEqual(3);
+  });
+
+  it('should validate the option', async () => {
+    await insertData();
+    await expect(ts.range(TIMESERIES_KEY, '-', '+', 'FILL', 'null')).rejects.toThrow(/FILL requires AGGREGATION/);
+    await expect(fill('zero')).rejects.toThrow(/FILL: expecting/);
+    await expect(fill('linear', 0, 1e9)).rejects.toThrow(/too many buckets/);
+  });
+
+});
@@ -0,0 +1,183 @@
+const { FilterError, parseFilter, validateFilter, compileFilter } = require('../index');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:filter-parser';
+
+describe('filter parser', () => {
+
+  describe('parsing', () => {
+
+    it('parses comparisons', () => {
+      const ops = ['=', '!=', '<', '<=', '>', '>='];
+      ops.forEach(op => {
+        expect(parseFilter(`amount${op}5000`).ast).toEqual({ field: 'amount', op, value: '5000' });
+      });
+    });
+
+    it('parses contains lists', () => {
+      const { ast } = parseFilter('state!=(ready, "almost, done","a ""quoted"" value")');
+      expect(ast).toEqual({
+        field: 'state',
+        op: '!=',
+        values: ['ready', 'almost, done', 'a "quoted" value']
+      });
+    });
+
+    it('finds conditions the way the server does', () => {
+      expect(parseFilter('user.name=5').ast).toEqual({ field: 'name', op: '=', value: '5' });
+      expect(parseFilter('a<b=c').ast).toEqual({ field: 'b', op: '=', value: 'c' });
+      expect(parseFilter('a=b!=c').ast).toEqual({ field: 'b', op: '!=', value: 'c' });
+      expect(parseFilter('state=(ready)x').ast).toEqual({ field: 'state', op: '=', values: ['ready'] });
+      expect(parseFilter('state=(ready,done').ast).toEqual({ field: 'state', op: '=', value: '(ready,done' });
+    });
+
+    it('chains joins from left to right', () => {
+      const { ast } = parseFilter(['name=april', 'OR', 'name=may', 'AND', 'id>=2']);
+      expect(ast).toEqual({
+        join: 'AND',
+        conditions: [
+          {
+            join: 'OR',
+            conditions: [
+              { field: 'name', op: '=', value: 'april' },
+              { field: 'name', op: '=', value: 'may' }
+            ]
+          },
+          { field: 'id', op: '>=', value: '2' }
+        ]
+      });
+    });
+
+    it('stops at the next option', () => {
+      const args = ['FILTER', 'id>2', 'id<10', 'LIMIT', 0, 10];
+      const { ast, end } = parseFilter(args, 1);
+      expect(end).toEqual(3);
+      expect(ast.join).toEqual('AND');
+      expect(ast.conditions.length).toEqual(2);
+    });
+
+    it('reports the position of errors', () => {
+      const cases = [
+        ['amount 5000', 0, 6],
+        ['=5000', 0, 0],
+        ['amount>', 0, 7],
+        ['state=(ready,"done)', 0, 13],
+        ['state=(ready,"done"x)', 0, 19],
+        ['state=()', 0, 6]
+      ];
+      cases.forEach(([expression, index, position]) => {
+        const err = validateFilter(['id>1', expression]);
+        expect(err).toBeInstanceOf(FilterError);
+        expect(err.index).toEqual(index + 1);
+        expect(err.position).toEqual(position);
+        expect(err.expression).toEqual(expression);
+      });
+    });
+
+    it('rejects dangling joins', () => {
+      expect(validateFilter(['OR', 'id=1'])).toMatchObject({ message: expect.stringMatching(/preceded/), position: 0 });
+      expect(validateFilter(['id=1', 'AND'])).toMatchObject({ message: expect.stringMatching(/after AND/), position: 8 });
+      expect(validateFilter(['id=1', 'OR', 'LIMIT'])).toMatchObject({ message: expect.stringMatching(/after OR/), position: 7 });
+      expect(validateFilter([])).toMatchObject({ message: expect.stringMatching(/at least one/), position: 0 });
+    });
+
+  });
+
+  describe('evaluation', () => {
+    const samples = [
+      { id: 1, name: 'april', last_name: 'winters', active: true },
+      { id: 2, name: 'may', last_name: 'summer', active: false },
+      { id: 3, name: 'june', active: true },
+      { id: 4, name: 'april', last_name: 'black', active: false },
+      { id: 5, name: 'livia', last_name: 'araujo' }
+    ];
+
+    function check(filter, predicate) {
+      const matches = compileFilter(filter);
+      expect(samples.filter(matches)).toEqual(samples.filter(predicate));
+    }
+
+    it('compares values', () => {
+      check('id=2', v => v.id === 2);
+      check('id!=2', v => v.id !== 2);
+      check('id>2', v => v.id > 2);
+      check('id<=2', v => v.id <= 2);
+      check('name>=livia', v => v.name >= 'livia');
+      check('active=true', v => v.active === true);
+      check('active!=false', v => v.active !== false);
+    });
+
+    it('checks for null', () => {
+      check('last_name=null', v => v.last_name === undefined);
+      check('last_name!=null', v => v.last_name !== undefined);
+      check('active=null', v => v.active === undefined);
+    });
+
+    it('matches lists', () => {
+      check('id=(1,3,5)', v => [1, 3, 5].includes(v.id));
+      check('last_name!=(black,summer)', v => !['black', 'summer'].includes(v.last_name));
+    });
+
+    it('joins conditions', () => {
+      check(['name=april', 'OR', 'name=may', 'AND', 'id>=2'], v => (v.name === 'april' || v.name === 'may') && v.id >= 2);
+      check(['id>1', 'id<5'], v => v.id > 1 && v.id < 5);
+    });
+
+    it('accepts decoded samples', () => {
+      const matches = compileFilter('id>1');
+      expect(matches({ timestamp: 1000, values: { id: 2 } })).toEqual(true);
+      expect(matches({ timestamp: 1000, values: { id: 1 } })).toEqual(false);
+    });
+
+  });
+
+  describe('client', () => {
+    let client;
+    let ts;
+
+    const start_ts = 1488823384;
+
+    beforeEach(async () => {
+      ({ client, ts } = await createTimeSeries());
+    });
+
+    afterEach(() => {
+      return client.quit();
+    });
+
+    it('rejects invalid filters before calling redis', async () => {
+      await expect(ts.range(TIMESERIES_KEY, '-', '+', 'FILTER', 'amount 5000')).rejects.toThrow(FilterError);
+      await expect(ts.count(TIMESERIES_KEY, '-', '+', 'FILTER', 'id=1', 'OR')).rejects.toThrow(FilterError);
+      expect(() => ts.query(TIMESERIES_KEY).where('state (ready)')).toThrow(FilterError);
+    });
+
+    it('evaluates filters the same as the server', async () => {
+      const samples = [
+        [start_ts, { id: 1, name: 'april', score: 1.5 }],
+        [start_ts + 1, { id: 2, name: 'may', score: 3 }],
+        [start_ts + 2, { id: 3, name: 'june' }],
+        [start_ts + 3, { id: 4, name: '10', score: -2 }]
+      ];
+      await ts.bulkAdd(TIMESERIES_KEY, samples);
+      const all = await ts.range(TIMESERIES_KEY, '-', '+');
+
+      const filters = [
+        ['score>1'],
+        ['score=null'],
+        ['score!=null', 'OR', 'id=3'],
+        ['name<june'],
+        ['name>5'],
+        ['name=(may,10)', 'OR', 'id=1'],
+        ['id!=2', 'score<=1.5'],
+        ['user.name=june'],
+        ['id<name=(may)x']
+      ];
+      for (const filter of filters) {
+        const actual = await ts.range(TIMESERIES_KEY, '-', '+', 'FILTER', ...filter);
+        expect(all.filter(compileFilter(filter))).toEqual(actual);
+      }
+    });
+
+  });
+
+});
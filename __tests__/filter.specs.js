@@ -125,4 +125,10 @@ describe('filter', () => {
     await checkFilter(data,  'OR and AND', filters, predicate);
   });
 
+  test('Null', async () => {
+    const sparse = data.map(({ id, name, last_name }) => (id % 2) ? { id, name } : { id, name, last_name });
+    await checkFilter(sparse,  'null', 'last_name=null', (v) => v.last_name === undefined);
+    await checkFilter(sparse,  'not null', 'last_name!=null', (v) => v.last_name !== undefined);
+  });
+
 });
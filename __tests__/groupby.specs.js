@@ -0,0 +1,110 @@
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:groupby';
+
+const SAMPLES = [
+  [1, { latency: 10, region: 'eu', host: 'a' }],
+  [2, { latency: 30, region: 'us', host: 'b' }],
+  [3, { latency: 20, region: 'eu', host: 'b' }],
+  [4, { latency: 50 }],
+  [12, { latency: 40, region: 'us', host: 'a' }],
+  [15, { latency: 60, region: 'us', host: 'b' }]
+];
+
+describe('GROUPBY', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function aggregate(...args) {
+    const range = await ts.range(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, ...args);
+    return range.map(x => [x.timestamp, x.values]);
+  }
+
+  it('should aggregate each group on its own', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await aggregate('avg(latency)', 'count(*)', 'GROUPBY', 'region')).toEqual([
+      [0, {
+        eu: { latency: { avg: 15 }, '*': { count: 2 } },
+        us: { latency: { avg: 30 }, '*': { count: 1 } }
+      }],
+      [10, {
+        us: { latency: { avg: 50 }, '*': { count: 2 } }
+      }]
+    ]);
+  });
+
+  it('should return the same values in json format and reversed ranges', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const expected = await aggregate('sum(latency)', 'stats(latency)', 'GROUPBY', 'region');
+
+    expect(await aggregate('sum(latency)', 'stats(latency)', 'GROUPBY', 'region', 'FORMAT', 'json')).toEqual(expected);
+    expect(await aggregate('sum(latency)', 'stats(latency)', 'GROUPBY', 'region', 'FORMAT', 'msgpack')).toEqual(expected);
+
+    const range = await ts.revrange(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 10, 'sum(latency)', 'stats(latency)', 'GROUPBY', 'region');
+    expect(range.map(x => [x.timestamp, x.values])).toEqual(expected);
+  });
+
+  it('should nest the values of several fields', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.query(TIMESERIES_KEY)
+      .aggregate(10, 'max(latency)')
+      .groupBy('region', 'host')
+      .where('latency<60')
+      .range();
+    expect(range.map(x => x.values)).toEqual([
+      { eu: { a: { latency: { max: 10 } }, b: { latency: { max: 20 } } }, us: { b: { latency: { max: 30 } } } },
+      { us: { a: { latency: { max: 40 } } } }
+    ]);
+  });
+
+  it('should share buckets between groups', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await aggregate('count(latency)', 'FILL', 0, 'GROUPBY', 'region')).toEqual([
+      [0, { eu: { latency: { count: 2 } }, us: { latency: { count: 1 } } }],
+      [10, { eu: { latency: { count: 0 } }, us: { latency: { count: 2 } } }]
+    ]);
+  });
+
+  it('should group the results of mrange', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    await ts.setLabels(TIMESERIES_KEY, { service: 'api' });
+
+    const [result] = await ts.mrange('service=api', '-', '+', 'AGGREGATION', 10, 'min(latency)', 'GROUPBY', 'host', 'FORMAT', 'json');
+    expect(result.samples.map(x => x.values)).toEqual([
+      { a: { latency: { min: 10 } }, b: { latency: { min: 20 } } },
+      { a: { latency: { min: 40 } }, b: { latency: { min: 60 } } }
+    ]);
+  });
+
+  it('should prefix the fields stored by copy', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const dest = `${TIMESERIES_KEY}:copy`;
+
+    expect(await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', 10, 'sum(latency)', 'count(*)', 'GROUPBY', 'region')).toEqual(2);
+    expect(await ts.range(dest, '-', '+')).toEqual([
+      { timestamp: 0, values: { eu_latency_sum: 30, eu_count: 2, us_latency_sum: 30, us_count: 1 } },
+      { timestamp: 10, values: { us_latency_sum: 100, us_count: 2 } }
+    ]);
+  });
+
+  it('should validate the option', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const check = (args, error) => expect(ts.range(TIMESERIES_KEY, '-', '+', ...args)).rejects.toThrow(error);
+
+    await check(['GROUPBY', 'region'], /GROUPBY requires AGGREGATION/);
+    await check(['AGGREGATION', 10, 'count(latency)', 'GROUPBY', 'FORMAT', 'json'], /at least one field/);
+    await check(['AGGREGATION', 10, 'count(latency)', 'GROUPBY', 'region', 'GROUPBY', 'host'], /GROUPBY already set/);
+  });
+
+});
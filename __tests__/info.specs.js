@@ -0,0 +1,106 @@
+const { metadataKey } = require('../lib/cluster');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:info';
+
+describe('labels and info', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  describe('labels', () => {
+    it('should set and get labels', async () => {
+      expect(await ts.labels(TIMESERIES_KEY)).toEqual({});
+
+      expect(await ts.setLabels(TIMESERIES_KEY, { region: 'eu', sensor: 1001 })).toEqual(2);
+      expect(await ts.labels(TIMESERIES_KEY)).toEqual({ region: 'eu', sensor: '1001' });
+
+      await ts.setLabels(TIMESERIES_KEY, { region: 'us' });
+      expect(await ts.labels(TIMESERIES_KEY)).toEqual({ region: 'us', sensor: '1001' });
+    });
+
+    it('should remove labels', async () => {
+      await ts.setLabels(TIMESERIES_KEY, { region: 'eu', sensor: '1001', unit: 'celsius' });
+
+      expect(await ts.delLabels(TIMESERIES_KEY, 'sensor', 'unit', 'missing')).toEqual(2);
+      expect(await ts.labels(TIMESERIES_KEY)).toEqual({ region: 'eu' });
+    });
+
+    it('should keep labels alongside the retention policy', async () => {
+      await ts.setLabels(TIMESERIES_KEY, { region: 'eu' });
+      await ts.retention(TIMESERIES_KEY, { maxCount: 10 });
+
+      const meta = await client.hgetall(metadataKey(TIMESERIES_KEY));
+      expect(meta).toEqual({ 'label:region': 'eu', retention_count: '10' });
+      expect(await ts.labels(TIMESERIES_KEY)).toEqual({ region: 'eu' });
+    });
+
+    it('should validate label names', async () => {
+      await expect(ts.setLabels(TIMESERIES_KEY, { 'region=eu': 'x' })).rejects.toThrow(/invalid label name/);
+      await expect(ts.setLabels(TIMESERIES_KEY, {})).rejects.toThrow(/at least one label/);
+      await expect(ts.delLabels(TIMESERIES_KEY)).rejects.toThrow(/at least one label/);
+    });
+  });
+
+  describe('info', () => {
+    it('should describe a series', async () => {
+      await ts.bulkAdd(TIMESERIES_KEY, [
+        [start_ts, { temperature: 18 }],
+        [start_ts + 1, { temperature: 19, altitude: 500 }],
+        [start_ts + 2, { humidity: 40 }]
+      ]);
+      await ts.setLabels(TIMESERIES_KEY, { region: 'eu' });
+      await ts.retention(TIMESERIES_KEY, { maxAge: 3600 });
+
+      const info = await ts.info(TIMESERIES_KEY);
+      expect(info).toEqual({
+        firstTimestamp: start_ts,
+        lastTimestamp: start_ts + 2,
+        totalSamples: 3,
+        fields: ['altitude', 'humidity', 'temperature'],
+        retention: { maxAge: 3600, maxCount: 0 },
+        labels: { region: 'eu' },
+        memoryUsage: expect.any(Number)
+      });
+      expect(info.memoryUsage).toBeGreaterThan(0);
+    });
+
+    it('should limit the samples examined for field names', async () => {
+      await ts.bulkAdd(TIMESERIES_KEY, [
+        [start_ts, { temperature: 18 }],
+        [start_ts + 1, { humidity: 40 }]
+      ]);
+
+      const info = await ts.info(TIMESERIES_KEY, { samples: 1 });
+      expect(info.fields).toEqual(['temperature']);
+      expect(info.totalSamples).toEqual(2);
+    });
+
+    it('should describe an empty series', async () => {
+      const info = await ts.info(TIMESERIES_KEY);
+      expect(info).toEqual({
+        firstTimestamp: null,
+        lastTimestamp: null,
+        totalSamples: 0,
+        fields: [],
+        retention: { maxAge: 0, maxCount: 0 },
+        labels: {},
+        memoryUsage: 0
+      });
+    });
+
+    it('should reject invalid options', async () => {
+      await expect(ts.call(TIMESERIES_KEY, 'info', 'FIELDS')).rejects.toThrow(/invalid option/);
+    });
+  });
+
+});
@@ -0,0 +1,196 @@
+const { PassThrough, Readable } = require('stream');
+const { importSamples, exportSamples } = require('../index');
+const { parseCsv, formatCsvField } = require('../lib/io');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:io';
+
+describe('import/export', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function readAll(iterable) {
+    const result = [];
+    for await (const item of iterable) {
+      result.push(item);
+    }
+    return result;
+  }
+
+  async function exportText(options) {
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => { text += chunk; });
+    const count = await exportSamples(ts, TIMESERIES_KEY, output, options);
+    return { count, text };
+  }
+
+  async function insertData() {
+    await ts.bulkAdd(TIMESERIES_KEY, [
+      [start_ts, { name: 'alpha', value: 1 }],
+      [start_ts + 1, { value: 2, active: true }],
+      [start_ts + 2, { name: 'a, "quoted" name', value: 3 }]
+    ]);
+  }
+
+  describe('parseCsv', () => {
+    it('should handle quoted fields split across chunks', async () => {
+      const text = 'a,b,c\r\n1,"x,""y""\nz",3\n\n4,,"q"';
+      const expected = [['a', 'b', 'c'], ['1', 'x,"y"\nz', '3'], ['4', '', 'q']];
+      for (const size of [1, 2, 3, text.length]) {
+        const chunks = [];
+        for (let i = 0; i < text.length; i += size) {
+          chunks.push(text.substring(i, i + size));
+        }
+        expect(await readAll(parseCsv(chunks))).toEqual(expected);
+      }
+    });
+
+    it('should support other delimiters', async () => {
+      expect(await readAll(parseCsv(['a;b\n1;2,3\n'], ';'))).toEqual([['a', 'b'], ['1', '2,3']]);
+    });
+
+    it('should reject unterminated quotes', async () => {
+      await expect(readAll(parseCsv(['a,"b\n']))).rejects.toThrow(/unterminated/);
+    });
+
+    it('should quote fields when needed', () => {
+      expect(formatCsvField('plain')).toEqual('plain');
+      expect(formatCsvField('a,b')).toEqual('"a,b"');
+      expect(formatCsvField('say "hi"')).toEqual('"say ""hi"""');
+      expect(formatCsvField(null)).toEqual('');
+      expect(formatCsvField(false)).toEqual('false');
+    });
+  });
+
+  describe('import', () => {
+    it('should import csv', async () => {
+      const input = Readable.from([
+        'value,time,name\n',
+        `10,${start_ts},alpha\n`,
+        `20,${start_ts + 1},\n`
+      ]);
+
+      const count = await importSamples(ts, TIMESERIES_KEY, input, { format: 'csv', timestampColumn: 'time', batchSize: 1 });
+      expect(count).toEqual(2);
+      expect(await ts.range(TIMESERIES_KEY, '-', '+')).toEqual([
+        { timestamp: start_ts, values: { value: 10, name: 'alpha' } },
+        { timestamp: start_ts + 1, values: { value: 20 } }
+      ]);
+    });
+
+    it('should import selected csv columns without a header', async () => {
+      const input = Readable.from([`${start_ts},10,alpha\n`]);
+      const options = { format: 'csv', columns: ['timestamp', 'value', 'name'], fields: ['name'] };
+
+      await importSamples(ts, TIMESERIES_KEY, input, options);
+      expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ name: 'alpha' });
+    });
+
+    it('should import ndjson', async () => {
+      const input = Readable.from([
+        `{"timestamp":${start_ts},"values":{"value":1}}\n`,
+        `[${start_ts + 1},{"value":2}]\n`
+      ]);
+
+      expect(await importSamples(ts, TIMESERIES_KEY, input)).toEqual(2);
+      expect(await ts.size(TIMESERIES_KEY)).toEqual(2);
+    });
+
+    it('should report invalid input', async () => {
+      let input = Readable.from(['timestamp,value\n', `${start_ts},1\n`, 'yesterday,2\n']);
+      await expect(importSamples(ts, TIMESERIES_KEY, input, { format: 'csv' })).rejects.toThrow(/invalid timestamp "yesterday" on row 3/);
+
+      input = Readable.from(['time,value\n', `${start_ts},1\n`]);
+      await expect(importSamples(ts, TIMESERIES_KEY, input, { format: 'csv' })).rejects.toThrow(/missing timestamp column/);
+
+      input = Readable.from(['{"values":{}}\n']);
+      await expect(importSamples(ts, TIMESERIES_KEY, input)).rejects.toThrow(/invalid timestamp/);
+
+      await expect(importSamples(ts, TIMESERIES_KEY, input, { format: 'xml' })).rejects.toThrow(/format/);
+    });
+  });
+
+  describe('export', () => {
+    it('should export csv with sorted columns', async () => {
+      await insertData();
+
+      const { count, text } = await exportText({ format: 'csv' });
+      expect(count).toEqual(3);
+      expect(text.split('\n')).toEqual([
+        'timestamp,active,name,value',
+        `${start_ts},,alpha,1`,
+        `${start_ts + 1},true,,2`,
+        `${start_ts + 2},,"a, ""quoted"" name",3`,
+        ''
+      ]);
+    });
+
+    it('should order csv columns by labels', async () => {
+      await insertData();
+
+      const { text } = await exportText({ format: 'csv', labels: ['value', 'name'], filter: 'value>1', count: 1 });
+      expect(text.split('\n')).toEqual([
+        'timestamp,value,name',
+        `${start_ts + 1},2,`,
+        `${start_ts + 2},3,"a, ""quoted"" name"`,
+        ''
+      ]);
+    });
+
+    it('should exclude redacted fields', async () => {
+      await insertData();
+
+      const { text } = await exportText({ format: 'csv', redact: ['name'] });
+      expect(text.split('\n')[0]).toEqual('timestamp,active,value');
+    });
+
+    it('should export ndjson', async () => {
+      await insertData();
+
+      const { text } = await exportText({ min: start_ts + 1 });
+      const lines = text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([
+        { timestamp: start_ts + 1, values: { value: 2, active: true } },
+        { timestamp: start_ts + 2, values: { name: 'a, "quoted" name', value: 3 } }
+      ]);
+    });
+
+    it('should round trip csv', async () => {
+      await insertData();
+      const { text } = await exportText({ format: 'csv' });
+
+      await importSamples(ts, `${TIMESERIES_KEY}:copy`, Readable.from([text]), { format: 'csv' });
+      expect(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+')).toEqual(await ts.range(TIMESERIES_KEY, '-', '+'));
+    });
+
+    it('should round trip booleans', async () => {
+      const samples = [
+        [start_ts, { active: true, value: 1.5 }],
+        [start_ts + 1, { active: false, value: 2 }],
+        [start_ts + 2, { active: false }]
+      ];
+      await ts.bulkAdd(TIMESERIES_KEY, samples);
+      const expected = samples.map(([timestamp, values]) => ({ timestamp, values }));
+
+      for (const format of ['csv', 'ndjson']) {
+        const dest = `${TIMESERIES_KEY}:${format}`;
+        const { text } = await exportText({ format });
+
+        await importSamples(ts, dest, Readable.from([text]), { format });
+        expect(await ts.range(dest, '-', '+', 'FORMAT', 'msgpack')).toEqual(expected);
+      }
+    });
+  });
+
+});
@@ -0,0 +1,136 @@
+const TimeSeries = require('../index');
+const { loadScriptFile } = require('../lib/script');
+const { buildLibrary, LIBRARY_NAME } = require('../lib/library');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:library';
+
+describe('function library', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries({ mode: 'function' }));
+    return client.function('flush');
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertData(key = TIMESERIES_KEY, count = 10) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      samples.push([start_ts + i, { id: i, value: i * 10 }]);
+    }
+    await ts.bulkAdd(key, samples);
+    return samples.map(([timestamp, values]) => ({ timestamp, values }));
+  }
+
+  it('should build a library without the EVAL dispatch', async () => {
+    const library = buildLibrary(await loadScriptFile());
+
+    expect(library.startsWith(`#!lua name=${LIBRARY_NAME}\n`)).toEqual(true);
+    expect(library).not.toMatch(/ARGV/);
+    expect(library).toMatch(/redis\.register_function/);
+  });
+
+  it('should register read-only functions', async () => {
+    const library = buildLibrary(await loadScriptFile());
+    await client.function('load', library);
+
+    await client.fcall('ts_add', 1, TIMESERIES_KEY, start_ts, 'value', 1);
+    const actual = await client.fcall_ro('ts_range', 1, TIMESERIES_KEY, '-', '+');
+    expect(actual).toEqual([[start_ts, ['value', 1]]]);
+
+    await expect(client.fcall_ro('ts_add', 1, TIMESERIES_KEY, start_ts, 'value', 2)).rejects.toThrow();
+    await expect(client.fcall_ro('ts_poprange', 1, TIMESERIES_KEY, '-', '+')).rejects.toThrow();
+  });
+
+  it('should load the library on demand', async () => {
+    const spy = jest.spyOn(client, 'function');
+
+    expect(await ts.version()).toEqual({ name: 'timeseries-lex.lua', version: expect.any(String) });
+    expect(spy.mock.calls.filter(x => x[0] === 'load').length).toEqual(1);
+  });
+
+  it('should run commands with FCALL', async () => {
+    const data = await insertData();
+    const fcall = jest.spyOn(client, 'fcall');
+    const fcallRo = jest.spyOn(client, 'fcall_ro');
+    // samples are fetched as msgpack
+    const fcallRoBuffer = jest.spyOn(client, 'fcall_roBuffer');
+
+    expect(await ts.range(TIMESERIES_KEY, '-', '+')).toEqual(data);
+    expect(await ts.range(TIMESERIES_KEY, '-', '+', 'FORMAT', 'msgpack')).toEqual(data);
+    expect(await ts.count(TIMESERIES_KEY, '-', '+', 'FILTER', 'id>4')).toEqual(5);
+    expect(await ts.get(TIMESERIES_KEY, start_ts + 1)).toEqual(data[1].values);
+    expect(await ts.span(TIMESERIES_KEY)).toEqual([start_ts, start_ts + 9]);
+    expect(await ts.del(TIMESERIES_KEY, start_ts)).toEqual(1);
+
+    expect(fcallRo.mock.calls.map(x => x[0])).toEqual(['ts_count', 'ts_span']);
+    expect(fcallRoBuffer.mock.calls.map(x => x[0])).toEqual(['ts_range', 'ts_range', 'ts_get']);
+    expect(fcall.mock.calls.map(x => x[0])).toEqual(['ts_del']);
+  });
+
+  it('should pass multiple keys to copy and merge', async () => {
+    const data = await insertData();
+    await insertData(`${TIMESERIES_KEY}:2`);
+
+    expect(await ts.copy(TIMESERIES_KEY, `${TIMESERIES_KEY}:copy`, '-', '+')).toEqual(10);
+    expect(await ts.range(`${TIMESERIES_KEY}:copy`, '-', '+')).toEqual(data);
+
+    await ts.merge(TIMESERIES_KEY, `${TIMESERIES_KEY}:2`, `${TIMESERIES_KEY}:merged`, '-', '+', 'LABELS', 'value');
+    const merged = await ts.range(`${TIMESERIES_KEY}:merged`, '-', '+');
+    expect(merged.map(x => x.values.value)).toEqual(data.map(x => x.values.value * 2));
+  });
+
+  it('should declare the destination of compaction rules', async () => {
+    const fcall = jest.spyOn(client, 'fcall');
+    const dest = `${TIMESERIES_KEY}:10s`;
+
+    await ts.createRule(TIMESERIES_KEY, dest, 10, 'count(value)');
+    expect(fcall).toHaveBeenCalledWith('ts_createrule', 2, TIMESERIES_KEY, dest, 10, 'count(value)');
+    await insertData();
+    expect(await ts.range(dest, '-', '+')).toEqual([{ timestamp: start_ts, values: { value_count: 10 } }]);
+  });
+
+  it('should not run commands reading undeclared keys', async () => {
+    await insertData();
+    await ts.setLabels(TIMESERIES_KEY, { region: 'eu' });
+
+    await expect(ts.mrange('region=eu', '-', '+')).rejects.toThrow(/not supported in function mode/);
+    await expect(ts.mrevrange('region=eu', '-', '+')).rejects.toThrow(/not supported in function mode/);
+    await expect(client.fcall_ro('ts_mrange', 0, '-', '+', 'MATCH', 'region=eu')).rejects.toThrow();
+  });
+
+  it('should not write undeclared keys on a cluster', async () => {
+    const cluster = new TimeSeries({ isCluster: true }, { mode: 'function' });
+
+    await expect(cluster.createRule(TIMESERIES_KEY, `{${TIMESERIES_KEY}}:10s`, 10, 'count(value)')).rejects.toThrow(/function mode on a cluster/);
+    await expect(cluster.setLabels(TIMESERIES_KEY, { region: 'eu' })).rejects.toThrow(/cluster/);
+    await expect(cluster.delLabels(TIMESERIES_KEY, 'region')).rejects.toThrow(/cluster/);
+  });
+
+  it('should replace a library of another version', async () => {
+    const library = buildLibrary(await loadScriptFile());
+    await client.function('load', library.replace(/_VERSION = '[^']*'/, "_VERSION = '0.0.1'"));
+
+    expect(await ts.version()).toEqual({ name: 'timeseries-lex.lua', version: expect.not.stringMatching(/^0\.0\.1$/) });
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(0);
+  });
+
+  it('should reload the library after it is removed', async () => {
+    await insertData();
+    await client.function('flush');
+
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(10);
+  });
+
+  it('should validate the mode', () => {
+    expect(() => new TimeSeries(client, { mode: 'eval' })).toThrow(/mode/);
+  });
+
+});
@@ -0,0 +1,99 @@
+const { createTimeSeries } = require('./redis');
+
+describe('mrange', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  const SERIES = {
+    'ts:mrange:1': { region: 'eu', type: 'sensor' },
+    'ts:mrange:2': { region: 'eu', type: 'test' },
+    'ts:mrange:3': { region: 'us', type: 'sensor' },
+    'ts:mrange:4': { region: 'eu' }
+  };
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+
+    let n = 0;
+    for (const key of Object.keys(SERIES)) {
+      n++;
+      const samples = [];
+      for (let i = 0; i < 4; i++) {
+        samples.push([start_ts + i, { id: i, value: i * n }]);
+      }
+      await ts.bulkAdd(key, samples);
+      await ts.setLabels(key, SERIES[key]);
+    }
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function selectKeys(...matchers) {
+    const result = await ts.mrange(matchers, '-', '+', 'LIMIT', 0, 1);
+    return result.map(x => x.key);
+  }
+
+  it('should select series by label', async () => {
+    expect(await selectKeys('region=eu')).toEqual(['ts:mrange:1', 'ts:mrange:2', 'ts:mrange:4']);
+    expect(await selectKeys('region=eu', 'type=sensor')).toEqual(['ts:mrange:1']);
+    expect(await selectKeys('type=missing')).toEqual([]);
+  });
+
+  it('should support negative matchers', async () => {
+    expect(await selectKeys('region=eu', 'type!=test')).toEqual(['ts:mrange:1', 'ts:mrange:4']);
+    expect(await selectKeys('region!=', 'type=')).toEqual(['ts:mrange:4']);
+    expect(await selectKeys('type!=')).toEqual(['ts:mrange:1', 'ts:mrange:2', 'ts:mrange:3']);
+  });
+
+  it('should return the range and labels of each series', async () => {
+    const actual = await ts.mrange('type=sensor', start_ts + 1, start_ts + 2, 'FILTER', 'id>1', 'LABELS', 'value');
+    expect(actual).toEqual([
+      { key: 'ts:mrange:1', labels: SERIES['ts:mrange:1'], samples: [{ timestamp: start_ts + 2, values: { value: 2 } }] },
+      { key: 'ts:mrange:3', labels: SERIES['ts:mrange:3'], samples: [{ timestamp: start_ts + 2, values: { value: 6 } }] }
+    ]);
+  });
+
+  it('should aggregate each series', async () => {
+    const actual = await ts.mrange(['region=us'], '-', '+', 'AGGREGATION', 2, 'sum(value)');
+    expect(actual[0].samples).toEqual([
+      { timestamp: start_ts, values: { value: { sum: 3 } } },
+      { timestamp: start_ts + 2, values: { value: { sum: 15 } } }
+    ]);
+  });
+
+  it('should support formats', async () => {
+    const expected = await ts.mrange('region=us', '-', '+');
+    expect(await ts.mrange('region=us', '-', '+', 'FORMAT', 'json')).toEqual(expected);
+    expect(await ts.mrange('region=us', '-', '+', 'FORMAT', 'msgpack')).toEqual(expected);
+  });
+
+  it('should return ranges in reverse', async () => {
+    const actual = await ts.mrevrange('region=us', '-', '+');
+    expect(actual[0].samples.map(x => x.timestamp)).toEqual([3, 2, 1, 0].map(i => start_ts + i));
+
+    // boundaries are given as min, max, as for mrange
+    const bounded = await ts.mrevrange('region=us', start_ts + 1, start_ts + 2);
+    expect(bounded[0].samples.map(x => x.timestamp)).toEqual([start_ts + 2, start_ts + 1]);
+  });
+
+  it('should keep the index in sync with labels', async () => {
+    await ts.setLabels('ts:mrange:2', { type: 'sensor' });
+    expect(await selectKeys('type=sensor')).toEqual(['ts:mrange:1', 'ts:mrange:2', 'ts:mrange:3']);
+    expect(await selectKeys('type=test')).toEqual([]);
+
+    await ts.delLabels('ts:mrange:1', 'type');
+    expect(await selectKeys('type=sensor')).toEqual(['ts:mrange:2', 'ts:mrange:3']);
+    expect(await selectKeys('region=eu', 'type=')).toEqual(['ts:mrange:1', 'ts:mrange:4']);
+  });
+
+  it('should validate matchers', async () => {
+    await expect(ts.mrange('region', '-', '+')).rejects.toThrow(/invalid label matcher/);
+    await expect(ts.mrange('type!=test', '-', '+')).rejects.toThrow(/at least one matcher/);
+    await expect(ts.mrange([], '-', '+')).rejects.toThrow(/MATCH must be specified/);
+  });
+
+});
@@ -0,0 +1,110 @@
+const { createTimeSeries, rangeValues } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:percentile';
+
+// latencies 10..100 in bucket 0, and 100 in bucket 100
+const SAMPLES = [
+  ...Array.from({ length: 10 }, (_, i) => [i + 1, { latency: (i + 1) * 10, name: `n${i + 1}` }]),
+  [100, { latency: 100 }]
+];
+
+describe('percentile aggregations', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function aggregate(...specs) {
+    const values = await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 100, ...specs);
+    return values.map(x => x.latency);
+  }
+
+  it('should interpolate between the closest values', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await aggregate('p50(latency)', 'median(latency)', 'p90(latency)', 'p0(latency)', 'p100(latency)')).toEqual([
+      { p50: 55, median: 55, p90: 91, p0: 10, p100: 100 },
+      { p50: 100, median: 100, p90: 100, p0: 100, p100: 100 }
+    ]);
+  });
+
+  it('should accept the percentile(field, q) form', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const [bucket] = await aggregate('percentile(latency, 99.9)', 'Percentile(latency, 25)', 'P95(latency)');
+    expect(bucket['p99.9']).toBeCloseTo(99.91);
+    expect(bucket.p25).toEqual(32.5);
+    expect(bucket.p95).toEqual(95.5);
+  });
+
+  it('should ignore non numeric values', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const values = await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 100, 'p50(name)', 'p50(latency)');
+    expect(values).toEqual([{ latency: { p50: 55 } }, { latency: { p50: 100 } }]);
+  });
+
+  it('should support revrange and json format', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.revrange(TIMESERIES_KEY, '-', '+', 'AGGREGATION', 100, 'p90(latency)', 'FORMAT', 'json');
+    expect(range.map(x => [x.timestamp, x.values.latency.p90]).sort((a, b) => a[0] - b[0])).toEqual([[0, 91], [100, 100]]);
+  });
+
+  it('should store percentiles with copy', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const dest = `${TIMESERIES_KEY}:copy`;
+
+    await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', 100, 'p95(latency)', 'percentile(latency, 99.5)');
+    expect(await ts.range(dest, '-', '+')).toEqual([
+      { timestamp: 0, values: { latency_p95: 95.5, 'latency_p99.5': 99.55 } },
+      { timestamp: 100, values: { latency_p95: 100, 'latency_p99.5': 100 } }
+    ]);
+  });
+
+  it('should maintain percentiles with compaction rules', async () => {
+    const dest = `${TIMESERIES_KEY}:rule`;
+    await ts.createRule(TIMESERIES_KEY, dest, 100, ['p90(latency)']);
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await ts.range(dest, '-', '+')).toEqual([
+      { timestamp: 0, values: { latency_p90: 91 } },
+      { timestamp: 100, values: { latency_p90: 100 } }
+    ]);
+  });
+
+  it('should estimate the percentiles of large buckets', async () => {
+    const count = 12000;
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      // values from -3000 to 8999, including 0
+      samples.push([i, { latency: i - 3000 }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, samples);
+
+    const [values] = await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', count, 'p1(latency)', 'p25(latency)', 'p50(latency)', 'p99(latency)');
+    const { p1, p25, p50, p99 } = values.latency;
+    const within = (actual, expected) => expect(Math.abs(actual - expected)).toBeLessThanOrEqual(Math.abs(expected) * 0.01 + 1);
+
+    within(p1, -2880);
+    within(p25, 0);
+    within(p50, 3000);
+    within(p99, 8880);
+  });
+
+  it('should validate percentiles', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    await expect(aggregate('p101(latency)')).rejects.toThrow(/invalid aggregation type/);
+    await expect(aggregate('percentile(latency, x)')).rejects.toThrow(/percentile: expecting a number/);
+    await expect(aggregate('p9.9.9(latency)')).rejects.toThrow(/invalid aggregation type/);
+    await expect(ts.createRule(TIMESERIES_KEY, 'dest', 10, 'p200(latency)')).rejects.toThrow(/invalid aggregation type/);
+  });
+
+});
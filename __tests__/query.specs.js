@@ -0,0 +1,222 @@
+const { Query } = require('../index');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:query';
+
+describe('query', () => {
+
+  describe('arguments', () => {
+
+    it('defaults to the entire range', () => {
+      expect(new Query().toArgs()).toEqual(['-', '+']);
+    });
+
+    it('passes the boundaries in the same order for each command', () => {
+      const query = new Query().from(1000).to(2000);
+      expect(query.toArgs('range')).toEqual([1000, 2000]);
+      expect(query.toArgs('revrange')).toEqual([1000, 2000]);
+    });
+
+    it('compiles filters', () => {
+      const args = new Query()
+        .where('amount>5000')
+        .orWhere({ customer_status: 'preferred' })
+        .where('region', '!=', ['eu', 'us'])
+        .toOptions();
+
+      expect(args).toEqual([
+        'FILTER', 'amount>5000', 'OR', 'customer_status=preferred', 'region!=(eu,us)'
+      ]);
+    });
+
+    it('quotes list values', () => {
+      const args = new Query()
+        .where({ state: ['ready', 'almost, done', 'a "quoted" value', ' padded'] })
+        .toOptions();
+
+      expect(args).toEqual(['FILTER', 'state=(ready,"almost, done","a ""quoted"" value"," padded")']);
+    });
+
+    it('compiles aggregations', () => {
+      const expected = ['AGGREGATION', 5000, 'avg(value)', 'max(value)', 'count(id)'];
+
+      let args = new Query().aggregate(5000, { value: ['avg', 'max'], id: 'count' }).toOptions();
+      expect(args).toEqual(expected);
+
+      args = new Query().aggregate(5000, ['avg(value)', 'max(value)', 'count(id)']).toOptions();
+      expect(args).toEqual(expected);
+    });
+
+    it('compiles fill', () => {
+      const query = new Query().aggregate(10, 'avg(value)');
+      expect(query.fill('linear').toOptions()).toEqual(['AGGREGATION', 10, 'avg(value)', 'FILL', 'LINEAR']);
+      expect(query.fill(0).toOptions()).toEqual(['AGGREGATION', 10, 'avg(value)', 'FILL', 0]);
+      expect(() => new Query().fill('null').toOptions()).toThrow(/aggregation/);
+      expect(() => new Query().fill('zero')).toThrow(/FILL/);
+    });
+
+    it('compiles percentiles', () => {
+      const query = new Query().aggregate(10, ['percentile(value, 99.90)', 'P95(value)']);
+      expect(query.toOptions()).toEqual(['AGGREGATION', 10, 'p99.9(value)', 'p95(value)']);
+      expect(new Query().aggregate(10, { value: ['p50', 'median'] }).toOptions()).toEqual(['AGGREGATION', 10, 'p50(value)', 'median(value)']);
+      expect(() => new Query().aggregate(10, 'p101(value)')).toThrow(/invalid aggregation type/);
+      expect(() => new Query().aggregate(10, 'percentile(value, high)')).toThrow(/invalid aggregation type/);
+    });
+
+    it('compiles rate units', () => {
+      const query = new Query().aggregate('1m', ['rate(requests, 1s)', 'irate(requests,1000)', 'increase(requests)']);
+      expect(query.toOptions()).toEqual(['AGGREGATION', '1m', 'rate(requests, 1s)', 'irate(requests, 1000)', 'increase(requests)']);
+      expect(() => new Query().aggregate(10, 'avg(value, 1s)')).toThrow(/does not take an argument/);
+      expect(() => new Query().aggregate(10, 'rate(value, 1M)')).toThrow(/unit/);
+    });
+
+    it('compiles wildcard aggregations', () => {
+      expect(new Query().aggregate(10, ['count(*)', 'avg(*)']).toOptions()).toEqual(['AGGREGATION', 10, 'count(*)', 'avg(*)']);
+      expect(new Query().aggregate(10, { '*': 'max' }).toOptions()).toEqual(['AGGREGATION', 10, 'max(*)']);
+      expect(() => new Query().aggregate(10, 'avg(**)')).toThrow(/invalid field name/);
+    });
+
+    it('compiles transforms', () => {
+      const query = new Query().transform('sma(value, 5m)', ['cumsum(value)']);
+      expect(query.toOptions()).toEqual(['TRANSFORM', 'sma(value, 5m)', 'cumsum(value)']);
+      expect(() => new Query().transform('median(value)')).toThrow(/invalid transform type/);
+      expect(() => new Query().transform('sma(value')).toThrow(/invalid transform/);
+      expect(() => new Query().transform('diff(value)').aggregate(10, 'sum(value)').toOptions()).toThrow(/aggregation/);
+      expect(() => new Query().transform('diff(value)').toOptions('copy')).toThrow(/not supported/);
+    });
+
+    it('compiles groupings', () => {
+      const query = new Query().groupBy('region', ['host']).aggregate(10, 'avg(latency)').format('json');
+      expect(query.toOptions()).toEqual(['AGGREGATION', 10, 'avg(latency)', 'GROUPBY', 'region', 'host', 'FORMAT', 'json']);
+      expect(new Query().aggregate(10, 'sum(value)').groupBy('region').toOptions('copy')).toEqual(
+        ['AGGREGATION', 10, 'sum(value)', 'GROUPBY', 'region']
+      );
+      expect(() => new Query().groupBy()).toThrow(/at least one field/);
+      expect(() => new Query().groupBy('format')).toThrow(/reserved/);
+      expect(() => new Query().groupBy('region').toOptions()).toThrow(/aggregation/);
+    });
+
+    it('compiles calendar buckets', () => {
+      const query = new Query().aggregate('1M', 'sum(value)').align('start').timezone('+02:00');
+      expect(query.toOptions()).toEqual(['AGGREGATION', '1M', 'sum(value)', 'ALIGN', 'start', 'TIMEZONE', '+02:00']);
+      expect(() => new Query().aggregate('1 day', 'sum(value)')).toThrow(/duration/);
+      expect(() => new Query().align('middle')).toThrow(/ALIGN/);
+      expect(() => new Query().timezone('Europe/Paris')).toThrow(/TIMEZONE/);
+      expect(() => new Query().timezone('UTC').toOptions()).toThrow(/aggregation/);
+    });
+
+    it('compiles all options', () => {
+      const args = new Query()
+        .from(1000)
+        .to(2000)
+        .where('id>2')
+        .limit(10, 20)
+        .redact('password')
+        .aggregate(10, { value: 'sum' })
+        .format('JSON')
+        .toArgs();
+
+      expect(args).toEqual([
+        1000, 2000,
+        'FILTER', 'id>2',
+        'LIMIT', 10, 20,
+        'REDACT', 'password',
+        'AGGREGATION', 10, 'sum(value)',
+        'FORMAT', 'json'
+      ]);
+    });
+
+    it('rejects options not supported by a command', () => {
+      const query = new Query().where('id>2').limit(10);
+      expect(query.toArgs('remrange')).toEqual(['-', '+', 'FILTER', 'id>2', 'LIMIT', 0, 10]);
+      expect(() => query.toArgs('count')).toThrow(/LIMIT/);
+      expect(() => new Query().format('json').toArgs('copy')).toThrow(/FORMAT/);
+      expect(() => new Query().aggregate(10, 'avg(value)').toArgs('merge')).toThrow(/AGGREGATION/);
+    });
+
+    it('rejects invalid input', () => {
+      expect(() => new Query().labels('name', 'limit')).toThrow(/reserved/);
+      expect(() => new Query().where('FORMAT')).toThrow(/reserved/);
+      expect(() => new Query().where('OR')).toThrow();
+      expect(() => new Query().orWhere('id=1')).toThrow();
+      expect(() => new Query().where('size', '>', [1, 2])).toThrow();
+      expect(() => new Query().where({ state: ['(ready)'] })).toThrow(/parentheses/);
+      expect(() => new Query().aggregate(10, { value: 'bogus' })).toThrow(/bogus/);
+      expect(() => new Query().aggregate(0, { value: 'avg' })).toThrow();
+      expect(() => new Query().labels('a').redact('b')).toThrow();
+      expect(() => new Query().format('xml')).toThrow();
+      expect(() => new Query().storage('list')).toThrow();
+    });
+
+  });
+
+  describe('execution', () => {
+    let client;
+    let ts;
+
+    const start_ts = 1511885900;
+
+    beforeEach(async () => {
+      ({ client, ts } = await createTimeSeries());
+
+      const states = ['ready', 'almost, done', 'complete'];
+      const samples = [];
+      for (let i = 0; i < 20; i++) {
+        samples.push([start_ts + i, { id: i, value: i * 10, state: states[i % states.length] }]);
+      }
+      await ts.bulkAdd(TIMESERIES_KEY, samples);
+    });
+
+    afterEach(() => {
+      return client.quit();
+    });
+
+    it('should run a range query', async () => {
+      const actual = await ts.query(TIMESERIES_KEY)
+        .from(start_ts)
+        .to(start_ts + 9)
+        .where({ state: ['ready', 'almost, done'] })
+        .labels('id')
+        .range();
+
+      expect(actual.map(x => x.values)).toEqual([0, 1, 3, 4, 6, 7, 9].map(id => ({ id })));
+    });
+
+    it('should run a reversed range query', async () => {
+      const actual = await ts.query(TIMESERIES_KEY)
+        .from(start_ts)
+        .to(start_ts + 4)
+        .labels('id')
+        .revrange();
+
+      expect(actual.map(x => x.values.id)).toEqual([4, 3, 2, 1, 0]);
+    });
+
+    it('should run an aggregation', async () => {
+      const actual = await ts.query(TIMESERIES_KEY)
+        .where('id<10')
+        .aggregate(10, { value: ['min', 'max'] })
+        .range();
+
+      expect(actual).toEqual([{ timestamp: start_ts, values: { value: { min: 0, max: 90 } } }]);
+    });
+
+    it('should count and remove', async () => {
+      const query = ts.query(TIMESERIES_KEY).where('state=complete');
+
+      expect(await query.count()).toEqual(6);
+      expect(await query.remrange()).toEqual(6);
+      expect(await ts.size(TIMESERIES_KEY)).toEqual(14);
+    });
+
+    it('should copy', async () => {
+      const dest = `${TIMESERIES_KEY}:copy`;
+      const count = await ts.query(TIMESERIES_KEY).where('id>=15').labels('value').copy(dest);
+
+      expect(count).toEqual(5);
+      const actual = await ts.range(dest, '-', '+');
+      expect(actual.map(x => x.values)).toEqual([150, 160, 170, 180, 190].map(value => ({ value })));
+    });
+  });
+
+});
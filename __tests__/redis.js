@@ -1,11 +1,13 @@
 const Redis = require('ioredis');
 const pAll = require('p-all');
-const path = require('path');
-const fs = require('fs');
-
-let script = null;
-const scriptPath = path.resolve(__dirname, '../timeseries-lex.lua');
-
+const TimeSeries = require('../index');
+const { loadScriptFile } = require('../lib/script');
+const {
+  parseObjectResponse,
+  parseAggregationResponse,
+  parseMessageResponse,
+  getFormat
+} = require('../lib/utils');
 
 function load(redis) {
   return loadScriptFile().then(script => {
@@ -16,17 +18,6 @@ function load(redis) {
   });
 }
 
-function loadScriptFile() {
-  return new Promise((resolve, reject) => {
-    if (script) return resolve(script);
-
-    fs.readFile(scriptPath, { encoding: 'utf8' }, (err, data) => {
-      if (err) return reject(err);
-      resolve( script = data );
-    });
-  })
-}
-
 /**
  * Waits for a redis client to be ready.
  * @param {Redis} redis client
@@ -61,6 +52,27 @@ function createClient() {
   });
 }
 
+/**
+ * Connect a TimeSeries client to an empty db.
+ * @param {Object} [options] TimeSeries options
+ * @returns {Promise<{client: Redis, ts: TimeSeries}>}
+ */
+async function createTimeSeries(options) {
+  const client = await createClient();
+  await client.flushdb();
+  return { client, ts: new TimeSeries(client, options) };
+}
+
+/**
+ * Connect to the cluster given by REDIS_CLUSTER_NODES (a comma separated list of host:port).
+ * @returns {Promise<Redis.Cluster>}
+ */
+function createClusterClient() {
+  const nodes = (process.env.REDIS_CLUSTER_NODES || 'localhost:7000').split(',');
+  const client = new Redis.Cluster(nodes);
+  return isRedisReady(client).then(() => client);
+}
+
 function execute(client, method, key, ...args) {
   return client.timeseries(key, method, ...args);
 }
@@ -100,59 +112,6 @@ async function addValues(client, key, ...args) {
   return pAll(calls, { concurrency: 16 });
 }
 
-function parseObjectResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return reply
-  }
-  const data = {};
-  for (let i = 0; i < reply.length; i += 2) {
-    let key = reply[i];
-    let val = reply[i + 1];
-    if (Array.isArray(val)) {
-      data[key] = parseObjectResponse(val);
-    } else {
-      data[key] = val;
-    }
-  }
-  return data
-}
-
-function parseAggregationResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return [];
-  }
-  const data = [];
-  for (let i = 0; i < reply.length; i += 2) {
-    data.push(
-        [ reply[i], parseObjectResponse(reply[i+1]) ]
-    );
-  }
-  return data
-}
-
-
-function parseMessageResponse(reply) {
-  if (!Array.isArray(reply)) {
-    return [];
-  }
-  return reply.map(([id, val]) => {
-    return [id, parseObjectResponse(val)]
-  });
-}
-
-function getFormat(args) {
-  let i = 0;
-  for (i = 0; i < args.length; i++) {
-    const arg = args[i];
-    if (typeof arg === 'string' && (arg.toUpperCase() === 'FORMAT')) {
-      if (i + 1 < args.length) {
-        return args[i+1];
-      }
-    }
-  }
-  return null;
-}
-
 async function getRangeEx(client, cmd, key, min, max, ...args) {
   const isAggregation = args.find(x => typeof(x) === 'string' && x.toUpperCase() === 'AGGREGATION');
   const response = await client.timeseries(key, cmd, min, max, ...args);
@@ -176,6 +135,18 @@ async function getRevRange(client, key, min, max, ...args) {
   return getRangeEx(client, 'revrange', key, min, max, ...args);
 }
 
+/**
+ * The values of the samples between - and +, e.g. the buckets of an aggregation.
+ * @param {TimeSeries} ts
+ * @param {string} key
+ * @param {...*} args options, as for range
+ * @returns {Promise<Array<Object>>}
+ */
+async function rangeValues(ts, key, ...args) {
+  const range = await ts.range(key, '-', '+', ...args);
+  return range.map(x => x.values);
+}
+
 async function copy(client, src, dest, min, max, ...args) {
   const sha = client.scriptsSet['timeseries'].sha;
 
@@ -190,10 +161,13 @@ async function merge(client, src1, src2, dest, min, max, ...args) {
 
 module.exports = {
   createClient,
+  createTimeSeries,
+  createClusterClient,
   insertData,
   addValues,
   getRange,
   getRevRange,
+  rangeValues,
   parseObjectResponse,
   parseMessageResponse,
   copy,
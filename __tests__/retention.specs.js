@@ -0,0 +1,106 @@
+const { metadataKey } = require('../lib/cluster');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:retention';
+
+describe('retention', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertData(count = 10, offset = 0) {
+    const samples = [];
+    for (let i = offset; i < offset + count; i++) {
+      samples.push([start_ts + i, { value: i }]);
+    }
+    return ts.bulkAdd(TIMESERIES_KEY, samples);
+  }
+
+  it('should default to no limits', async () => {
+    expect(await ts.retention(TIMESERIES_KEY)).toEqual({ maxAge: 0, maxCount: 0 });
+  });
+
+  it('should store the policy next to the series', async () => {
+    const policy = await ts.retention(TIMESERIES_KEY, { maxAge: 5000, maxCount: 100 });
+    expect(policy).toEqual({ maxAge: 5000, maxCount: 100 });
+
+    const meta = await client.hgetall(metadataKey(TIMESERIES_KEY));
+    expect(meta).toEqual({ retention_age: '5000', retention_count: '100' });
+    expect(await ts.retention(TIMESERIES_KEY)).toEqual(policy);
+  });
+
+  it('should update and remove limits', async () => {
+    await ts.retention(TIMESERIES_KEY, { maxAge: 5000, maxCount: 100 });
+
+    expect(await ts.retention(TIMESERIES_KEY, { maxCount: 0 })).toEqual({ maxAge: 5000, maxCount: 0 });
+    expect(await ts.retention(TIMESERIES_KEY, { maxAge: 0 })).toEqual({ maxAge: 0, maxCount: 0 });
+    expect(await client.exists(metadataKey(TIMESERIES_KEY))).toEqual(0);
+  });
+
+  it('should trim existing samples when the policy is set', async () => {
+    await insertData();
+
+    await ts.retention(TIMESERIES_KEY, { maxCount: 4 });
+    expect(await ts.times(TIMESERIES_KEY)).toEqual([6, 7, 8, 9].map(i => start_ts + i));
+  });
+
+  it('should trim by age on add', async () => {
+    await ts.retention(TIMESERIES_KEY, { maxAge: 3 });
+    await insertData(5);
+    // the newest timestamp is start_ts + 4, so samples before start_ts + 1 are dropped
+    expect(await ts.times(TIMESERIES_KEY)).toEqual([1, 2, 3, 4].map(i => start_ts + i));
+
+    await ts.add(TIMESERIES_KEY, start_ts + 6, { value: 6 });
+    expect(await ts.span(TIMESERIES_KEY)).toEqual([start_ts + 3, start_ts + 6]);
+  });
+
+  it('should trim by count on add', async () => {
+    await ts.retention(TIMESERIES_KEY, { maxCount: 3 });
+
+    for (let i = 0; i < 5; i++) {
+      await ts.add(TIMESERIES_KEY, start_ts + i, { value: i });
+    }
+    expect(await ts.times(TIMESERIES_KEY)).toEqual([2, 3, 4].map(i => start_ts + i));
+  });
+
+  it('should drop samples older than the retention window', async () => {
+    await ts.retention(TIMESERIES_KEY, { maxAge: 5 });
+    await insertData(3, 10);
+
+    await ts.add(TIMESERIES_KEY, start_ts, { value: 0 });
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(3);
+  });
+
+  it('should apply to set and incrBy', async () => {
+    await insertData(3);
+    await ts.retention(TIMESERIES_KEY, { maxCount: 3 });
+
+    await ts.set(TIMESERIES_KEY, start_ts + 3, { value: 3 });
+    expect(await ts.span(TIMESERIES_KEY)).toEqual([start_ts + 1, start_ts + 3]);
+
+    await ts.incrBy(TIMESERIES_KEY, start_ts + 4, { value: 1 });
+    expect(await ts.span(TIMESERIES_KEY)).toEqual([start_ts + 2, start_ts + 4]);
+  });
+
+  it('should not trim other series', async () => {
+    await ts.retention(TIMESERIES_KEY, { maxCount: 1 });
+    await ts.bulkAdd(`${TIMESERIES_KEY}:other`, [[start_ts, { value: 1 }], [start_ts + 1, { value: 2 }]]);
+
+    expect(await ts.size(`${TIMESERIES_KEY}:other`)).toEqual(2);
+  });
+
+  it('should reject invalid limits', async () => {
+    await expect(ts.retention(TIMESERIES_KEY, { maxAge: -1 })).rejects.toThrow(/MAXAGE must be a number/);
+    await expect(ts.call(TIMESERIES_KEY, 'retention', 'MAXSIZE', 10)).rejects.toThrow(/invalid option/);
+  });
+
+});
@@ -0,0 +1,131 @@
+const { Readable } = require('stream');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:scan';
+
+describe('scan', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function insertData(count = 25) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      samples.push([start_ts + i, { id: i, value: i * 10, even: i % 2 === 0 }]);
+    }
+    await ts.bulkAdd(TIMESERIES_KEY, samples);
+    return samples.map(([timestamp, values]) => ({ timestamp, values }));
+  }
+
+  async function collect(iterable) {
+    const result = [];
+    for await (const sample of iterable) {
+      result.push(sample);
+    }
+    return result;
+  }
+
+  it('should iterate over the entire range in pages', async () => {
+    const data = await insertData();
+    const spy = jest.spyOn(ts, 'callBuffer');
+
+    const actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 10 }));
+
+    expect(actual).toEqual(data);
+    // 10 + 10 + 5
+    expect(spy.mock.calls.filter(x => x[1] === 'scan').length).toEqual(3);
+  });
+
+  it('should resume after the last timestamp', async () => {
+    await insertData();
+    const spy = jest.spyOn(ts, 'callBuffer');
+
+    await collect(ts.scan(TIMESERIES_KEY, start_ts + 2, start_ts + 9, { count: 4 }));
+
+    const mins = spy.mock.calls.filter(x => x[1] === 'scan').map(x => x[2]);
+    expect(mins).toEqual([start_ts + 2, `(${start_ts + 5}`, `(${start_ts + 9}`]);
+  });
+
+  it('should support FILTER, LABELS and REDACT', async () => {
+    const data = await insertData();
+
+    let actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', {
+      count: 4,
+      filter: ['even=true', 'id>10'],
+      labels: ['id']
+    }));
+    let expected = data
+      .filter(x => x.values.even && x.values.id > 10)
+      .map(({ timestamp, values }) => ({ timestamp, values: { id: values.id } }));
+    expect(actual).toEqual(expected);
+
+    actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 7, redact: 'even' }));
+    expected = data.map(({ timestamp, values }) => ({ timestamp, values: { id: values.id, value: values.value } }));
+    expect(actual).toEqual(expected);
+  });
+
+  it('should support FORMAT', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, [[start_ts, { value: '1.5', active: false }], [start_ts + 1, { value: 2.5 }]]);
+
+    expect(await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 1 }))).toEqual([
+      { timestamp: start_ts, values: { value: 1.5, active: false } },
+      { timestamp: start_ts + 1, values: { value: 2.5 } }
+    ]);
+    for (const format of ['json', 'msgpack']) {
+      expect(await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 1, format }))).toEqual([
+        { timestamp: start_ts, values: { value: '1.5', active: false } },
+        { timestamp: start_ts + 1, values: { value: 2.5 } }
+      ]);
+    }
+  });
+
+  it('should continue past pages without matches', async () => {
+    const data = await insertData();
+
+    const actual = await collect(ts.scan(TIMESERIES_KEY, '-', '+', { count: 5, filter: 'id>=22' }));
+    expect(actual).toEqual(data.slice(22));
+  });
+
+  it('should return a readable stream', async () => {
+    const data = await insertData(12);
+
+    const stream = ts.scan(TIMESERIES_KEY, '-', '+', { count: 5 });
+    expect(stream).toBeInstanceOf(Readable);
+
+    const actual = await new Promise((resolve, reject) => {
+      const result = [];
+      stream.on('data', sample => result.push(sample));
+      stream.on('end', () => resolve(result));
+      stream.on('error', reject);
+    });
+    expect(actual).toEqual(data);
+  });
+
+  it('should handle an empty series', async () => {
+    const actual = await collect(ts.scan(TIMESERIES_KEY));
+    expect(actual).toEqual([]);
+  });
+
+  it('should scan from a query', async () => {
+    const data = await insertData();
+
+    const actual = await collect(ts.query(TIMESERIES_KEY).from(start_ts + 5).where('id<15').scan(3));
+    expect(actual).toEqual(data.slice(5, 15));
+  });
+
+  it('should reject invalid arguments', async () => {
+    expect(() => ts.scan(TIMESERIES_KEY, '-', '+', { count: 0 })).toThrow(/count/);
+    expect(() => ts.scan(TIMESERIES_KEY, '-', '+', { filter: 'id 5' })).toThrow(/FILTER/);
+    expect(() => ts.query(TIMESERIES_KEY).limit(10).scan()).toThrow(/LIMIT/);
+  });
+
+});
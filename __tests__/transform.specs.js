@@ -0,0 +1,99 @@
+const { createTimeSeries, rangeValues } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:transform';
+
+const SAMPLES = [
+  [1000, { value: 10, name: 'a' }],
+  [2000, { value: 20, name: 'b' }],
+  [3000, { name: 'c' }],
+  [5000, { value: 40, name: 'd' }],
+  [6000, { value: 30, name: 'e' }]
+];
+
+describe('TRANSFORM', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  async function transform(field, ...specs) {
+    const values = await rangeValues(ts, TIMESERIES_KEY, 'TRANSFORM', ...specs);
+    return values.map(x => x[field]);
+  }
+
+  it('should compute moving averages over a number of samples', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await transform('value_sma', 'sma(value, 2)')).toEqual([10, 15, undefined, 30, 35]);
+    const averages = await transform('value_sma', 'sma(value, 10)');
+    expect(averages[3]).toBeCloseTo(70 / 3);
+    expect(averages[4]).toEqual(25);
+  });
+
+  it('should compute moving averages over a time window', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    // the values within the last 3 seconds, ending at each sample
+    expect(await transform('value_sma', 'sma(value, 3s)')).toEqual([10, 15, undefined, 40, 35]);
+    expect(await transform('value_sma', 'sma(value, 4000ms)')).toEqual([10, 15, undefined, 30, 35]);
+  });
+
+  it('should compute exponential moving averages', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await transform('value_ema', 'ema(value, 0.5)')).toEqual([10, 15, undefined, 27.5, 28.75]);
+    // alpha = 2 / (3 + 1)
+    expect(await transform('value_ema', 'ema(value, 3)')).toEqual(await transform('value_ema', 'ema(value, 0.5)'));
+  });
+
+  it('should compute running totals and differences', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await rangeValues(ts, TIMESERIES_KEY, 'TRANSFORM', 'cumsum(value)', 'diff(value)')).toEqual([
+      { value: 10, name: 'a', value_cumsum: 10 },
+      { value: 20, name: 'b', value_cumsum: 30, value_diff: 10 },
+      { name: 'c' },
+      { value: 40, name: 'd', value_cumsum: 70, value_diff: 20 },
+      { value: 30, name: 'e', value_cumsum: 100, value_diff: -10 }
+    ]);
+  });
+
+  it('should apply transforms in order of time with revrange', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.revrange(TIMESERIES_KEY, '-', '+', 'TRANSFORM', 'cumsum(value)');
+    expect(range.map(x => x.values.value_cumsum)).toEqual([100, 70, undefined, 30, 10]);
+  });
+
+  it('should apply transforms after FILTER and before FORMAT', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.range(TIMESERIES_KEY, '-', '+', 'FILTER', 'value>15', 'TRANSFORM', 'cumsum(value)', 'LABELS', 'value', 'FORMAT', 'json');
+    expect(range).toEqual([
+      { timestamp: 2000, values: { value: 20, value_cumsum: 20 } },
+      { timestamp: 5000, values: { value: 40, value_cumsum: 60 } },
+      { timestamp: 6000, values: { value: 30, value_cumsum: 90 } }
+    ]);
+  });
+
+  it('should validate transforms', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const check = (args, error) => expect(ts.range(TIMESERIES_KEY, '-', '+', ...args)).rejects.toThrow(error);
+
+    await check(['TRANSFORM', 'median(value)'], /invalid transform type/);
+    await check(['TRANSFORM', 'sma(value)'], /sma expects an argument/);
+    await check(['TRANSFORM', 'sma(value, 1M)'], /sma: expecting a number of samples or a duration/);
+    await check(['TRANSFORM', 'sma(value, 1.5)'], /integer/);
+    await check(['TRANSFORM', 'ema(value, 0)'], /ema: expecting/);
+    await check(['TRANSFORM', 'cumsum(value, 2)'], /does not take an argument/);
+    await check(['TRANSFORM', 'LABELS', 'value'], /at least one transform/);
+    await check(['AGGREGATION', 10, 'sum(value)', 'TRANSFORM', 'cumsum(value)'], /cannot be combined with AGGREGATION/);
+  });
+
+});
@@ -0,0 +1,80 @@
+const { SCRIPT_VERSION, isCompatibleVersion } = require('../lib/script');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:version';
+
+describe('version', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+    return client.script('flush');
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  it('should return the script name and version', async () => {
+    const actual = await ts.version();
+    expect(actual).toEqual({ name: 'timeseries-lex.lua', version: SCRIPT_VERSION });
+
+    const response = await ts.call(TIMESERIES_KEY, 'version');
+    expect(response).toEqual(['timeseries-lex.lua', SCRIPT_VERSION]);
+  });
+
+  it('should load the script if it is not cached', async () => {
+    const spy = jest.spyOn(client, 'script');
+    await ts.add(TIMESERIES_KEY, 1000, { value: 1 });
+
+    const loads = spy.mock.calls.filter(x => x[0] === 'load');
+    expect(loads.length).toEqual(1);
+    const [exists] = await client.script('exists', ts.sha);
+    expect(exists).toEqual(1);
+  });
+
+  it('should reload the script on NOSCRIPT', async () => {
+    await ts.add(TIMESERIES_KEY, 1000, { value: 1 });
+    await client.script('flush');
+
+    const spy = jest.spyOn(client, 'script');
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(1);
+    expect(spy.mock.calls.filter(x => x[0] === 'load').length).toEqual(1);
+
+    // the buffer variant recovers as well
+    await client.script('flush');
+    const actual = await ts.range(TIMESERIES_KEY, '-', '+', 'FORMAT', 'msgpack');
+    expect(actual).toEqual([{ timestamp: 1000, values: { value: 1 } }]);
+  });
+
+  it('should check the version again after reconnecting', async () => {
+    await ts.version();
+    const spy = jest.spyOn(client, 'script');
+
+    client.emit('ready');
+    await ts.size(TIMESERIES_KEY);
+    expect(spy.mock.calls.filter(x => x[0] === 'exists').length).toEqual(1);
+  });
+
+  it('should refuse to run against an incompatible version', async () => {
+    const spy = jest.spyOn(ts, '_exec').mockResolvedValueOnce(['timeseries-lex.lua', '0.0.1']);
+
+    await expect(ts.size(TIMESERIES_KEY)).rejects.toThrow(/incompatible/);
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    // the check is repeated on the next call
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(0);
+  });
+
+  it('should compare versions', () => {
+    expect(isCompatibleVersion('0.1.0', '0.1.0')).toEqual(true);
+    expect(isCompatibleVersion('0.1.3', '0.1.0')).toEqual(true);
+    expect(isCompatibleVersion('0.1.0', '0.1.2')).toEqual(false);
+    expect(isCompatibleVersion('0.2.0', '0.1.0')).toEqual(false);
+    expect(isCompatibleVersion('1.4.0', '1.2.0')).toEqual(true);
+    expect(isCompatibleVersion('2.0.0', '1.2.0')).toEqual(false);
+    expect(isCompatibleVersion('bogus', '1.2.0')).toEqual(false);
+  });
+
+});
@@ -0,0 +1,87 @@
+const { createTimeSeries, rangeValues } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:wildcard';
+
+const SAMPLES = [
+  [1, { cpu: 10, mem: 100, host: 'a' }],
+  [2, { cpu: 20, host: 'b' }],
+  [5, { mem: 300 }],
+  [11, { cpu: 40, mem: 200, host: 'c' }],
+  [12, { status: 'down' }]
+];
+
+describe('wildcard aggregations', () => {
+  let client;
+  let ts;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  it('should aggregate every numeric field', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 10, 'avg(*)')).toEqual([
+      { cpu: { avg: 15 }, mem: { avg: 200 } },
+      { cpu: { avg: 40 }, mem: { avg: 200 } }
+    ]);
+  });
+
+  it('should count samples irrespective of their fields', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 10, 'count(*)', 'count(cpu)')).toEqual([
+      { '*': { count: 3 }, cpu: { count: 2 } },
+      { '*': { count: 2 }, cpu: { count: 1 } }
+    ]);
+  });
+
+  it('should combine wildcards with named fields', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 10, 'max(*)', 'last(host)', 'p50(*)', 'max(cpu)')).toEqual([
+      { cpu: { max: 20, p50: 15 }, mem: { max: 300, p50: 200 }, host: { last: 'b' } },
+      { cpu: { max: 40, p50: 40 }, mem: { max: 200, p50: 200 }, host: { last: 'c' } }
+    ]);
+  });
+
+  it('should exclude redacted fields', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    expect(await rangeValues(ts, TIMESERIES_KEY, 'REDACT', 'mem', 'AGGREGATION', 10, 'sum(*)')).toEqual([
+      { cpu: { sum: 30 } },
+      { cpu: { sum: 40 } }
+    ]);
+  });
+
+  it('should fill wildcard aggregations', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    const range = await ts.range(TIMESERIES_KEY, 0, 29, 'AGGREGATION', 10, 'count(*)', 'FILL', 0, 'FORMAT', 'json');
+    expect(range.map(x => x.values['*'].count)).toEqual([3, 2, 0]);
+  });
+
+  it('should store wildcard aggregations with copy', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+    const dest = `${TIMESERIES_KEY}:copy`;
+
+    await ts.copy(TIMESERIES_KEY, dest, '-', '+', 'AGGREGATION', 10, 'count(*)', 'sum(*)');
+    expect(await ts.range(dest, '-', '+')).toEqual([
+      { timestamp: 0, values: { count: 3, cpu_sum: 30, mem_sum: 400 } },
+      { timestamp: 10, values: { count: 2, cpu_sum: 40, mem_sum: 200 } }
+    ]);
+  });
+
+  it('should validate wildcards', async () => {
+    await ts.bulkAdd(TIMESERIES_KEY, SAMPLES);
+
+    await expect(rangeValues(ts, TIMESERIES_KEY, 'AGGREGATION', 10, 'avg(*cpu)')).rejects.toThrow(/invalid or missing aggregate spec/);
+    await expect(rangeValues(ts, TIMESERIES_KEY, 'TRANSFORM', 'cumsum(*)')).rejects.toThrow(/invalid transform/);
+    await expect(ts.createRule(TIMESERIES_KEY, 'dest', 10, 'avg(*)')).rejects.toThrow(/fields must be named/);
+  });
+
+});
@@ -0,0 +1,173 @@
+const { SampleWriter } = require('../index');
+const { createTimeSeries } = require('./redis');
+
+const TIMESERIES_KEY = 'ts:writer';
+
+describe('SampleWriter', () => {
+  let client;
+  let ts;
+
+  const start_ts = 1511885900;
+
+  beforeEach(async () => {
+    ({ client, ts } = await createTimeSeries());
+  });
+
+  afterEach(() => {
+    return client.quit();
+  });
+
+  function generate(key, count, offset = 0) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      samples.push({ key, timestamp: start_ts + offset + i, values: { id: offset + i, value: (offset + i) * 10 } });
+    }
+    return samples;
+  }
+
+  function writeAll(stream, samples) {
+    return new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.on('finish', resolve);
+      samples.forEach(sample => stream.write(sample));
+      stream.end();
+    });
+  }
+
+  it('should store samples in batches per key', async () => {
+    const spy = jest.spyOn(ts, 'bulkAdd');
+    const stream = ts.createWriteStream({ batchSize: 10, flushInterval: 0 });
+    expect(stream).toBeInstanceOf(SampleWriter);
+
+    const batches = [];
+    stream.on('batch', batch => batches.push(batch));
+
+    const first = generate(TIMESERIES_KEY, 25);
+    const second = generate(`${TIMESERIES_KEY}:2`, 5);
+    await writeAll(stream, [...first, ...second]);
+
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(25);
+    expect(await ts.size(`${TIMESERIES_KEY}:2`)).toEqual(5);
+
+    // 10 + 10 + 5 and 5
+    expect(spy.mock.calls.map(([key, samples]) => [key, samples.length])).toEqual([
+      [TIMESERIES_KEY, 10],
+      [TIMESERIES_KEY, 10],
+      [TIMESERIES_KEY, 5],
+      [`${TIMESERIES_KEY}:2`, 5]
+    ]);
+    expect(batches.reduce((sum, x) => sum + x.count, 0)).toEqual(30);
+
+    const actual = await ts.range(TIMESERIES_KEY, '-', '+');
+    expect(actual).toEqual(first.map(({ timestamp, values }) => ({ timestamp, values })));
+  });
+
+  it('should flush on an interval', async () => {
+    const stream = ts.createWriteStream({ batchSize: 100, flushInterval: 20 });
+    generate(TIMESERIES_KEY, 5).forEach(sample => stream.write(sample));
+
+    await new Promise(resolve => stream.once('batch', resolve));
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(5);
+    stream.destroy();
+  });
+
+  it('should apply backpressure while batches are in flight', async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    jest.spyOn(ts, 'bulkAdd').mockImplementation(async (key, samples) => {
+      await pending;
+      return samples.length;
+    });
+
+    const stream = ts.createWriteStream({ batchSize: 2, concurrency: 1, flushInterval: 0, highWaterMark: 2 });
+    const results = generate(TIMESERIES_KEY, 6).map(sample => stream.write(sample));
+
+    expect(results[results.length - 1]).toEqual(false);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(ts.bulkAdd).toHaveBeenCalledTimes(1);
+
+    const drained = new Promise(resolve => stream.once('drain', resolve));
+    release();
+    await drained;
+    await new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      stream.end();
+    });
+    expect(ts.bulkAdd).toHaveBeenCalledTimes(3);
+  });
+
+  it('should store the batches of a key in order, within the concurrency', async () => {
+    const running = new Set();
+    const calls = [];
+    let maxRunning = 0;
+    let overlapping = false;
+    jest.spyOn(ts, 'bulkAdd').mockImplementation(async (key, samples) => {
+      overlapping = overlapping || running.has(key);
+      running.add(key);
+      maxRunning = Math.max(maxRunning, running.size);
+      calls.push([key, samples[0][0]]);
+      await new Promise(resolve => setTimeout(resolve, 15));
+      running.delete(key);
+      return samples.length;
+    });
+
+    const stream = ts.createWriteStream({ batchSize: 3, concurrency: 2, flushInterval: 5 });
+    const keys = ['a', 'b', 'c'].map(x => `${TIMESERIES_KEY}:${x}`);
+    for (let i = 0; i < 8; i++) {
+      keys.forEach(key => stream.write(generate(key, 2, i * 2)[0]));
+      await new Promise(resolve => setTimeout(resolve, 4));
+    }
+    await stream.flush();
+    stream.destroy();
+
+    expect(maxRunning).toBeLessThanOrEqual(2);
+    expect(overlapping).toEqual(false);
+    keys.forEach(key => {
+      const timestamps = calls.filter(x => x[0] === key).map(x => x[1]);
+      expect(timestamps).toEqual([...timestamps].sort((a, b) => a - b));
+    });
+  });
+
+  it('should report failed batches', async () => {
+    jest.spyOn(ts, 'bulkAdd').mockImplementation(async (key, samples) => {
+      if (key === 'bad') throw new Error('WRONGTYPE');
+      return samples.length;
+    });
+
+    const stream = ts.createWriteStream({ batchSize: 2, flushInterval: 0 });
+    const errors = [];
+    stream.on('batchError', err => errors.push(err));
+
+    await writeAll(stream, [...generate('bad', 3), ...generate(TIMESERIES_KEY, 2)]);
+
+    expect(errors.length).toEqual(2);
+    expect(errors[0].key).toEqual('bad');
+    expect(errors[0].samples.length).toEqual(2);
+    expect(errors[0].message).toMatch(/WRONGTYPE/);
+    expect(ts.bulkAdd).toHaveBeenCalledTimes(3);
+  });
+
+  it('should emit unhandled batch failures as errors', async () => {
+    jest.spyOn(ts, 'bulkAdd').mockImplementation(async () => {
+      throw new Error('WRONGTYPE');
+    });
+    const stream = ts.createWriteStream({ batchSize: 1, flushInterval: 0 });
+    await expect(writeAll(stream, generate(TIMESERIES_KEY, 1))).rejects.toThrow(/WRONGTYPE/);
+  });
+
+  it('should pass the duplicate policy to bulkAdd', async () => {
+    const stream = ts.createWriteStream({ flushInterval: 0, duplicatePolicy: 'SUM' });
+    await writeAll(stream, [...generate(TIMESERIES_KEY, 2), { key: TIMESERIES_KEY, timestamp: start_ts, values: { value: 5 } }]);
+
+    expect(await ts.get(TIMESERIES_KEY, start_ts)).toEqual({ id: 0, value: 5 });
+    expect(await ts.size(TIMESERIES_KEY)).toEqual(2);
+  });
+
+  it('should reject invalid samples', async () => {
+    const stream = ts.createWriteStream({ flushInterval: 0 });
+    await expect(writeAll(stream, [{ key: TIMESERIES_KEY, values: {} }])).rejects.toThrow(/timestamp/);
+    expect(() => ts.createWriteStream({ batchSize: 0 })).toThrow(/batchSize/);
+  });
+
+});
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Command line interface to timeseries-lex.lua, e.g.
+//
+//  ts-lex range readings:temp - + FILTER 'temperature>18'
+//  ts-lex export readings:temp --file temp.ndjson
+//
+// Run `ts-lex --help` for the list of commands.
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
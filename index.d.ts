@@ -0,0 +1,545 @@
+// Type definitions for redis-timeseries-lex
+
+import { Readable, Writable } from 'stream';
+
+declare class TimeSeries {
+  constructor(client: TimeSeries.RedisClient, options?: TimeSeries.ClientOptions);
+
+  readonly client: TimeSeries.RedisClient;
+  readonly mode: TimeSeries.Mode;
+  readonly crossSlot: TimeSeries.CrossSlot;
+  /** true if the client is an ioredis Cluster */
+  readonly isCluster: boolean;
+
+  /** The sha1 of the loaded script, once `load` has completed. */
+  readonly sha: string | null;
+
+  /**
+   * Loads the script into redis if necessary and checks that its version is compatible with the client.
+   * Called implicitly by all commands, and again after the connection is re-established.
+   */
+  load(): Promise<void>;
+
+  /** The name and version of the script on the server. */
+  version(): Promise<{ name: string; version: string }>;
+
+  /** Issues a raw `Timeseries` command. */
+  call(keys: string | string[], command: string, ...args: TimeSeries.OptionArg[]): Promise<any>;
+  callBuffer(keys: string | string[], command: string, ...args: TimeSeries.OptionArg[]): Promise<any>;
+
+  /** Start a query against the series at `key`. */
+  query(key: string): TimeSeries.Query;
+
+  add(key: string, timestamp: TimeSeries.Timestamp, values: TimeSeries.SampleValues, options?: TimeSeries.AddOptions): Promise<number>;
+  /** Resolves to the number of samples stored, which excludes those ignored by `KEEP_FIRST`. */
+  bulkAdd(key: string, samples: Array<[TimeSeries.Timestamp, TimeSeries.SampleValues]>, options?: TimeSeries.AddOptions): Promise<number>;
+
+  get<T = TimeSeries.SampleValues>(key: string, timestamp: TimeSeries.Timestamp, ...args: TimeSeries.OptionArg[]): Promise<T | null>;
+  pop<T = TimeSeries.SampleValues>(key: string, timestamp: TimeSeries.Timestamp, ...args: TimeSeries.OptionArg[]): Promise<T | null>;
+  set(key: string, timestamp: TimeSeries.Timestamp, values: TimeSeries.SampleValues): Promise<void>;
+  incrBy(key: string, timestamp: TimeSeries.Timestamp, values: { [field: string]: number }): Promise<number[]>;
+  del(key: string, ...timestamps: TimeSeries.Timestamp[]): Promise<number>;
+
+  /**
+   * Query a range of samples. When `AGGREGATION` is specified, specify `AggregatedValues`
+   * as the type parameter.
+   */
+  range<T = TimeSeries.SampleValues>(key: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<Array<TimeSeries.Sample<T>>>;
+  /**
+   * As `range`, latest first. The boundaries are given as `min, max`, as for `range`. Before version 0.3.0 of the
+   * script, `max` had to be given first.
+   */
+  revrange<T = TimeSeries.SampleValues>(key: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<Array<TimeSeries.Sample<T>>>;
+  poprange<T = TimeSeries.SampleValues>(key: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<Array<TimeSeries.Sample<T>>>;
+  remrange(key: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<number>;
+  count(key: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<number>;
+
+  /** Create a Writable stream which stores `{ key, timestamp, values }` samples using batched `bulkAdd` calls. */
+  createWriteStream(options?: TimeSeries.WriterOptions): TimeSeries.SampleWriter;
+
+  /**
+   * Iterate over the samples between `min` and `max` in pages of `options.count` entries.
+   * The result is an object mode stream, which can also be consumed with `for await`.
+   */
+  scan<T = TimeSeries.SampleValues>(key: string, min?: TimeSeries.RangeBoundary, max?: TimeSeries.RangeBoundary, options?: TimeSeries.ScanOptions): TimeSeries.SampleStream<T>;
+
+  exists(key: string, timestamp: TimeSeries.Timestamp): Promise<boolean>;
+  /** The first and last timestamps in the series, or an empty list if the series is empty. */
+  span(key: string): Promise<[number, number] | []>;
+  times(key: string, min?: TimeSeries.RangeBoundary, max?: TimeSeries.RangeBoundary): Promise<number[]>;
+  size(key: string): Promise<number>;
+  /**
+   * Run a range query on each series whose labels match all of `matchers`, e.g. `['region=eu', 'type!=test']`.
+   * Not supported on a cluster, or in function mode.
+   */
+  mrange<T = TimeSeries.SampleValues>(matchers: string | string[], min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<Array<TimeSeries.SeriesRange<T>>>;
+  /** As `mrange`, latest first. The boundaries are given as `min, max`, as for `mrange`. */
+  mrevrange<T = TimeSeries.SampleValues>(matchers: string | string[], min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<Array<TimeSeries.SeriesRange<T>>>;
+
+  labels(key: string): Promise<TimeSeries.Labels>;
+  /** Attach labels to a series, resolving to the number of labels set. Not supported on a cluster. */
+  setLabels(key: string, labels: TimeSeries.Labels): Promise<number>;
+  /** Remove labels from a series, resolving to the number of labels removed. Not supported on a cluster. */
+  delLabels(key: string, ...names: string[]): Promise<number>;
+  info(key: string, options?: { samples?: number }): Promise<TimeSeries.SeriesInfo>;
+  /** Get the retention policy of a series, or update it by passing the limits to change. */
+  retention(key: string, policy?: Partial<TimeSeries.RetentionPolicy>): Promise<TimeSeries.RetentionPolicy>;
+  /** Get the duplicate policy of a series, or set it by passing a policy. Defaults to `REPLACE`. */
+  duplicatePolicy(key: string, policy?: TimeSeries.DuplicatePolicy): Promise<TimeSeries.DuplicatePolicy>;
+  /**
+   * Downsample `key` into `dest` as samples are added. In a cluster, `dest` must be in the same slot as `key`, and
+   * rules are not supported in function mode. Samples trimmed by the retention policy of `key` are kept in the
+   * aggregates of `dest`.
+   */
+  createRule(key: string, dest: string, timeBucket: number, aggregations: TimeSeries.AggregationSpec): Promise<number>;
+  /** Remove the compaction rule from `key` to `dest`, resolving to 1 if it existed. */
+  deleteRule(key: string, dest: string): Promise<number>;
+  rules(key: string): Promise<TimeSeries.CompactionRule[]>;
+  /** Rewrite series stored by versions before 0.3.0 in the current timestamp encoding, resolving to the number of entries rewritten. */
+  migrate(keys: string | string[], options?: { batchSize?: number }): Promise<number>;
+
+  copy(src: string, dest: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<number>;
+  merge(src1: string, src2: string, dest: string, min: TimeSeries.RangeBoundary, max: TimeSeries.RangeBoundary, ...args: TimeSeries.OptionArg[]): Promise<number>;
+
+  /** Derive a key in the same cluster slot as `key`. */
+  colocatedKey(key: string, suffix: string): string;
+}
+
+declare namespace TimeSeries {
+  /**
+   * The subset of an ioredis connection (Redis or Cluster) used by the client.
+   */
+  export interface RedisClient {
+    script(subcommand: 'load' | 'exists', ...args: string[]): Promise<any>;
+    evalsha(sha: string, numKeys: number, ...args: Array<string | number>): Promise<any>;
+    evalshaBuffer(sha: string, numKeys: number, ...args: Array<string | number>): Promise<any>;
+    [command: string]: any;
+  }
+
+  /**
+   * `script` runs commands with EVALSHA. `function` loads the script as a redis 7 function library,
+   * and runs commands with FCALL, or FCALL_RO for read-only commands.
+   */
+  export type Mode = 'script' | 'function';
+
+  /**
+   * How `copy` and `merge` handle keys in different cluster slots. `fallback` moves the data through the
+   * client, `error` rejects the command.
+   */
+  export type CrossSlot = 'fallback' | 'error';
+
+  export interface ClientOptions {
+    /** defaults to `script` */
+    mode?: Mode;
+    /** defaults to `fallback` */
+    crossSlot?: CrossSlot;
+  }
+
+  /** The cluster slot of `key`, taking hash tags into account. */
+  export function hashSlot(key: string): number;
+  /**
+   * Derive a key in the same cluster slot as `key`, e.g. `sensor:1` => `{sensor:1}:hourly`, or
+   * `{sensor:1}:temp` => `{sensor:1}:temp:hourly`.
+   */
+  export function colocatedKey(key: string, suffix: string): string;
+
+  /** Package the script source as a redis 7 function library, registering each command as `ts_<command>`. */
+  export function buildLibrary(lua: string): string;
+  /** The function library built from the bundled script. */
+  export function loadLibrary(): Promise<string>;
+
+  /** A timestamp, or `*` for the current redis server time. */
+  export type Timestamp = number | string;
+
+  /**
+   * A range boundary. In addition to timestamps, the special values `-` and `+` denote the lowest
+   * and highest timestamps in the series. Values starting with `(` or `[` are passed through to redis as is.
+   */
+  export type RangeBoundary = number | '-' | '+' | '*' | string;
+
+  export type Scalar = string | number | boolean | null;
+
+  export interface SampleValues {
+    [field: string]: Scalar;
+  }
+
+  export interface Sample<T = SampleValues> {
+    timestamp: number;
+    values: T;
+  }
+
+  /** Option keywords recognized by `range`, `revrange`, `poprange`, `count`, `remrange`, `copy` and `merge`. */
+  export type OptionKeyword =
+    | 'LIMIT'
+    | 'FILTER'
+    | 'AGGREGATION'
+    | 'LABELS'
+    | 'REDACT'
+    | 'FORMAT'
+    | 'STORAGE'
+    | 'FILL'
+    | 'ALIGN'
+    | 'TIMEZONE'
+    | 'TRANSFORM'
+    | 'GROUPBY';
+
+  export type FilterJoin = 'AND' | 'OR';
+
+  export type Format = 'json' | 'msgpack';
+
+  export type Storage = 'timeseries' | 'hash';
+
+  /**
+   * How empty buckets of an aggregation are filled: a mode, or a constant value. Values which cannot be
+   * filled (e.g. with `null`, or `previous` before the first bucket with samples) are returned as null.
+   */
+  export type Fill = 'none' | 'null' | 'previous' | 'next' | 'linear' | number;
+
+  /**
+   * An aggregation bucket size: a number, or a duration for millisecond timestamps, e.g. `'5m'`, `'1d'`, `'1w'`
+   * or `'1M'` (calendar months).
+   */
+  export type TimeBucket = number | string;
+
+  /** Where aggregation buckets are aligned: the start or end of the query, or a timestamp. */
+  export type Align = 'start' | 'end' | number;
+
+  /**
+   * A positional option argument, e.g.
+   *
+   *  `'LIMIT', 0, 10`
+   *  `'FILTER', 'amount>5000', 'OR', 'status=preferred'`
+   *  `'AGGREGATION', 5000, 'avg(value)', 'max(value)'`
+   *  `'LABELS', 'name', 'amount'`
+   *  `'REDACT', 'credit_card'`
+   *  `'FORMAT', 'json'`
+   *  `'STORAGE', 'hash'`
+   *  `'FILL', 'linear'`
+   *  `'ALIGN', 'start'`
+   *  `'TIMEZONE', '+02:00'`
+   *  `'TRANSFORM', 'sma(value, 10)', 'cumsum(value)'`
+   *  `'GROUPBY', 'region'`
+   */
+  export type OptionArg = OptionKeyword | FilterJoin | Format | Storage | Fill | string | number;
+
+  export type AggregationType =
+    | 'count'
+    | 'sum'
+    | 'avg'
+    | 'median'
+    | 'stdev'
+    | 'min'
+    | 'max'
+    | 'first'
+    | 'last'
+    | 'range'
+    | 'data'
+    | 'distinct'
+    | 'stats'
+    | 'count_distinct'
+    | 'rate'
+    | 'irate'
+    | 'increase'
+    | 'delta'
+    | Percentile;
+
+  /** A percentile between 0 and 100, e.g. `p95` or `p99.9`. */
+  export type Percentile = `p${number}`;
+
+  /** The result of the `stats` aggregation. */
+  export interface Stats {
+    count: number;
+    sum: number;
+    min: number;
+    max: number;
+    mean: number;
+    std: number;
+  }
+
+  /** Result shape of each aggregation type. */
+  export interface AggregationResult {
+    count: number;
+    sum: number;
+    avg: number;
+    median: number;
+    stdev: number;
+    min: number | string;
+    max: number | string;
+    first: Scalar;
+    last: Scalar;
+    range: number;
+    data: Scalar[];
+    distinct: Scalar[];
+    stats: Stats;
+    /** the number of occurrences of each distinct value */
+    count_distinct: { [value: string]: number };
+    /** the increase of a counter per unit, between the first and last samples of the bucket */
+    rate: number;
+    /** the increase of a counter per unit, between the last 2 samples of the bucket */
+    irate: number;
+    increase: number;
+    delta: number;
+    [percentile: Percentile]: number;
+  }
+
+  /** Aggregated values of a single field, keyed by aggregation type. */
+  export type FieldAggregation = Partial<AggregationResult>;
+
+  /** Aggregated values keyed by field. `count(*)` is returned under the field `*`. */
+  export interface AggregatedValues {
+    [field: string]: FieldAggregation;
+  }
+
+  /** A single bucket of an aggregated range query. */
+  export type AggregatedSample = Sample<AggregatedValues>;
+
+  /**
+   * Aggregated values with `GROUPBY`, nested by the value of each group field, e.g.
+   * `{ eu: { latency: { avg: 12 } } }` for `GROUPBY region`.
+   */
+  export interface GroupedValues {
+    [group: string]: AggregatedValues | GroupedValues;
+  }
+
+  /**
+   * How `add` and `bulkAdd` handle a sample at a timestamp which already holds a different one. `MERGE_FIELDS`
+   * keeps the fields of the existing sample, overwritten by the new ones. `SUM`, `MIN` and `MAX` do the same,
+   * combining numeric fields present in both.
+   */
+  export type DuplicatePolicy = 'BLOCK' | 'REPLACE' | 'KEEP_FIRST' | 'MERGE_FIELDS' | 'SUM' | 'MIN' | 'MAX';
+
+  export interface AddOptions {
+    /** overrides the duplicate policy of the series */
+    duplicatePolicy?: DuplicatePolicy;
+  }
+
+  /** Limits on the samples kept in a series. 0 means no limit. */
+  export interface RetentionPolicy {
+    /** the maximum age of a sample, relative to the newest timestamp in the series */
+    maxAge: number;
+    /** the maximum number of samples */
+    maxCount: number;
+  }
+
+  /** A rule downsampling a series into `dest` as samples are added. */
+  export interface CompactionRule {
+    dest: string;
+    timeBucket: number;
+    /** e.g. `['avg(value)', 'max(value)']` */
+    aggregations: string[];
+  }
+
+  /** Descriptive labels attached to a series, e.g. `{ region: 'eu', unit: 'celsius' }`. */
+  export interface Labels {
+    [name: string]: string;
+  }
+
+  /** The result of `mrange` for a single series. */
+  export interface SeriesRange<T = SampleValues> {
+    key: string;
+    labels: Labels;
+    samples: Array<Sample<T>>;
+  }
+
+  export interface SeriesInfo {
+    /** null if the series is empty */
+    firstTimestamp: number | null;
+    lastTimestamp: number | null;
+    totalSamples: number;
+    /** the sorted names of the fields used by the samples */
+    fields: string[];
+    retention: RetentionPolicy;
+    labels: Labels;
+    /** approximate memory used by the series and its metadata, in bytes */
+    memoryUsage: number;
+  }
+
+  export interface ScanOptions {
+    /** the maximum number of entries fetched per round trip. Defaults to 500 */
+    count?: number;
+    filter?: string | string[];
+    labels?: string | string[];
+    redact?: string | string[];
+    /** fetch the values exactly as stored, as with the FORMAT option of range */
+    format?: Format;
+  }
+
+  export interface SampleStream<T = SampleValues> extends Readable {
+    [Symbol.asyncIterator](): AsyncIterableIterator<Sample<T>>;
+  }
+
+  /** A sample written to a `SampleWriter`. */
+  export interface KeyedSample {
+    key: string;
+    timestamp: Timestamp;
+    values: SampleValues;
+  }
+
+  export interface WriterOptions {
+    /** the maximum number of samples per `bulkAdd` call. Defaults to 500 */
+    batchSize?: number;
+    /** the interval (ms) at which partial batches are sent. 0 disables. Defaults to 1000 */
+    flushInterval?: number;
+    /** the maximum number of batches in flight before writes are held back. Defaults to 2 */
+    concurrency?: number;
+    duplicatePolicy?: DuplicatePolicy;
+    highWaterMark?: number;
+  }
+
+  /** Raised for a batch which could not be stored. */
+  export interface BatchError extends Error {
+    key: string;
+    samples: Array<[Timestamp, SampleValues]>;
+    cause: Error;
+  }
+
+  /** Object mode Writable accepting `KeyedSample`s. */
+  export class SampleWriter extends Writable {
+    constructor(timeseries: TimeSeries, options?: WriterOptions);
+    readonly batchSize: number;
+    readonly concurrency: number;
+    /** Send all pending samples, resolving once all batches in flight have completed. */
+    flush(): Promise<void>;
+
+    on(event: 'batch', listener: (batch: { key: string; count: number }) => void): this;
+    on(event: 'batchError', listener: (error: BatchError) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  export type TransferFormat = 'csv' | 'ndjson';
+
+  export interface ImportOptions {
+    /** defaults to `ndjson` */
+    format?: TransferFormat;
+    /** the CSV column holding the timestamp. Defaults to `timestamp` */
+    timestampColumn?: string;
+    /** the CSV column names, for input without a header row */
+    columns?: string[];
+    /** the CSV columns to import. Defaults to all but the timestamp */
+    fields?: string[];
+    /** the CSV delimiter. Defaults to `,` */
+    delimiter?: string;
+    batchSize?: number;
+    concurrency?: number;
+    duplicatePolicy?: DuplicatePolicy;
+  }
+
+  export interface ExportOptions extends Omit<ScanOptions, 'format'> {
+    /** defaults to `ndjson` */
+    format?: TransferFormat;
+    min?: RangeBoundary;
+    max?: RangeBoundary;
+    /** the CSV field columns, in order. Defaults to the labels, else the sorted names of all fields */
+    columns?: string[];
+    /** the CSV delimiter. Defaults to `,` */
+    delimiter?: string;
+  }
+
+  /** Add samples read from a CSV or NDJSON stream to `key`, resolving to the number of samples added. */
+  export function importSamples(timeseries: TimeSeries, key: string, input: NodeJS.ReadableStream, options?: ImportOptions): Promise<number>;
+  /** Write the samples of `key` to a stream as CSV or NDJSON, resolving to the number of samples written. */
+  export function exportSamples(timeseries: TimeSeries, key: string, output: NodeJS.WritableStream, options?: ExportOptions): Promise<number>;
+
+  export type ComparisonOperator = '=' | '!=' | '<' | '<=' | '>' | '>=';
+
+  /** Equality conditions, keyed by field. An array value matches any of the listed values. */
+  export interface ConditionHash {
+    [field: string]: Scalar | Scalar[];
+  }
+
+  export type Condition = string | ConditionHash;
+
+  /**
+   * Aggregations keyed by field, e.g. `{ value: ['avg', 'p95'] }`, or a list such as
+   * `['avg(value)', 'percentile(value, 99.9)', 'rate(requests, 1s)']`. The field `*` stands for every
+   * numeric field, or for samples with `count(*)`.
+   */
+  export type AggregationSpec = { [field: string]: AggregationType | AggregationType[] } | string[] | string;
+
+  export type QueryCommand = 'range' | 'revrange' | 'poprange' | 'count' | 'remrange' | 'copy' | 'merge' | 'scan';
+
+  /** Fluent builder for range queries. */
+  export class Query {
+    constructor(timeseries?: TimeSeries, key?: string);
+
+    from(min: RangeBoundary): this;
+    to(max: RangeBoundary): this;
+    where(field: string, op: ComparisonOperator, value: Scalar | Scalar[]): this;
+    where(...conditions: Condition[]): this;
+    orWhere(field: string, op: ComparisonOperator, value: Scalar | Scalar[]): this;
+    orWhere(...conditions: Condition[]): this;
+    limit(count: number): this;
+    limit(offset: number, count: number): this;
+    aggregate(timeBucket: TimeBucket, spec: AggregationSpec): this;
+    labels(...names: string[]): this;
+    redact(...names: string[]): this;
+    format(format: Format): this;
+    storage(storage: Storage): this;
+    /** Emit every bucket of the aggregation between the boundaries of the query. */
+    fill(mode: Fill): this;
+    align(alignment: Align): this;
+    /** A fixed offset from UTC, e.g. `'+02:00'`, for buckets of days, weeks and months. */
+    timezone(offset: string): this;
+    /**
+     * Add series computed from a field, e.g. `'sma(value, 10)'`, `'sma(value, 5m)'`, `'ema(value, 0.5)'`,
+     * `'cumsum(value)'` or `'diff(value)'`, to each sample as `<field>_<transform>`.
+     */
+    transform(...specs: Array<string | string[]>): this;
+    /** Partition samples by the values of `fields` before aggregating. Values are returned as `GroupedValues`. */
+    groupBy(...fields: Array<string | string[]>): this;
+
+    /** The option arguments for `command`, excluding the range boundaries. */
+    toOptions(command?: QueryCommand): OptionArg[];
+    /** The arguments for `command`, including the range boundaries. */
+    toArgs(command?: QueryCommand): OptionArg[];
+
+    range<T = SampleValues>(): Promise<Array<Sample<T>>>;
+    revrange<T = SampleValues>(): Promise<Array<Sample<T>>>;
+    poprange<T = SampleValues>(): Promise<Array<Sample<T>>>;
+    count(): Promise<number>;
+    remrange(): Promise<number>;
+    copy(dest: string): Promise<number>;
+    merge(otherKey: string, dest: string): Promise<number>;
+    scan<T = SampleValues>(count?: number): SampleStream<T>;
+  }
+
+  /** A single parsed condition. `values` is set for contains lists, e.g. `state=(a,b)`. */
+  export interface FilterCondition {
+    field: string;
+    op: ComparisonOperator;
+    value?: string;
+    values?: string[];
+  }
+
+  /** Conditions joined by AND or OR. Adjacent top level conditions are joined by AND. */
+  export interface FilterJoinNode {
+    join: FilterJoin;
+    conditions: FilterNode[];
+  }
+
+  export type FilterNode = FilterCondition | FilterJoinNode;
+
+  /** Thrown for invalid FILTER expressions. */
+  export class FilterError extends Error {
+    /** the condition (or conditions) being parsed */
+    expression: string;
+    /** the index of the offending argument */
+    index?: number;
+    /** the character offset of the error within the condition */
+    position: number;
+  }
+
+  /**
+   * Parse the FILTER arguments starting at `start`, stopping at the next option keyword.
+   * `end` is the index following the expression.
+   */
+  export function parseFilter(args: string | Array<string | number>, start?: number): { ast: FilterNode; end: number };
+  /** Returns the first error in the expression, or null if it is valid. */
+  export function validateFilter(args: string | Array<string | number>): FilterError | null;
+  /** Compile a filter into a predicate over decoded samples or plain value objects. */
+  export function compileFilter(filter: string | string[] | FilterNode): (sample: Sample<any> | SampleValues) => boolean;
+
+  export { TimeSeries };
+}
+
+export = TimeSeries;
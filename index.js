@@ -0,0 +1,22 @@
+const TimeSeries = require('./lib/timeseries');
+const { Query } = require('./lib/query');
+const SampleWriter = require('./lib/writer');
+const { buildLibrary, loadLibrary } = require('./lib/library');
+const { hashSlot, colocatedKey } = require('./lib/cluster');
+const { importSamples, exportSamples } = require('./lib/io');
+const { FilterError, parseFilter, validateFilter, compileFilter } = require('./lib/filter');
+
+module.exports = TimeSeries;
+module.exports.TimeSeries = TimeSeries;
+module.exports.Query = Query;
+module.exports.SampleWriter = SampleWriter;
+module.exports.buildLibrary = buildLibrary;
+module.exports.loadLibrary = loadLibrary;
+module.exports.importSamples = importSamples;
+module.exports.exportSamples = exportSamples;
+module.exports.hashSlot = hashSlot;
+module.exports.colocatedKey = colocatedKey;
+module.exports.FilterError = FilterError;
+module.exports.parseFilter = parseFilter;
+module.exports.validateFilter = validateFilter;
+module.exports.compileFilter = compileFilter;
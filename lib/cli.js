@@ -0,0 +1,457 @@
+// Implementation of the ts-lex command line tool. See bin/ts-lex.js
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream');
+const { promisify } = require('util');
+const TimeSeries = require('./timeseries');
+const { FORMATS, importSamples, exportSamples } = require('./io');
+const { OPTION_KEYWORDS } = require('./constants');
+
+const finishedAsync = promisify(finished);
+
+const USAGE = `Usage: ts-lex [options] <command> <key> [args...]
+
+Commands
+  add <key> <timestamp> <field> <value> [<field> <value> ...]
+  bulkAdd <key> <timestamp> <json> [<timestamp> <json> ...]
+  set <key> <timestamp> <field> <value> [<field> <value> ...]
+  incrBy <key> <timestamp> <field> <amount> [<field> <amount> ...]
+  get|pop <key> <timestamp> [LABELS ...] [REDACT ...] [FORMAT ...]
+  del <key> <timestamp> [<timestamp> ...]
+  range|revrange|poprange <key> <min> <max> [options]
+  count|remrange <key> <min> <max> [options]
+  scan <key> <min> <max> [COUNT <count>] [FILTER ...] [LABELS ...] [REDACT ...]
+  exists <key> <timestamp>
+  span|size <key>
+  retention <key> [MAXAGE <age>] [MAXCOUNT <count>]
+  duplicatePolicy <key> [<policy>]
+  createRule <key> <dest> <timeBucket> <aggregation> [<aggregation> ...]
+  deleteRule <key> <dest>
+  rules <key>
+  migrate <key> [<key> ...]
+  labels|info <key>
+  setLabels <key> <name> <value> [<name> <value> ...]
+  delLabels <key> <name> [<name> ...]
+  times <key> [<min> <max>]
+  mrange|mrevrange <min> <max> MATCH <matcher> [<matcher> ...] [options]
+  copy <src> <dest> <min> <max> [options]
+  merge <src1> <src2> <dest> <min> <max> [options]
+  version
+  import <key>     read samples as CSV or NDJSON and add them to <key>
+  export <key> [<min> <max>] [FILTER ...] [LABELS ...] [REDACT ...]
+                   write the samples of <key> as CSV or NDJSON
+
+Options
+  -u, --url <url>         redis url. Defaults to $REDIS_URL or redis://localhost:6379
+  -c, --cluster <nodes>   connect to a cluster, given a comma separated list of host:port
+  -m, --mode <mode>       script (default) or function
+  -o, --output <format>   table (default) or json
+  -f, --file <path>       the file to import from or export to. Defaults to stdin/stdout
+  -F, --format <format>   csv or ndjson. Defaults to csv for .csv files, else ndjson
+  -b, --batch-size <n>    the number of samples per bulkAdd call when importing
+  -h, --help              show this message
+`;
+
+const FLAGS = {
+  url: { alias: 'u', value: true },
+  cluster: { alias: 'c', value: true },
+  mode: { alias: 'm', value: true },
+  output: { alias: 'o', value: true },
+  file: { alias: 'f', value: true },
+  format: { alias: 'F', value: true },
+  'batch-size': { alias: 'b', value: true },
+  help: { alias: 'h', value: false }
+};
+
+const OUTPUT_FORMATS = ['table', 'json'];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function findFlag(arg) {
+  if (arg.startsWith('--')) {
+    const name = arg.substring(2).split('=')[0];
+    return FLAGS[name] ? name : null;
+  }
+  // a lone '-' is the lowest timestamp, not a flag
+  if (/^-[a-zA-Z]$/.test(arg)) {
+    return Object.keys(FLAGS).find(name => FLAGS[name].alias === arg[1]) || null;
+  }
+  return null;
+}
+
+/**
+ * Split the command line into flags and positional arguments. Flags may appear anywhere.
+ * @param {Array<string>} argv the arguments following the script name
+ * @returns {{flags: Object, command: string, args: Array<string>}}
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const name = findFlag(arg);
+    if (!name) {
+      if (arg.startsWith('--')) {
+        throw new UsageError(`unknown option "${arg}"`);
+      }
+      positional.push(arg);
+      continue;
+    }
+    if (!FLAGS[name].value) {
+      flags[name] = true;
+    } else if (arg.includes('=')) {
+      flags[name] = arg.substring(arg.indexOf('=') + 1);
+    } else {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`option "${arg}" requires a value`);
+      }
+      flags[name] = argv[++i];
+    }
+  }
+  if (flags.output && !OUTPUT_FORMATS.includes(flags.output)) {
+    throw new UsageError(`--output must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (flags.format && !FORMATS.includes(flags.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  const [command, ...args] = positional;
+  return { flags, command, args };
+}
+
+// [field, value, field, value ...] => { field: value ... }
+function toValues(list, command) {
+  if (!list.length || list.length % 2 !== 0) {
+    throw new UsageError(`${command}: expected field value pairs`);
+  }
+  const values = {};
+  for (let i = 0; i < list.length; i += 2) {
+    values[list[i]] = list[i + 1];
+  }
+  return values;
+}
+
+// pick the values of FILTER, LABELS, REDACT and COUNT out of a list of options
+function splitOptions(args) {
+  const keywords = OPTION_KEYWORDS.concat('COUNT');
+  const options = {};
+  let current = null;
+  args.forEach(arg => {
+    const upper = String(arg).toUpperCase();
+    if (keywords.includes(upper)) {
+      current = upper;
+      options[current] = [];
+    } else if (current) {
+      options[current].push(arg);
+    } else {
+      throw new UsageError(`unexpected argument "${arg}"`);
+    }
+  });
+  return options;
+}
+
+function scanOptions(args) {
+  const options = splitOptions(args);
+  const unsupported = Object.keys(options).filter(name => !['COUNT', 'FILTER', 'LABELS', 'REDACT'].includes(name));
+  if (unsupported.length) {
+    throw new UsageError(`${unsupported[0]} is not supported here`);
+  }
+  const result = {
+    filter: options.FILTER,
+    labels: options.LABELS,
+    redact: options.REDACT
+  };
+  if (options.COUNT) {
+    result.count = Number(options.COUNT[0]);
+  }
+  return result;
+}
+
+// [MAXAGE age] [MAXCOUNT count] => { maxAge, maxCount }
+function retentionPolicy(args) {
+  const names = { MAXAGE: 'maxAge', MAXCOUNT: 'maxCount' };
+  const policy = {};
+  if (args.length) {
+    const values = toValues(args, 'retention');
+    Object.keys(values).forEach(name => {
+      const option = names[name.toUpperCase()];
+      if (!option) {
+        throw new UsageError(`retention: unknown option "${name}"`);
+      }
+      policy[option] = values[name];
+    });
+  }
+  return policy;
+}
+
+// [min, max, ..., MATCH, matcher, ..., options] => [matchers, min, max, options]
+function splitMatchers([min, max, ...rest]) {
+  const start = rest.findIndex(arg => arg.toUpperCase() === 'MATCH');
+  if (start < 0) {
+    throw new UsageError('MATCH must be specified with at least one label matcher');
+  }
+  let end = start + 1;
+  while (end < rest.length && !OPTION_KEYWORDS.includes(rest[end].toUpperCase())) {
+    end++;
+  }
+  const options = rest.slice(0, start).concat(rest.slice(end));
+  return [rest.slice(start + 1, end), min, max, ...options];
+}
+
+// the number of leading arguments (keys included) required by each command, and how it is invoked
+const COMMANDS = {
+  add: [3, (ts, [key, timestamp, ...rest]) => ts.add(key, timestamp, toValues(rest, 'add'))],
+  bulkAdd: [3, (ts, [key, ...rest]) => ts.call(key, 'bulkAdd', ...rest)],
+  set: [3, (ts, [key, timestamp, ...rest]) => ts.set(key, timestamp, toValues(rest, 'set'))],
+  incrBy: [3, (ts, [key, timestamp, ...rest]) => ts.incrBy(key, timestamp, toValues(rest, 'incrBy'))],
+  get: [2, (ts, args) => ts.get(...args)],
+  pop: [2, (ts, args) => ts.pop(...args)],
+  del: [2, (ts, args) => ts.del(...args)],
+  range: [3, (ts, args) => ts.range(...args)],
+  revrange: [3, (ts, args) => ts.revrange(...args)],
+  poprange: [3, (ts, args) => ts.poprange(...args)],
+  count: [3, (ts, args) => ts.count(...args)],
+  remrange: [3, (ts, args) => ts.remrange(...args)],
+  scan: [3, (ts, [key, min, max, ...rest]) => collect(ts.scan(key, min, max, scanOptions(rest)))],
+  exists: [2, (ts, args) => ts.exists(...args)],
+  span: [1, (ts, [key]) => ts.span(key)],
+  size: [1, (ts, [key]) => ts.size(key)],
+  retention: [1, (ts, [key, ...rest]) => ts.retention(key, retentionPolicy(rest))],
+  duplicatePolicy: [1, (ts, [key, policy]) => ts.duplicatePolicy(key, policy)],
+  createRule: [4, (ts, [key, dest, timeBucket, ...rest]) => ts.createRule(key, dest, Number(timeBucket), rest)],
+  deleteRule: [2, (ts, args) => ts.deleteRule(...args)],
+  rules: [1, (ts, [key]) => ts.rules(key)],
+  migrate: [1, (ts, keys) => ts.migrate(keys)],
+  labels: [1, (ts, [key]) => ts.labels(key)],
+  setLabels: [3, (ts, [key, ...rest]) => ts.setLabels(key, toValues(rest, 'setLabels'))],
+  delLabels: [2, (ts, args) => ts.delLabels(...args)],
+  info: [1, (ts, [key]) => ts.info(key)],
+  times: [1, (ts, args) => ts.times(...args)],
+  mrange: [3, (ts, args) => ts.mrange(...splitMatchers(args))],
+  mrevrange: [3, (ts, args) => ts.mrevrange(...splitMatchers(args))],
+  copy: [4, (ts, args) => ts.copy(...args)],
+  merge: [5, (ts, args) => ts.merge(...args)],
+  version: [0, ts => ts.version()]
+};
+
+async function collect(stream) {
+  const result = [];
+  for await (const item of stream) {
+    result.push(item);
+  }
+  return result;
+}
+
+function isSampleList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(x => x && typeof x === 'object' && 'timestamp' in x && 'values' in x);
+}
+
+// the result of mrange
+function isSeriesList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(x => x && typeof x === 'object' && 'key' in x && Array.isArray(x.samples));
+}
+
+// { temp: { avg: 1, max: 2 } } => { 'temp.avg': 1, 'temp.max': 2 }
+function flatten(values, prefix = '', result = {}) {
+  Object.keys(values).forEach(name => {
+    const value = values[name];
+    const column = prefix + name;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, `${column}.`, result);
+    } else {
+      result[column] = value;
+    }
+  });
+  return result;
+}
+
+function cellText(value) {
+  if (value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Render a list of samples as a text table with a `timestamp` column followed by a column for
+ * each field, in order of appearance. Aggregated fields are split into `field.aggregate` columns.
+ * @param {Array<{timestamp: number, values: Object}>} samples
+ * @returns {string}
+ */
+function formatTable(samples) {
+  const columns = ['timestamp'];
+  const rows = samples.map(({ timestamp, values }) => {
+    const row = Object.assign({ timestamp }, flatten(values || {}));
+    Object.keys(row).forEach(name => {
+      if (!columns.includes(name)) {
+        columns.push(name);
+      }
+    });
+    return row;
+  });
+  const cells = [columns].concat(rows.map(row => columns.map(name => cellText(row[name]))));
+  const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+  const lines = cells.map(line => line.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd());
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format the result of a command for display.
+ * @param {*} result
+ * @param {string} [output='table']
+ * @returns {string}
+ */
+function formatResult(result, output = 'table') {
+  if (output === 'json') {
+    return JSON.stringify(result, null, 2) + '\n';
+  }
+  if (isSampleList(result)) {
+    return formatTable(result);
+  }
+  if (isSeriesList(result)) {
+    return result.map(({ key, labels, samples }) => {
+      const table = samples.length ? formatTable(samples) : '(empty)\n';
+      return `${key} ${JSON.stringify(labels)}\n${table}`;
+    }).join('\n');
+  }
+  if (result && typeof result === 'object') {
+    return JSON.stringify(result, null, 2) + '\n';
+  }
+  return `${result}\n`;
+}
+
+function fileFormat(flags) {
+  if (flags.format) {
+    return flags.format;
+  }
+  return (flags.file && path.extname(flags.file).toLowerCase() === '.csv') ? 'csv' : 'ndjson';
+}
+
+function createRedisClient(flags) {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (err) {
+    throw new Error('ts-lex requires ioredis. Install it with "npm install ioredis"');
+  }
+  if (flags.cluster) {
+    return new Redis.Cluster(flags.cluster.split(','));
+  }
+  return new Redis(flags.url || process.env.REDIS_URL || 'redis://localhost:6379');
+}
+
+async function execute(ts, command, args, flags, io) {
+  if (command === 'import') {
+    if (args.length !== 1) {
+      throw new UsageError('import: expected a key');
+    }
+    const input = flags.file ? fs.createReadStream(flags.file) : io.stdin;
+    const batchSize = flags['batch-size'] ? Number(flags['batch-size']) : undefined;
+    const count = await importSamples(ts, args[0], input, { format: fileFormat(flags), batchSize });
+    io.stderr.write(`imported ${count} samples\n`);
+    return;
+  }
+  if (command === 'export') {
+    if (args.length < 1) {
+      throw new UsageError('export: expected a key');
+    }
+    // min and max are optional, so the options may follow the key
+    let end = 1;
+    while (end < Math.min(args.length, 3) && !OPTION_KEYWORDS.includes(args[end].toUpperCase())) {
+      end++;
+    }
+    const [key, min = '-', max = '+'] = args.slice(0, end);
+    const rest = args.slice(end);
+    const options = Object.assign({ format: fileFormat(flags), min, max }, scanOptions(rest));
+    const output = flags.file ? fs.createWriteStream(flags.file) : io.stdout;
+    try {
+      const count = await exportSamples(ts, key, output, options);
+      io.stderr.write(`exported ${count} samples\n`);
+    } finally {
+      if (output !== io.stdout) {
+        output.end();
+        await finishedAsync(output);
+      }
+    }
+    return;
+  }
+  const [required, run] = COMMANDS[command];
+  if (args.length < required) {
+    throw new UsageError(`${command}: expected at least ${required} argument(s)`);
+  }
+  const result = await run(ts, args);
+  io.stdout.write(formatResult(result, flags.output));
+}
+
+function findCommand(name) {
+  if (name === 'import' || name === 'export') {
+    return name;
+  }
+  const lower = String(name).toLowerCase();
+  return Object.keys(COMMANDS).find(command => command.toLowerCase() === lower);
+}
+
+/**
+ * Run the command line tool.
+ * @param {Array<string>} argv the arguments following the script name
+ * @param {Object} [io]
+ * @param {Readable} [io.stdin]
+ * @param {Writable} [io.stdout]
+ * @param {Writable} [io.stderr]
+ * @param {Function} [io.createClient] returns a redis client given the parsed flags
+ * @returns {Promise<number>} the exit code
+ */
+async function main(argv, io = {}) {
+  io = Object.assign({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    createClient: createRedisClient
+  }, io);
+
+  let client = null;
+  try {
+    const { flags, command, args } = parseArgs(argv);
+    if (flags.help || !command) {
+      (flags.help ? io.stdout : io.stderr).write(USAGE);
+      return flags.help ? 0 : 1;
+    }
+    const name = findCommand(command);
+    if (!name) {
+      throw new UsageError(`unknown command "${command}"`);
+    }
+    client = io.createClient(flags);
+    const ts = new TimeSeries(client, { mode: flags.mode });
+    await execute(ts, name, args, flags, io);
+    return 0;
+  } catch (err) {
+    io.stderr.write(`ts-lex: ${err.message}\n`);
+    if (err instanceof UsageError) {
+      io.stderr.write('Run "ts-lex --help" for usage\n');
+    }
+    return 1;
+  } finally {
+    if (client) {
+      await client.quit();
+    }
+  }
+}
+
+module.exports = {
+  USAGE,
+  UsageError,
+  parseArgs,
+  formatTable,
+  formatResult,
+  main
+};
@@ -0,0 +1,95 @@
+// Helpers for running multi-key commands (copy and merge) against a redis cluster
+
+const SLOT_COUNT = 16384;
+
+// CRC16 (XMODEM), as used by redis cluster to map keys to slots
+const CRC16_TABLE = (() => {
+  const table = new Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 8;
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+    }
+    table[i] = crc & 0xffff;
+  }
+  return table;
+})();
+
+function crc16(buf) {
+  let crc = 0;
+  for (let i = 0; i < buf.length; i++) {
+    crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[((crc >> 8) ^ buf[i]) & 0xff];
+  }
+  return crc;
+}
+
+/**
+ * The part of a key which is hashed to determine its slot, i.e. the contents of the first
+ * non-empty `{...}` section, or else the whole key.
+ * @param {string} key
+ * @returns {string}
+ */
+function hashTag(key) {
+  key = String(key);
+  const start = key.indexOf('{');
+  if (start >= 0) {
+    const end = key.indexOf('}', start + 1);
+    if (end > start + 1) {
+      return key.substring(start + 1, end);
+    }
+  }
+  return key;
+}
+
+/**
+ * @param {string} key
+ * @returns {number} the cluster slot of `key`
+ */
+function hashSlot(key) {
+  return crc16(Buffer.from(hashTag(key))) % SLOT_COUNT;
+}
+
+/**
+ * @param {Array<string>} keys
+ * @returns {boolean} true if all keys map to the same slot
+ */
+function isSameSlot(keys) {
+  const slots = new Set(keys.map(hashSlot));
+  return slots.size <= 1;
+}
+
+/**
+ * Derive a key which is guaranteed to map to the same slot as `key`, so that it can be used as the
+ * destination of `copy` or `merge` in a cluster. Keys with a hash tag keep it, e.g.
+ * `{sensor:1}:temp` => `{sensor:1}:temp:hourly`, otherwise the key becomes the hash tag, e.g.
+ * `sensor:1` => `{sensor:1}:hourly`.
+ * @param {string} key
+ * @param {string} suffix
+ * @returns {string}
+ */
+function colocatedKey(key, suffix) {
+  key = String(key);
+  const result = (hashTag(key) !== key) ? `${key}:${suffix}` : `{${key}}:${suffix}`;
+  if (hashSlot(result) !== hashSlot(key)) {
+    throw new Error(`colocatedKey: unable to derive a key in the same slot as "${key}"`);
+  }
+  return result;
+}
+
+/**
+ * The name of the hash holding the settings of the series at `key`, as derived by the script.
+ * @param {string} key
+ * @returns {string}
+ */
+function metadataKey(key) {
+  return colocatedKey(key, 'meta');
+}
+
+module.exports = {
+  SLOT_COUNT,
+  hashTag,
+  hashSlot,
+  isSameSlot,
+  colocatedKey,
+  metadataKey
+};
@@ -0,0 +1,111 @@
+// Mirrors the option tables in timeseries-lex.lua
+
+const AGGREGATION_TYPES = [
+  'count',
+  'sum',
+  'avg',
+  'median',
+  'stdev',
+  'min',
+  'max',
+  'first',
+  'last',
+  'range',
+  'data',
+  'distinct',
+  'stats',
+  'count_distinct',
+  'rate',
+  'irate',
+  'increase',
+  'delta'
+];
+
+// aggregations taking an optional unit, e.g. rate(requests, 1s)
+const RATE_TYPES = ['rate', 'irate'];
+
+// any of these terminates a list of values (e.g. LABELS a b c) in the script
+const OPTION_KEYWORDS = [
+  'LIMIT',
+  'AGGREGATION',
+  'FILTER',
+  'LABELS',
+  'REDACT',
+  'FORMAT',
+  'STORAGE',
+  'MATCH',
+  'FILL',
+  'ALIGN',
+  'TIMEZONE',
+  'TRANSFORM',
+  'GROUPBY'
+];
+
+const FORMAT_VALUES = ['json', 'msgpack'];
+
+const STORAGE_VALUES = ['timeseries', 'hash'];
+
+const FILL_MODES = ['NONE', 'NULL', 'PREVIOUS', 'NEXT', 'LINEAR'];
+
+// TRANSFORM types. sma and ema take an argument, e.g. sma(value, 10)
+const TRANSFORM_TYPES = ['sma', 'ema', 'cumsum', 'diff'];
+
+// percentile aggregations, e.g. p95 or p99.9
+const PERCENTILE_REGEX = /^p(\d+(\.\d+)?)$/;
+
+// AGGREGATION timeBucket durations, e.g. 5m, 1d or 1M (months)
+const DURATION_REGEX = /^[1-9]\d*(ms|s|m|h|d|w|M|y)$/;
+
+const RANGE_OPTIONS = ['LIMIT', 'AGGREGATION', 'FILTER', 'LABELS', 'REDACT', 'FORMAT', 'FILL', 'ALIGN', 'TIMEZONE', 'TRANSFORM', 'GROUPBY'];
+
+// options accepted by each command
+const COMMAND_OPTIONS = {
+  range: RANGE_OPTIONS,
+  revrange: RANGE_OPTIONS,
+  poprange: RANGE_OPTIONS,
+  count: ['FILTER'],
+  remrange: ['FILTER', 'LIMIT'],
+  copy: ['LIMIT', 'AGGREGATION', 'FILTER', 'LABELS', 'REDACT', 'STORAGE', 'FILL', 'ALIGN', 'TIMEZONE', 'GROUPBY'],
+  merge: ['LIMIT', 'FILTER', 'LABELS', 'REDACT', 'STORAGE'],
+  scan: ['FILTER', 'LABELS', 'REDACT', 'FORMAT'],
+  mrange: RANGE_OPTIONS.concat('MATCH'),
+  mrevrange: RANGE_OPTIONS.concat('MATCH')
+};
+
+// commands which never write, and can be called with FCALL_RO when using the function library
+const READ_ONLY_COMMANDS = [
+  'get',
+  'range',
+  'revrange',
+  'count',
+  'exists',
+  'span',
+  'times',
+  'size',
+  'scan',
+  'labels',
+  'info',
+  'rules',
+  'mrange',
+  'mrevrange',
+  'version'
+];
+
+function isOptionKeyword(value) {
+  return typeof value === 'string' && OPTION_KEYWORDS.includes(value.toUpperCase());
+}
+
+module.exports = {
+  AGGREGATION_TYPES,
+  RATE_TYPES,
+  OPTION_KEYWORDS,
+  FORMAT_VALUES,
+  STORAGE_VALUES,
+  FILL_MODES,
+  TRANSFORM_TYPES,
+  PERCENTILE_REGEX,
+  DURATION_REGEX,
+  COMMAND_OPTIONS,
+  READ_ONLY_COMMANDS,
+  isOptionKeyword
+};
@@ -0,0 +1,263 @@
+const msgpack = require('msgpack-lite');
+
+// aggregations whose bulk reply is a [key, value, ...] list rather than a scalar
+const HASH_AGGREGATIONS = {
+  stats: true,
+  count_distinct: true
+};
+
+// a float as formatted by lua's tostring (%.14g), e.g. 0.5, -123.456 or 1.5e-07
+const FLOAT_REGEX = /^-?(0|[1-9]\d*)(\.\d*[1-9])?(e-\d{2,})?$/;
+
+/**
+ * Restore a float returned in a bulk reply. Redis truncates lua numbers to integers, so the script
+ * returns floats as strings. Integral numbers are returned as integers, so only strings holding a
+ * non-integral number in the format of lua's `tostring` are converted. Values such as '123', '1e3'
+ * or 'true' are left untouched.
+ * @param {*} value
+ * @returns {*}
+ */
+function restoreValue(value) {
+  if (typeof value !== 'string' || !FLOAT_REGEX.test(value)) {
+    return value;
+  }
+  const num = Number(value);
+  return Number.isInteger(num) ? value : num;
+}
+
+// restore the floats of a structured reply as restoreValue does for a bulk reply
+function restoreStructured(value) {
+  if (Array.isArray(value)) {
+    return value.map(restoreStructured);
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = restoreStructured(value[key]);
+    });
+    return result;
+  }
+  return restoreValue(value);
+}
+
+// [key, value, key, value, ...] => { key: value, ... }
+function pairsToObject(list) {
+  const result = {};
+  for (let i = 0; i < list.length; i += 2) {
+    result[list[i]] = restoreValue(list[i + 1]);
+  }
+  return result;
+}
+
+function toBuffer(reply) {
+  return Buffer.isBuffer(reply) ? reply : Buffer.from(reply, 'binary');
+}
+
+function parseStructured(reply, format, restore) {
+  let data;
+  if (format === 'json') {
+    data = JSON.parse(Buffer.isBuffer(reply) ? reply.toString() : reply);
+  } else {
+    data = msgpack.decode(toBuffer(reply));
+  }
+  return restore ? restoreStructured(data) : data;
+}
+
+// the script encodes an empty table as a list
+function toValues(values) {
+  return (Array.isArray(values) && !values.length) ? {} : (values || {});
+}
+
+function normalizeFormat(format) {
+  return format ? String(format).toLowerCase() : null;
+}
+
+function isEmptyReply(reply) {
+  return reply == null || (Array.isArray(reply) && reply.length === 0);
+}
+
+// json and msgpack replies keep their types, so only bulk values are restored
+function decodeAggregateValue(type, value, isBulk) {
+  // a bucket which FILL could not fill
+  if (value == null) {
+    return null;
+  }
+  if (!isBulk) {
+    return value;
+  }
+  if (HASH_AGGREGATIONS[type]) {
+    return pairsToObject(value);
+  }
+  if (type === 'distinct' || type === 'data') {
+    return value.map(restoreValue);
+  }
+  return restoreValue(value);
+}
+
+// bulk : [ aggType, value, aggType, value ... ]
+// json/msgpack : { aggType: value, ... }
+function decodeAggregateField(reply, isBulk) {
+  const result = {};
+  if (isBulk) {
+    for (let i = 0; i < reply.length; i += 2) {
+      let value = reply[i + 1];
+      // distinct is returned as a set of [value, 1, value, 1 ...]
+      if (reply[i] === 'distinct' && value) {
+        value = value.filter((_, j) => j % 2 === 0);
+      }
+      result[reply[i]] = decodeAggregateValue(reply[i], value, true);
+    }
+  } else {
+    Object.keys(reply).forEach(type => {
+      result[type] = decodeAggregateValue(type, reply[type], false);
+    });
+  }
+  return result;
+}
+
+function decodeAggregateValues(reply, isBulk) {
+  const values = {};
+  if (isBulk) {
+    for (let i = 0; i < reply.length; i += 2) {
+      values[reply[i]] = decodeAggregateField(reply[i + 1], true);
+    }
+  } else {
+    Object.keys(reply || {}).forEach(field => {
+      values[field] = decodeAggregateField(reply[field], false);
+    });
+  }
+  return values;
+}
+
+// with GROUPBY, aggregated values are nested by the value of each group field
+// bulk : [ group, nested, group, nested ... ]
+// json/msgpack : { group: nested, ... }
+function decodeGroupedValues(reply, isBulk, depth) {
+  if (!depth) {
+    return decodeAggregateValues(reply, isBulk);
+  }
+  const result = {};
+  if (isBulk) {
+    for (let i = 0; i < reply.length; i += 2) {
+      result[reply[i]] = decodeGroupedValues(reply[i + 1], true, depth - 1);
+    }
+  } else {
+    Object.keys(reply || {}).forEach(group => {
+      result[group] = decodeGroupedValues(reply[group], false, depth - 1);
+    });
+  }
+  return result;
+}
+
+/**
+ * Decode the value of a single sample (e.g. from `get` or `pop`).
+ * @param {Array|string|Buffer} reply
+ * @param {string} [format] the FORMAT specified in the call, if any
+ * @param {boolean} [restore] restore floats in a json or msgpack reply as in a bulk reply
+ * @returns {Object|null}
+ */
+function decodeValue(reply, format, restore = false) {
+  format = normalizeFormat(format);
+  if (reply == null) {
+    return null;
+  }
+  if (format) {
+    return toValues(parseStructured(reply, format, restore));
+  }
+  return pairsToObject(reply);
+}
+
+/**
+ * Decode the result of a range query into a list of `{ timestamp, values }`.
+ * @param {Array|string|Buffer} reply
+ * @param {Object} [options]
+ * @param {string} [options.format] the FORMAT specified in the call, if any
+ * @param {boolean} [options.aggregation] true if the call specified AGGREGATION
+ * @param {number} [options.groups] the number of GROUPBY fields, if any
+ * @param {boolean} [options.restore] restore floats in a json or msgpack reply as in a bulk reply
+ * @returns {Array<{timestamp: number, values: Object}>}
+ */
+function decodeRange(reply, options = {}) {
+  const format = normalizeFormat(options.format);
+  if (isEmptyReply(reply)) {
+    return [];
+  }
+
+  const isBulk = !format;
+  const data = isBulk ? reply : parseStructured(reply, format, options.restore);
+
+  if (options.aggregation) {
+    const result = [];
+    if (isBulk) {
+      // [ ts, values, ts, values ... ]
+      for (let i = 0; i < data.length; i += 2) {
+        result.push({ timestamp: Number(data[i]), values: decodeGroupedValues(data[i + 1], true, options.groups) });
+      }
+    } else {
+      data.forEach(([ts, values]) => {
+        result.push({ timestamp: Number(ts), values: decodeGroupedValues(values, false, options.groups) });
+      });
+    }
+    return result;
+  }
+
+  return data.map(([ts, values]) => {
+    return {
+      timestamp: Number(ts),
+      values: isBulk ? pairsToObject(values) : toValues(values)
+    };
+  });
+}
+
+/**
+ * Decode a list of label name-value pairs. Label values are kept as strings.
+ * @param {Array<string>} reply
+ * @returns {Object<string, string>}
+ */
+function decodeLabels(reply) {
+  const result = {};
+  for (let i = 0; i < (reply || []).length; i += 2) {
+    result[String(reply[i])] = String(reply[i + 1]);
+  }
+  return result;
+}
+
+/**
+ * Decode the reply of `info`.
+ * @param {Array} reply
+ * @returns {Object}
+ */
+function decodeInfo(reply) {
+  const info = pairsToObject(reply);
+  return {
+    firstTimestamp: (info.firstTimestamp === undefined) ? null : info.firstTimestamp,
+    lastTimestamp: (info.lastTimestamp === undefined) ? null : info.lastTimestamp,
+    totalSamples: info.totalSamples,
+    fields: info.fields || [],
+    retention: pairsToObject(info.retention || []),
+    labels: decodeLabels(info.labels),
+    memoryUsage: info.memoryUsage
+  };
+}
+
+/**
+ * Decode the reply of `rules`.
+ * @param {Array} reply
+ * @returns {Array<{dest: string, timeBucket: number, aggregations: string[]}>}
+ */
+function decodeRules(reply) {
+  return (reply || []).map(([dest, timeBucket, aggregations]) => ({
+    dest: String(dest),
+    timeBucket: Number(timeBucket),
+    aggregations: aggregations.map(String)
+  }));
+}
+
+module.exports = {
+  restoreValue,
+  decodeValue,
+  decodeRange,
+  decodeLabels,
+  decodeInfo,
+  decodeRules
+};
@@ -0,0 +1,337 @@
+const { isOptionKeyword } = require('./constants');
+
+// Parses FILTER expressions using the same grammar as parse_filter/parse_filter_condition in
+// timeseries-lex.lua, so that invalid filters can be reported before a round trip to the server.
+//
+//  filter     := condition ( [AND | OR] condition )*
+//  condition  := field ('!=' | '=') '(' list ')'
+//              | field op value
+//  op         := '!=' | '<=' | '>=' | '=' | '<' | '>'
+//
+// `field=null` and `field!=null` check whether a field is missing (or holds null).
+//
+// As with string.find on the server, a condition is not anchored to the start of its argument: each form
+// and operator is tried in the order above, and the first field followed by it is used, ignoring anything
+// before. E.g. `user.name=5` compares `name`, and `a<b=c` compares `b` with `c`. Characters following the
+// closing parenthesis of a list are ignored.
+//
+// Adjacent conditions are ANDed. Joins are applied left to right without precedence, i.e.
+// `a OR b AND c` is evaluated as `(a OR b) AND c`.
+
+// IDENTIFIER_PATTERN in the lua script
+const IDENTIFIER = '([A-Za-z_]+[A-Za-z0-9_]*)';
+const CONTAINS_OPERATORS = ['!=', '='];
+const OPERATORS = ['!=', '<=', '>=', '=', '<', '>'];
+const OP_NAMES = {
+  '!=': 'ne',
+  '<=': 'lte',
+  '>=': 'gte',
+  '=': 'eq',
+  '<': 'lt',
+  '>': 'gt'
+};
+
+class FilterError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} expression the condition being parsed
+   * @param {number} index the index of the condition in the argument list
+   * @param {number} position the character offset of the error within the condition
+   */
+  constructor(message, expression, index, position) {
+    const where = (position === undefined) ? '' : ` at position ${position}`;
+    super(`FILTER: ${message}${where} in "${expression}"`);
+    this.name = 'FilterError';
+    this.expression = expression;
+    this.index = index;
+    this.position = position;
+  }
+}
+
+// Port of parse_list from the lua script. Returns the list of values and throws on
+// characters following a closing quote.
+function parseList(line, fail, offset = 0) {
+  const res = [];
+  const len = line.length;
+  let pos = 0;
+  while (pos < len) {
+    let start = pos;
+    while (line[start] === ' ') start++;
+    if (line[start] === '"') {
+      pos = start + 1;
+      let txt = '';
+      for (;;) {
+        const end = line.indexOf('"', pos);
+        if (end < 0) {
+          fail('unterminated quoted value', offset + start);
+        }
+        txt += line.substring(pos, end);
+        pos = end + 1;
+        if (line[pos] === '"') {
+          // escaped quote
+          txt += '"';
+          pos++;
+        } else {
+          break;
+        }
+      }
+      while (line[pos] === ' ') pos++;
+      res.push(txt);
+      if (pos < len && line[pos] !== ',') {
+        fail('expected "," after quoted value', offset + pos);
+      }
+      pos++;
+    } else {
+      const sep = line.indexOf(',', pos);
+      if (sep < 0) {
+        res.push(line.substring(pos));
+        break;
+      }
+      res.push(line.substring(pos, sep));
+      pos = sep + 1;
+    }
+  }
+  return res;
+}
+
+// the index of the parenthesis closing the one at *start*, as matched by %b() in lua, or -1
+function findClosingParen(line, start) {
+  let depth = 0;
+  for (let i = start; i < line.length; i++) {
+    if (line[i] === '(') depth++;
+    else if (line[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function matchContains(expression, fail) {
+  for (const op of CONTAINS_OPERATORS) {
+    const pattern = new RegExp(`${IDENTIFIER}${op}\\(`, 'g');
+    let match;
+    while ((match = pattern.exec(expression))) {
+      const open = pattern.lastIndex - 1;
+      const close = findClosingParen(expression, open);
+      if (close >= 0) {
+        const values = parseList(expression.substring(open + 1, close), fail, open + 1);
+        if (!values.length) {
+          fail('no values found for contains match', open);
+        }
+        return { field: match[1], op, values };
+      }
+      pattern.lastIndex = match.index + 1;
+    }
+  }
+  return null;
+}
+
+// where a condition matching no form goes wrong: after its first field name, or after the operator following it
+function errorPosition(expression) {
+  const match = new RegExp(`${IDENTIFIER}(${OPERATORS.join('|')})?`).exec(expression);
+  return match ? match.index + match[0].length : 0;
+}
+
+function matchOps(expression) {
+  for (const op of OPERATORS) {
+    const match = new RegExp(`${IDENTIFIER}${op}([\\s\\S]+)`).exec(expression);
+    if (match) {
+      return { field: match[1], op, value: match[2] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a single filter condition, e.g. `amount>5000` or `state!=(ready,"almost done")`.
+ * @param {string} expression
+ * @param {number} [index] the index of the condition in the argument list, for error reporting
+ * @returns {{field: string, op: string, value: (string|undefined), values: (Array<string>|undefined)}}
+ */
+function parseCondition(expression, index) {
+  const fail = (message, position) => {
+    throw new FilterError(message, expression, index, position);
+  };
+
+  if (typeof expression !== 'string' || !expression.length) {
+    fail('expected a condition', 0);
+  }
+
+  const condition = matchContains(expression, fail) || matchOps(expression);
+  if (!condition) {
+    fail(`expected a field followed by one of ${OPERATORS.join(', ')} and a value`, errorPosition(expression));
+  }
+  return condition;
+}
+
+/**
+ * Parse a FILTER expression from a list of arguments, stopping at the first option keyword
+ * (e.g. `LIMIT`) or the end of the list.
+ * @param {Array<string>|string} args the arguments following FILTER, or a single condition
+ * @param {number} [start=0] the index of the first condition in `args`
+ * @returns {{ast: Object, end: number}} the parsed expression and the index following it.
+ * Nodes of the ast are either conditions or `{ join: 'AND'|'OR', conditions: [...] }`
+ */
+function parseFilter(args, start = 0) {
+  args = [].concat(args).map(x => String(x));
+  const predicates = [];
+  let i = start;
+
+  // the position is that of args[i] within the expression, or its end if `atEnd`
+  const fail = (message, atEnd = false) => {
+    const expression = args.slice(start, i + 1).join(' ');
+    const position = atEnd ? expression.length : expression.length - args[i].length;
+    throw new FilterError(message, expression, i, position);
+  };
+
+  while (i < args.length && !isOptionKeyword(args[i])) {
+    const upper = args[i].toUpperCase();
+    if (upper === 'AND' || upper === 'OR') {
+      fail(`${upper} must be preceded by a condition`);
+    }
+    let node = parseCondition(args[i], i);
+    i++;
+
+    let join = (args[i] || '').toUpperCase();
+    while (join === 'AND' || join === 'OR') {
+      const conditions = [node];
+      while ((args[i] || '').toUpperCase() === join) {
+        i++;
+        if (i >= args.length || isOptionKeyword(args[i])) {
+          i--;
+          fail(`expected a condition after ${join}`, true);
+        }
+        conditions.push(parseCondition(args[i], i));
+        i++;
+      }
+      node = { join, conditions };
+      join = (args[i] || '').toUpperCase();
+    }
+    predicates.push(node);
+  }
+
+  if (!predicates.length) {
+    throw new FilterError('at least one condition must be specified', args.slice(start).join(' '), start, 0);
+  }
+
+  const ast = (predicates.length === 1) ? predicates[0] : { join: 'AND', conditions: predicates };
+  return { ast, end: i };
+}
+
+/**
+ * Check an expression for errors.
+ * @param {Array<string>|string} args
+ * @returns {FilterError|null} the first error found, if any
+ */
+function validateFilter(args) {
+  try {
+    parseFilter(args);
+    return null;
+  } catch (e) {
+    if (e instanceof FilterError) return e;
+    throw e;
+  }
+}
+
+// mirror lua's tonumber, which unlike Number() does not convert empty strings
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim().length) return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
+// mirror lua's tostring
+function toString(value) {
+  if (value === undefined || value === null) return 'nil';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(14)));
+  }
+  return String(value);
+}
+
+function compileCondition(node) {
+  const field = node.field;
+  const op = OP_NAMES[node.op];
+
+  if (node.values) {
+    const matches = new Set(node.values);
+    const contains = (op === 'eq');
+    return (v) => matches.has(toString(v[field])) === contains;
+  }
+
+  if (node.value === 'null' && (op === 'eq' || op === 'ne')) {
+    const isNull = (op === 'eq');
+    return (v) => (v[field] === undefined || v[field] === null || v[field] === 'null') === isNull;
+  }
+
+  let value = toNumber(node.value);
+  const isNumeric = (value !== null);
+  if (!isNumeric) {
+    value = node.value;
+    if (value === 'true') value = true;
+    else if (value === 'false') value = false;
+  }
+
+  return (v) => {
+    let val = value;
+    let toCompare = v[field];
+    if (typeof toCompare !== typeof val) {
+      if (isNumeric) {
+        toCompare = toNumber(toCompare);
+      } else {
+        val = toString(val);
+        toCompare = toString(toCompare);
+      }
+    }
+    if (op === 'eq') return val === toCompare;
+    if (op === 'ne') return val !== toCompare;
+    if (val === null || toCompare === null || toCompare === undefined) {
+      return false;
+    }
+    if (typeof val === 'boolean') {
+      throw new Error(`FILTER: attempt to compare two boolean values (${field})`);
+    }
+    switch (op) {
+      case 'gt': return toCompare > val;
+      case 'lt': return toCompare < val;
+      case 'gte': return toCompare >= val;
+      case 'lte': return toCompare <= val;
+    }
+    return false;
+  };
+}
+
+function compileNode(node) {
+  if (!node.join) {
+    return compileCondition(node);
+  }
+  const predicates = node.conditions.map(compileNode);
+  if (node.join === 'OR') {
+    return (v) => predicates.some(p => p(v));
+  }
+  return (v) => predicates.every(p => p(v));
+}
+
+/**
+ * Compile a filter into a predicate which can be evaluated against decoded samples.
+ * @param {Array<string>|string|Object} filter the expression, or an ast returned by `parseFilter`
+ * @returns {function(Object): boolean} a function accepting either a `{ timestamp, values }` sample
+ * or a plain object of values
+ */
+function compileFilter(filter) {
+  const ast = (typeof filter === 'string' || Array.isArray(filter)) ? parseFilter(filter).ast : filter;
+  const predicate = compileNode(ast);
+  return (sample) => {
+    const values = (sample && sample.values && typeof sample.values === 'object' && 'timestamp' in sample)
+      ? sample.values
+      : (sample || {});
+    return predicate(values);
+  };
+}
+
+module.exports = {
+  FilterError,
+  parseCondition,
+  parseFilter,
+  validateFilter,
+  compileFilter
+};
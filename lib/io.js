@@ -0,0 +1,310 @@
+// Import and export of series as CSV or newline delimited JSON
+const readline = require('readline');
+const { once } = require('events');
+const { finished } = require('stream');
+const { promisify } = require('util');
+
+const finishedAsync = promisify(finished);
+
+const FORMATS = ['csv', 'ndjson'];
+
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${FORMATS.join(', ')}. Got "${format}"`);
+  }
+}
+
+/**
+ * Split CSV text into rows of fields. Fields may be quoted with `"`, in which case they can contain
+ * the delimiter, newlines and `""` escaped quotes.
+ * @param {AsyncIterable<string|Buffer>} input
+ * @param {string} [delimiter=',']
+ * @returns {AsyncIterable<Array<string>>}
+ */
+async function* parseCsv(input, delimiter = ',') {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // true after the closing quote of a quoted field
+  let closed = false;
+  let pendingCR = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    closed = false;
+  };
+
+  for await (const chunk of input) {
+    const text = String(chunk);
+    const rows = [];
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted === 'pending') {
+        if (c === '"') {
+          field += '"';
+          quoted = true;
+          continue;
+        }
+        quoted = false;
+        closed = true;
+      }
+      if (pendingCR) {
+        pendingCR = false;
+        if (c === '\n') {
+          continue;
+        }
+      }
+      if (quoted) {
+        if (c === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (i + 1 === text.length) {
+            // the next chunk decides whether this is an escaped quote
+            quoted = 'pending';
+          } else {
+            quoted = false;
+            closed = true;
+          }
+        } else {
+          field += c;
+        }
+        continue;
+      }
+      if (quoted === false && c === '"' && field === '' && !closed) {
+        quoted = true;
+      } else if (c === delimiter) {
+        endField();
+      } else if (c === '\r' || c === '\n') {
+        endField();
+        rows.push(row);
+        row = [];
+        pendingCR = c === '\r';
+      } else {
+        field += c;
+      }
+    }
+    yield* rows.filter(x => x.length > 1 || x[0] !== '');
+  }
+  if (quoted === true) {
+    throw new Error('CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length) {
+    endField();
+    yield row;
+  }
+}
+
+/**
+ * Format a value as a CSV field, quoting it if needed.
+ * @param {*} value
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+function formatCsvField(value, delimiter = ',') {
+  if (value == null) {
+    return '';
+  }
+  const text = (typeof value === 'object') ? JSON.stringify(value) : String(value);
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// CSV cells are untyped. As with the arguments of `add`, numbers and booleans are stored as such
+function parseCsvValue(cell) {
+  if (cell === 'true') return true;
+  if (cell === 'false') return false;
+  const num = Number(cell);
+  return (String(num) === cell) ? num : cell;
+}
+
+function parseTimestamp(value, where) {
+  const timestamp = Number(value);
+  if (value === '' || value == null || isNaN(timestamp)) {
+    throw new Error(`import: invalid timestamp "${value}" on ${where}`);
+  }
+  return timestamp;
+}
+
+async function* readCsvSamples(input, options) {
+  const { timestampColumn = 'timestamp', fields, delimiter = ',' } = options;
+  let columns = options.columns || null;
+  let rowNumber = 0;
+  let timestampIndex;
+  let fieldIndexes;
+
+  for await (const row of parseCsv(input, delimiter)) {
+    rowNumber++;
+    if (!columns) {
+      columns = row;
+      continue;
+    }
+    if (fieldIndexes === undefined) {
+      timestampIndex = columns.indexOf(timestampColumn);
+      if (timestampIndex < 0) {
+        throw new Error(`import: missing timestamp column "${timestampColumn}"`);
+      }
+      const names = fields || columns.filter((_, i) => i !== timestampIndex);
+      fieldIndexes = names.map(name => {
+        const index = columns.indexOf(name);
+        if (index < 0) {
+          throw new Error(`import: missing column "${name}"`);
+        }
+        return index;
+      });
+    }
+    const values = {};
+    fieldIndexes.forEach(index => {
+      // empty cells denote missing fields
+      if (row[index] !== undefined && row[index] !== '') {
+        values[columns[index]] = parseCsvValue(row[index]);
+      }
+    });
+    yield { timestamp: parseTimestamp(row[timestampIndex], `row ${rowNumber}`), values };
+  }
+}
+
+async function* readNdjsonSamples(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`import: invalid JSON on line ${lineNumber}`);
+    }
+    const sample = Array.isArray(data) ? { timestamp: data[0], values: data[1] } : data;
+    if (!sample || !sample.values || typeof sample.values !== 'object') {
+      throw new Error(`import: expected { timestamp, values } on line ${lineNumber}`);
+    }
+    yield { timestamp: parseTimestamp(sample.timestamp, `line ${lineNumber}`), values: sample.values };
+  }
+}
+
+/**
+ * Read samples from a CSV or NDJSON stream and add them to `key` in `bulkAdd` batches.
+ *
+ * CSV input has a column holding the timestamp, and a column per field. Empty cells are skipped.
+ * NDJSON input has a `{ timestamp, values }` object or a `[timestamp, values]` pair per line.
+ *
+ * @param {TimeSeries} timeseries
+ * @param {string} key
+ * @param {Readable} input
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] `csv` or `ndjson`
+ * @param {string} [options.timestampColumn='timestamp'] the CSV column holding the timestamp
+ * @param {Array<string>} [options.columns] the CSV column names, for input without a header row
+ * @param {Array<string>} [options.fields] the CSV columns to import. Defaults to all but the timestamp
+ * @param {string} [options.delimiter=',']
+ * @param {number} [options.batchSize] see `SampleWriter`
+ * @param {number} [options.concurrency] see `SampleWriter`
+ * @param {string} [options.duplicatePolicy] see `TimeSeries#duplicatePolicy`
+ * @returns {Promise<number>} the number of samples added
+ */
+async function importSamples(timeseries, key, input, options = {}) {
+  const { format = 'ndjson', batchSize, concurrency, duplicatePolicy } = options;
+  checkFormat(format);
+  const samples = (format === 'csv') ? readCsvSamples(input, options) : readNdjsonSamples(input);
+  const writer = timeseries.createWriteStream({ batchSize, concurrency, duplicatePolicy, flushInterval: 0 });
+  let count = 0;
+  writer.on('batch', batch => { count += batch.count; });
+  try {
+    for await (const { timestamp, values } of samples) {
+      if (!writer.write({ key, timestamp, values })) {
+        await once(writer, 'drain');
+      }
+    }
+  } catch (err) {
+    writer.destroy();
+    throw err;
+  }
+  writer.end();
+  await finishedAsync(writer);
+  return count;
+}
+
+// the union of the fields of the exported samples, sorted so the order does not depend on the data
+async function collectColumns(samples) {
+  const names = new Set();
+  for await (const { values } of samples) {
+    Object.keys(values).forEach(name => names.add(name));
+  }
+  return [...names].sort();
+}
+
+async function write(output, text) {
+  if (!output.write(text)) {
+    await once(output, 'drain');
+  }
+}
+
+/**
+ * Write the samples of `key` between `min` and `max` to a stream as CSV or NDJSON.
+ *
+ * CSV output starts with a header row. The first column is `timestamp`, followed by `columns` if given,
+ * else the LABELS if given, else the sorted names of all fields in the range, which takes an extra pass
+ * over the data.
+ *
+ * @param {TimeSeries} timeseries
+ * @param {string} key
+ * @param {Writable} output
+ * @param {Object} [options]
+ * @param {string} [options.format='ndjson'] `csv` or `ndjson`
+ * @param {number|string} [options.min='-']
+ * @param {number|string} [options.max='+']
+ * @param {string|Array<string>} [options.filter] FILTER conditions
+ * @param {Array<string>} [options.labels] the fields to export
+ * @param {Array<string>} [options.redact] the fields to omit
+ * @param {Array<string>} [options.columns] the CSV field columns, in order
+ * @param {string} [options.delimiter=',']
+ * @param {number} [options.count] the number of samples fetched per round trip
+ * @returns {Promise<number>} the number of samples written
+ */
+async function exportSamples(timeseries, key, output, options = {}) {
+  const { format = 'ndjson', min = '-', max = '+', delimiter = ',' } = options;
+  checkFormat(format);
+  const scanOptions = {
+    filter: options.filter,
+    labels: options.labels,
+    redact: options.redact,
+    count: options.count,
+    // values are exported as stored, so that booleans and strings survive an import
+    format: 'msgpack'
+  };
+  const scan = () => timeseries.scan(key, min, max, scanOptions);
+
+  let columns = null;
+  if (format === 'csv') {
+    columns = options.columns || options.labels || await collectColumns(scan());
+    const header = ['timestamp'].concat(columns);
+    await write(output, header.map(x => formatCsvField(x, delimiter)).join(delimiter) + '\n');
+  }
+
+  let count = 0;
+  for await (const sample of scan()) {
+    if (columns) {
+      const row = [sample.timestamp].concat(columns.map(name => sample.values[name]));
+      await write(output, row.map(x => formatCsvField(x, delimiter)).join(delimiter) + '\n');
+    } else {
+      await write(output, JSON.stringify(sample) + '\n');
+    }
+    count++;
+  }
+  return count;
+}
+
+module.exports = {
+  FORMATS,
+  parseCsv,
+  formatCsvField,
+  importSamples,
+  exportSamples
+};
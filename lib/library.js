@@ -0,0 +1,106 @@
+const { loadScriptFile } = require('./script');
+const { READ_ONLY_COMMANDS } = require('./constants');
+
+const LIBRARY_NAME = 'timeseries_lex';
+const FUNCTION_PREFIX = 'ts_';
+const DISPATCH_MARKER = '--------- COMMAND DISPATCH ---------';
+// commands reading keys found at run time (the series selected by labels), which functions must declare
+const UNSUPPORTED_COMMANDS = ['mrange', 'mrevrange'];
+
+/**
+ * @param {string} command a `Timeseries` command, e.g. `range` or `bulkAdd`
+ * @returns {string} the name of the corresponding function in the library, e.g. `ts_bulkadd`
+ */
+function functionName(command) {
+  return FUNCTION_PREFIX + String(command).toLowerCase();
+}
+
+function isReadOnly(command) {
+  return READ_ONLY_COMMANDS.includes(String(command).toLowerCase());
+}
+
+function isSupported(command) {
+  return !UNSUPPORTED_COMMANDS.includes(String(command).toLowerCase());
+}
+
+/**
+ * Package timeseries-lex.lua as a redis 7 function library. The EVAL dispatch at the end of the
+ * script is replaced by registering each public command as `ts_<command>`, with read-only commands
+ * flagged `no-writes` so they can be called with FCALL_RO (e.g. on replicas). `mrange` and `mrevrange` are
+ * not registered, since they cannot declare the keys they read.
+ * @param {string} lua the source of timeseries-lex.lua
+ * @returns {string} the library source, suitable for FUNCTION LOAD
+ */
+function buildLibrary(lua) {
+  const index = lua.indexOf(DISPATCH_MARKER);
+  if (index < 0) {
+    throw new Error('buildLibrary: unable to find the command dispatch section of the script');
+  }
+  const readOnly = READ_ONLY_COMMANDS.map(name => `    ${name} = 1`).join(',\n');
+  const unsupported = UNSUPPORTED_COMMANDS.map(name => `    ${name} = 1`).join(',\n');
+
+  return `#!lua name=${LIBRARY_NAME}
+${lua.substring(0, index)}
+--------- FUNCTION REGISTRATION ---------
+local READ_ONLY = {
+${readOnly}
+}
+
+local UNSUPPORTED = {
+${unsupported}
+}
+
+local function key_count(name)
+    if (name == 'copy') or (name == 'createRule') then
+        return 2
+    elseif (name == 'merge') then
+        return 3
+    end
+    return 1
+end
+
+for name, func in pairs(Timeseries) do
+    if (type(func) == 'function') and (name:sub(1, 1) ~= '_') and not UNSUPPORTED[string.lower(name)] then
+        local n = key_count(name)
+        local flags = {}
+        if READ_ONLY[string.lower(name)] then
+            flags = { 'no-writes' }
+        end
+        redis.register_function({
+            function_name = '${FUNCTION_PREFIX}' .. string.lower(name),
+            callback = function(keys, args)
+                if (n == 2) then
+                    return func(keys[1], keys[2], unpack(args))
+                elseif (n == 3) then
+                    return func(keys[1], keys[2], keys[3], unpack(args))
+                end
+                return func(keys[1], unpack(args))
+            end,
+            flags = flags
+        })
+    end
+end
+`;
+}
+
+let library = null;
+
+/**
+ * Build the function library from the script on disk. The result is cached.
+ * @returns {Promise<string>}
+ */
+async function loadLibrary() {
+  if (!library) {
+    library = buildLibrary(await loadScriptFile());
+  }
+  return library;
+}
+
+module.exports = {
+  LIBRARY_NAME,
+  functionName,
+  isReadOnly,
+  isSupported,
+  buildLibrary,
+  loadLibrary
+};
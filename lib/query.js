@@ -0,0 +1,499 @@
+const {
+  AGGREGATION_TYPES,
+  RATE_TYPES,
+  FORMAT_VALUES,
+  STORAGE_VALUES,
+  FILL_MODES,
+  TRANSFORM_TYPES,
+  PERCENTILE_REGEX,
+  DURATION_REGEX,
+  COMMAND_OPTIONS,
+  isOptionKeyword
+} = require('./constants');
+const { parseCondition } = require('./filter');
+
+const COMPARISON_OPS = ['=', '!=', '<', '<=', '>', '>='];
+const IDENTIFIER_REGEX = /^[A-Za-z_]+[A-Za-z0-9_]*$/;
+// fixed durations, as accepted for the unit of rates
+const RATE_UNIT_REGEX = /^[1-9]\d*(ms|s|m|h|d|w)$/;
+
+function assertIdentifier(name, context) {
+  if (typeof name !== 'string' || !IDENTIFIER_REGEX.test(name)) {
+    throw new Error(`${context}: invalid field name "${name}"`);
+  }
+}
+
+function assertNotKeyword(value, context) {
+  if (isOptionKeyword(value)) {
+    throw new Error(`${context}: "${value}" is a reserved option name and cannot be used as a value`);
+  }
+}
+
+/**
+ * Quote a value for inclusion in a FILTER contains list, e.g. `state=(ready,"almost, done")`.
+ * Follows the rules of `parse_list` in the lua script: values containing the separator, quotes or
+ * leading/trailing spaces are wrapped in double quotes, and embedded quotes are doubled.
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteListValue(value) {
+  const str = (value === null || value === undefined) ? 'null' : String(value);
+  if (/[()]/.test(str)) {
+    throw new Error(`FILTER: list values may not contain parentheses. Got "${str}"`);
+  }
+  if (str === '' || /[,"]/.test(str) || str.trim() !== str) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Build a single FILTER condition.
+ * @param {string} field
+ * @param {string} op one of =, !=, <, <=, >, >=
+ * @param {*} value a scalar, or for `=` and `!=` an array of values to match
+ * @returns {string}
+ */
+function condition(field, op, value) {
+  assertIdentifier(field, 'FILTER');
+  if (!COMPARISON_OPS.includes(op)) {
+    throw new Error(`FILTER: invalid operator "${op}"`);
+  }
+  if (Array.isArray(value)) {
+    if (op !== '=' && op !== '!=') {
+      throw new Error(`FILTER: lists can only be used with "=" and "!="`);
+    }
+    if (value.length === 0) {
+      throw new Error(`FILTER: no values specified for "${field}"`);
+    }
+    return `${field}${op}(${value.map(quoteListValue).join(',')})`;
+  }
+  const str = (value === null || value === undefined) ? 'null' : String(value);
+  if (str === '') {
+    throw new Error(`FILTER: a value must be specified for "${field}"`);
+  }
+  return `${field}${op}${str}`;
+}
+
+function normalizeConditions(args) {
+  if (args.length === 3 && typeof args[1] === 'string' && COMPARISON_OPS.includes(args[1])) {
+    return [condition(args[0], args[1], args[2])];
+  }
+  const result = [];
+  args.forEach(arg => {
+    if (typeof arg === 'string') {
+      assertNotKeyword(arg, 'FILTER');
+      if (/^(AND|OR)$/i.test(arg)) {
+        throw new Error('FILTER: use orWhere to join conditions');
+      }
+      parseCondition(arg);
+      result.push(arg);
+    } else if (arg && typeof arg === 'object') {
+      Object.keys(arg).forEach(field => result.push(condition(field, '=', arg[field])));
+    } else {
+      throw new Error(`FILTER: invalid condition ${arg}`);
+    }
+  });
+  return result;
+}
+
+function normalizeAggregations(spec) {
+  const result = [];
+  const add = (type, field, unit) => {
+    type = String(type).toLowerCase();
+    const percentile = PERCENTILE_REGEX.exec(type);
+    if (percentile && Number(percentile[1]) <= 100) {
+      // normalize e.g. p99.90 to p99.9, as the script does
+      type = `p${Number(percentile[1])}`;
+    } else if (!AGGREGATION_TYPES.includes(type)) {
+      throw new Error(`AGGREGATION: invalid aggregation type "${type}"`);
+    }
+    // * aggregates every numeric field, or counts samples with count(*)
+    if (field !== '*') {
+      assertIdentifier(field, 'AGGREGATION');
+    }
+    if (unit === undefined) {
+      result.push(`${type}(${field})`);
+      return;
+    }
+    if (!RATE_TYPES.includes(type)) {
+      throw new Error(`AGGREGATION: ${type} does not take an argument`);
+    }
+    const valid = isNaN(unit) ? RATE_UNIT_REGEX.test(unit) : Number(unit) > 0;
+    if (!valid) {
+      throw new Error(`AGGREGATION: ${type} unit must be a positive number or a duration such as 1s or 1m, got "${unit}"`);
+    }
+    result.push(`${type}(${field}, ${unit})`);
+  };
+
+  if (typeof spec === 'string') {
+    spec = [spec];
+  }
+  if (Array.isArray(spec)) {
+    spec.forEach(item => {
+      // aggregation(field, argument), e.g. rate(requests, 1s). percentile(field, q) is shorthand for p<q>(field)
+      const call = /^\s*([A-Za-z_]+[A-Za-z0-9_]*)\s*\(\s*([^,)\s]+)\s*,\s*([^)\s]+)\s*\)\s*$/.exec(item);
+      if (call && call[1].toLowerCase() === 'percentile') {
+        add(`p${call[3]}`, call[2]);
+        return;
+      }
+      if (call) {
+        add(call[1], call[2], call[3]);
+        return;
+      }
+      const match = /^\s*([A-Za-z_]+[A-Za-z0-9_.]*)\s*\(\s*([^)\s]+)\s*\)\s*$/.exec(item);
+      if (!match) {
+        throw new Error(`AGGREGATION: invalid aggregation "${item}"`);
+      }
+      add(match[1], match[2]);
+    });
+  } else if (spec && typeof spec === 'object') {
+    Object.keys(spec).forEach(field => {
+      [].concat(spec[field]).forEach(type => add(type, field));
+    });
+  }
+  if (!result.length) {
+    throw new Error('AGGREGATION: no fields specified');
+  }
+  return result;
+}
+
+/**
+ * Fluent builder for range queries. Compiles to the positional arguments expected by the
+ * range family of commands, as well as `count`, `remrange`, `copy`, `merge` and `scan`.
+ *
+ *  ts.query('purchases')
+ *    .from(1564632000000)
+ *    .to(1564635600000)
+ *    .where('amount>5000')
+ *    .aggregate(5000, { amount: ['avg', 'max'] })
+ *    .range();
+ */
+class Query {
+  /**
+   * @param {TimeSeries} [timeseries] the client used to execute the query
+   * @param {string} [key] the series key
+   */
+  constructor(timeseries, key) {
+    this.timeseries = timeseries;
+    this.key = key;
+    this._min = '-';
+    this._max = '+';
+    this._filters = [];
+    this._limit = null;
+    this._aggregation = null;
+    this._labels = null;
+    this._redacted = null;
+    this._format = null;
+    this._storage = null;
+    this._fill = null;
+    this._align = null;
+    this._timezone = null;
+    this._transforms = null;
+    this._groupBy = null;
+  }
+
+  from(min) {
+    this._min = (min === undefined || min === null) ? '-' : min;
+    return this;
+  }
+
+  to(max) {
+    this._max = (max === undefined || max === null) ? '+' : max;
+    return this;
+  }
+
+  /**
+   * Add conditions which must all be matched. Accepts any of
+   *
+   *  where('amount>5000', 'status=active')
+   *  where('amount', '>', 5000)
+   *  where({ status: 'active', region: ['eu', 'us'] })
+   */
+  where(...args) {
+    normalizeConditions(args).forEach(cond => this._filters.push([cond]));
+    return this;
+  }
+
+  /**
+   * Add an alternative to the last condition specified, e.g.
+   *
+   *  where('purchase_price>5000').orWhere({ customer_status: 'preferred' })
+   */
+  orWhere(...args) {
+    if (!this._filters.length) {
+      throw new Error('FILTER: orWhere must be preceded by a condition');
+    }
+    const chain = this._filters[this._filters.length - 1];
+    normalizeConditions(args).forEach(cond => chain.push(cond));
+    return this;
+  }
+
+  limit(offset, count) {
+    if (count === undefined) {
+      count = offset;
+      offset = 0;
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('LIMIT: offset must be 0 or a positive integer');
+    }
+    if (!Number.isInteger(count)) {
+      throw new Error('LIMIT: count must be an integer');
+    }
+    this._limit = [offset, count];
+    return this;
+  }
+
+  /**
+   * @param {number|string} timeBucket a number, or a duration for millisecond timestamps, e.g. `5m`, `1d`,
+   * `1w` or `1M` (calendar months)
+   * @param {Object|Array<string>|string} spec either a hash of field => aggregation type(s), e.g.
+   * `{ value: ['avg', 'max'] }` or a list of aggregations, e.g. `['avg(value)', 'max(value)']`
+   */
+  aggregate(timeBucket, spec) {
+    const valid = (typeof timeBucket === 'number') ? timeBucket > 0 : DURATION_REGEX.test(timeBucket);
+    if (!valid) {
+      throw new Error('AGGREGATION: timeBucket must be a positive number or a duration such as 1h, 1d or 1M');
+    }
+    this._aggregation = [timeBucket, ...normalizeAggregations(spec)];
+    return this;
+  }
+
+  /**
+   * Emit every bucket of the aggregation between the boundaries of the query, filling empty buckets.
+   * @param {string|number} mode `none`, `null`, `previous`, `next`, `linear` or a constant value
+   */
+  fill(mode) {
+    if (typeof mode !== 'number') {
+      mode = String(mode).toUpperCase();
+      if (!FILL_MODES.includes(mode)) {
+        throw new Error(`FILL: expecting ${FILL_MODES.join(', ')} or a number, got "${mode}"`);
+      }
+    }
+    this._fill = mode;
+    return this;
+  }
+
+  /**
+   * Align aggregation buckets with the start or end of the query, or with a timestamp, rather than 0.
+   * @param {string|number} alignment `start`, `end` or a timestamp
+   */
+  align(alignment) {
+    if (typeof alignment !== 'number') {
+      alignment = String(alignment).toLowerCase();
+      if (!['start', 'end'].includes(alignment)) {
+        throw new Error(`ALIGN: expecting start, end or a timestamp, got "${alignment}"`);
+      }
+    }
+    this._align = alignment;
+    return this;
+  }
+
+  /**
+   * Compute aggregation buckets of days, weeks and months in a timezone, given as a fixed offset.
+   * @param {string} offset `UTC` or an offset from UTC, e.g. `+02:00`
+   */
+  timezone(offset) {
+    if (!/^(UTC|Z|[+-]\d\d(:?\d\d)?)$/i.test(offset)) {
+      throw new Error(`TIMEZONE: expecting UTC or an offset such as +02:00, got "${offset}"`);
+    }
+    this._timezone = offset;
+    return this;
+  }
+
+  /**
+   * Add series computed from the values of a field to each sample, e.g. `sma(value, 10)`, `ema(value, 0.5)`,
+   * `cumsum(value)` or `diff(value)`. The result is returned in the field `<field>_<transform>`.
+   * @param {...string} specs
+   */
+  transform(...specs) {
+    specs = [].concat(...specs);
+    if (!specs.length) {
+      throw new Error('TRANSFORM: at least one transform must be specified');
+    }
+    specs.forEach(spec => {
+      const match = /^\s*([A-Za-z_]+)\s*\(\s*([^,)\s]+)\s*(,\s*[^)\s]+\s*)?\)\s*$/.exec(spec);
+      if (!match) {
+        throw new Error(`TRANSFORM: invalid transform "${spec}"`);
+      }
+      if (!TRANSFORM_TYPES.includes(match[1].toLowerCase())) {
+        throw new Error(`TRANSFORM: invalid transform type "${match[1]}"`);
+      }
+      assertIdentifier(match[2], 'TRANSFORM');
+    });
+    this._transforms = specs;
+    return this;
+  }
+
+  /**
+   * Partition the samples by the values of one or more fields before aggregating, e.g. `groupBy('region')`.
+   * Aggregated values are nested by group, e.g. `{ eu: { latency: { avg: 12 } } }`.
+   * @param {...string} fields
+   */
+  groupBy(...fields) {
+    this._groupBy = this._fieldList('GROUPBY', fields);
+    return this;
+  }
+
+  labels(...names) {
+    if (this._redacted) {
+      throw new Error('Either specify REDACT or LABELS, but not both');
+    }
+    this._labels = this._fieldList('LABELS', names);
+    return this;
+  }
+
+  redact(...names) {
+    if (this._labels) {
+      throw new Error('Either specify REDACT or LABELS, but not both');
+    }
+    this._redacted = this._fieldList('REDACT', names);
+    return this;
+  }
+
+  format(format) {
+    format = String(format).toLowerCase();
+    if (!FORMAT_VALUES.includes(format)) {
+      throw new Error('FORMAT: Expecting "json" or "msgpack"');
+    }
+    this._format = format;
+    return this;
+  }
+
+  storage(storage) {
+    storage = String(storage).toLowerCase();
+    if (!STORAGE_VALUES.includes(storage)) {
+      throw new Error(`STORAGE: Expecting "timeseries" or "hash", got "${storage}"`);
+    }
+    this._storage = storage;
+    return this;
+  }
+
+  _fieldList(option, names) {
+    const list = [].concat(...names);
+    if (!list.length) {
+      throw new Error(`${option}: at least one field must be specified`);
+    }
+    list.forEach(name => assertNotKeyword(name, option));
+    return list;
+  }
+
+  /**
+   * Compile the options of the query to arguments for the given command.
+   * @param {string} [command='range']
+   * @returns {Array} the option arguments, excluding the range boundaries
+   */
+  toOptions(command = 'range') {
+    const valid = COMMAND_OPTIONS[command];
+    if (!valid) {
+      throw new Error(`Query: unsupported command "${command}"`);
+    }
+    const args = [];
+    const append = (option, values) => {
+      if (!valid.includes(option)) {
+        throw new Error(`${command}: the ${option} option is not supported`);
+      }
+      args.push(option, ...values);
+    };
+
+    if (this._filters.length) {
+      // conditions are ANDed, except for those joined by orWhere
+      const conditions = [];
+      this._filters.forEach(chain => {
+        chain.forEach((cond, i) => {
+          if (i > 0) conditions.push('OR');
+          conditions.push(cond);
+        });
+      });
+      append('FILTER', conditions);
+    }
+    if (this._limit) append('LIMIT', this._limit);
+    // the script rejects LABELS following AGGREGATION, so these go first
+    if (this._labels) append('LABELS', this._labels);
+    if (this._redacted) append('REDACT', this._redacted);
+    if (this._aggregation) append('AGGREGATION', this._aggregation);
+    [['FILL', this._fill], ['ALIGN', this._align], ['TIMEZONE', this._timezone]].forEach(([option, value]) => {
+      if (value === null) return;
+      if (!this._aggregation) {
+        throw new Error(`${option} requires an aggregation`);
+      }
+      append(option, [value]);
+    });
+    if (this._groupBy) {
+      if (!this._aggregation) {
+        throw new Error('GROUPBY requires an aggregation');
+      }
+      append('GROUPBY', this._groupBy);
+    }
+    if (this._transforms) {
+      if (this._aggregation) {
+        throw new Error('TRANSFORM cannot be combined with an aggregation');
+      }
+      append('TRANSFORM', this._transforms);
+    }
+    if (this._format) append('FORMAT', [this._format]);
+    if (this._storage) append('STORAGE', [this._storage]);
+
+    return args;
+  }
+
+  /**
+   * Compile the query to the arguments for the given command, including the range boundaries.
+   * @param {string} [command='range']
+   * @returns {Array}
+   */
+  toArgs(command = 'range') {
+    return [this._min, this._max, ...this.toOptions(command)];
+  }
+
+  _client() {
+    if (!this.timeseries || !this.key) {
+      throw new Error('Query: a client and key are required to execute a query');
+    }
+    return this.timeseries;
+  }
+
+  range() {
+    return this._client().range(this.key, ...this.toArgs('range'));
+  }
+
+  revrange() {
+    return this._client().revrange(this.key, ...this.toArgs('revrange'));
+  }
+
+  poprange() {
+    return this._client().poprange(this.key, ...this.toArgs('poprange'));
+  }
+
+  count() {
+    return this._client().count(this.key, ...this.toArgs('count'));
+  }
+
+  remrange() {
+    return this._client().remrange(this.key, ...this.toArgs('remrange'));
+  }
+
+  copy(dest) {
+    return this._client().copy(this.key, dest, ...this.toArgs('copy'));
+  }
+
+  merge(otherKey, dest) {
+    return this._client().merge(this.key, otherKey, dest, ...this.toArgs('merge'));
+  }
+
+  /**
+   * Iterate over the matching samples in pages of `count` entries. See `TimeSeries#scan`.
+   * @param {number} [count]
+   * @returns {Readable}
+   */
+  scan(count) {
+    return this._client()._scan(this.key, this._min, this._max, count, this.toOptions('scan'));
+  }
+}
+
+module.exports = {
+  Query,
+  condition,
+  quoteListValue,
+  normalizeAggregations
+};
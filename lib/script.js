@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const scriptPath = path.resolve(__dirname, '../timeseries-lex.lua');
+
+// the version of timeseries-lex.lua this client was written against
+const SCRIPT_VERSION = '0.3.0';
+
+let script = null;
+
+/**
+ * Reads the lua script from disk. The contents are cached after the first read.
+ * @returns {Promise<string>}
+ */
+function loadScriptFile() {
+  return new Promise((resolve, reject) => {
+    if (script) return resolve(script);
+
+    fs.readFile(scriptPath, { encoding: 'utf8' }, (err, data) => {
+      if (err) return reject(err);
+      resolve( script = data );
+    });
+  })
+}
+
+/**
+ * @param {string} lua
+ * @returns {string} the sha1 digest used to refer to the script in EVALSHA
+ */
+function scriptSha(lua) {
+  return crypto.createHash('sha1').update(lua).digest('hex');
+}
+
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(String(version));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Check whether a version of the script reported by the server can be used by this client. The
+ * major versions must match (or for 0.x versions, the minor versions), and the server version
+ * must be at least the required one.
+ * @param {string} actual
+ * @param {string} [required]
+ * @returns {boolean}
+ */
+function isCompatibleVersion(actual, required = SCRIPT_VERSION) {
+  const a = parseVersion(actual);
+  const r = parseVersion(required);
+  if (!a || !r) {
+    return false;
+  }
+  if (a[0] !== r[0] || (r[0] === 0 && a[1] !== r[1])) {
+    return false;
+  }
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== r[i]) return a[i] > r[i];
+  }
+  return true;
+}
+
+module.exports = {
+  scriptPath,
+  SCRIPT_VERSION,
+  loadScriptFile,
+  scriptSha,
+  isCompatibleVersion
+};
@@ -0,0 +1,730 @@
+const { Readable } = require('stream');
+const { loadScriptFile, scriptSha, isCompatibleVersion, SCRIPT_VERSION } = require('./script');
+const { loadLibrary, functionName, isReadOnly, isSupported } = require('./library');
+const { decodeValue, decodeRange, decodeLabels, decodeInfo, decodeRules, restoreValue } = require('./decoder');
+const { toKeyValueList, getFormat, getStorage, isAggregation, getGroupByDepth } = require('./utils');
+const { isSameSlot, colocatedKey } = require('./cluster');
+const { Query, normalizeAggregations } = require('./query');
+const SampleWriter = require('./writer');
+const { parseFilter } = require('./filter');
+const { COMMAND_OPTIONS } = require('./constants');
+
+const DEFAULT_SCAN_COUNT = 500;
+
+// an exclusive boundary skips every entry at `timestamp` and nothing after it
+function resumeAfter(timestamp) {
+  return `(${timestamp}`;
+}
+
+const MODES = ['script', 'function'];
+const CROSS_SLOT_OPTIONS = ['fallback', 'error'];
+// temporary keys used by client-side copy and merge expire in case the client dies midway
+const TEMP_KEY_TTL = 60000;
+const TRANSFER_BATCH_SIZE = 500;
+const MIGRATE_BATCH_SIZE = 1000;
+
+let tempKeyId = 0;
+
+function isNoScript(err) {
+  return /NOSCRIPT/.test(err && err.message);
+}
+
+function isMissingFunction(err) {
+  return /function not found/i.test(err && err.message);
+}
+
+// redis converts the booleans of a bulk reply to 1 and nil, so samples are fetched as msgpack unless the caller
+// gives a FORMAT. The floats which `add` stores as strings are then restored, as they are in a bulk reply
+function replyFormat(args) {
+  const format = getFormat(args);
+  if (format) {
+    return { format, restore: false, args };
+  }
+  return { format: 'msgpack', restore: true, args: args.concat('FORMAT', 'msgpack') };
+}
+
+function duplicatePolicyArgs(options) {
+  return options.duplicatePolicy ? ['DUPLICATE_POLICY', options.duplicatePolicy] : [];
+}
+
+// check FILTER expressions locally, so that errors are reported before a round trip
+function validateArgs(command, args) {
+  const options = COMMAND_OPTIONS[command];
+  if (!options || !options.includes('FILTER')) {
+    return;
+  }
+  args.forEach((arg, i) => {
+    if (typeof arg === 'string' && arg.toUpperCase() === 'FILTER') {
+      parseFilter(args, i + 1);
+    }
+  });
+}
+
+/**
+ * Client for the timeseries-lex.lua script.
+ *
+ * The script is loaded into redis the first time a command is issued, after which each method maps
+ * onto the `Timeseries` command of the same name. Depending on `mode`, commands are run with EVALSHA
+ * or as functions of a redis 7 function library. Loading also checks that the version of the script
+ * is compatible with the client, and is repeated whenever the connection is re-established.
+ */
+class TimeSeries {
+  /**
+   * @param {Redis} client an ioredis connection
+   * @param {Object} [options]
+   * @param {string} [options.mode='script'] either `script`, to run commands with EVALSHA, or `function`
+   * to load the script as a redis 7 function library and run commands with FCALL/FCALL_RO
+   * @param {string} [options.crossSlot='fallback'] how `copy` and `merge` handle keys in different cluster
+   * slots. `fallback` moves the data through the client, `error` rejects the command
+   */
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('TimeSeries: a redis client must be specified');
+    }
+    const { mode = 'script', crossSlot = 'fallback' } = options;
+    if (!MODES.includes(mode)) {
+      throw new Error(`TimeSeries: mode must be one of ${MODES.join(', ')}. Got "${mode}"`);
+    }
+    if (!CROSS_SLOT_OPTIONS.includes(crossSlot)) {
+      throw new Error(`TimeSeries: crossSlot must be one of ${CROSS_SLOT_OPTIONS.join(', ')}. Got "${crossSlot}"`);
+    }
+    this.client = client;
+    this.mode = mode;
+    this.crossSlot = crossSlot;
+    this.sha = null;
+    this._lua = null;
+    this._library = null;
+    this._loading = null;
+    this._version = null;
+
+    if (typeof client.on === 'function') {
+      // the server may have been restarted or upgraded, so check again on the next command
+      client.on('ready', () => {
+        this._loading = null;
+      });
+    }
+  }
+
+  /**
+   * Loads the script into redis if necessary and verifies its version.
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = this._loadScript().catch(err => {
+        this._loading = null;
+        throw err;
+      });
+    }
+    return this._loading;
+  }
+
+  async _loadScript() {
+    if (this.mode === 'function') {
+      // the library itself is loaded by _exec if the version function is missing
+      this._library = await loadLibrary();
+    } else {
+      const lua = await loadScriptFile();
+      const sha = scriptSha(lua);
+      // in a cluster, the script is loaded on each master
+      await Promise.all(this._nodes().map(async node => {
+        const [exists] = await node.script('exists', sha);
+        if (!exists) {
+          await node.script('load', lua);
+        }
+      }));
+      this._lua = lua;
+      this.sha = sha;
+    }
+
+    let [name, version] = await this._exec([], 'version', []);
+    if (!isCompatibleVersion(version) && (this.mode === 'function')) {
+      // a library loaded by another version of the client
+      await this._loadLibrary(true);
+      [name, version] = await this._exec([], 'version', []);
+    }
+    if (!isCompatibleVersion(version)) {
+      throw new Error(`TimeSeries: ${name} version ${version} is incompatible with this client. Expected ${SCRIPT_VERSION}`);
+    }
+    this._version = { name, version };
+  }
+
+  /**
+   * The name and version of the script loaded on the server.
+   * @returns {Promise<{name: string, version: string}>}
+   */
+  async version() {
+    await this.load();
+    return this._version;
+  }
+
+  _exec(keys, command, args, buffer = false) {
+    const suffix = buffer ? 'Buffer' : '';
+    if (this.mode === 'function') {
+      return this._execFunction(keys, command, args, suffix);
+    }
+    return this._execScript(keys, command, args, suffix);
+  }
+
+  async _execScript(keys, command, args, suffix) {
+    const run = () => this.client[`evalsha${suffix}`](this.sha, keys.length, ...keys, command, ...args);
+    try {
+      return await run();
+    } catch (err) {
+      if (!isNoScript(err)) {
+        throw err;
+      }
+    }
+    // the script cache was flushed, or the server restarted since the script was loaded
+    await this.client.script('load', this._lua);
+    try {
+      return await run();
+    } catch (err) {
+      if (!isNoScript(err)) {
+        throw err;
+      }
+    }
+    // SCRIPT LOAD may have reached another node (e.g. in a cluster), so send the script itself
+    return this.client[`eval${suffix}`](this._lua, keys.length, ...keys, command, ...args);
+  }
+
+  async _execFunction(keys, command, args, suffix) {
+    if (!isSupported(command)) {
+      throw new Error(`TimeSeries: ${command} is not supported in function mode, since it reads keys it cannot declare`);
+    }
+    const method = (isReadOnly(command) ? 'fcall_ro' : 'fcall') + suffix;
+    const run = () => this.client[method](functionName(command), keys.length, ...keys, ...args);
+    try {
+      return await run();
+    } catch (err) {
+      if (!isMissingFunction(err)) {
+        throw err;
+      }
+    }
+    // the library has not been loaded yet, or was removed by FUNCTION FLUSH/DELETE
+    await this._loadLibrary(false);
+    return run();
+  }
+
+  // load the library on each master. Without *replace*, a library loaded concurrently by another client is kept
+  _loadLibrary(replace) {
+    return Promise.all(this._nodes().map(async node => {
+      try {
+        if (replace) {
+          await node.function('load', 'REPLACE', this._library);
+        } else {
+          await node.function('load', this._library);
+        }
+      } catch (err) {
+        if (replace || !/already exists/i.test(err.message)) {
+          throw err;
+        }
+      }
+    }));
+  }
+
+  get isCluster() {
+    return !!this.client.isCluster;
+  }
+
+  // the connections to which scripts and functions are loaded
+  _nodes() {
+    return this.isCluster ? this.client.nodes('master') : [this.client];
+  }
+
+  async call(keys, command, ...args) {
+    keys = [].concat(keys);
+    validateArgs(command, args);
+    await this.load();
+    return this._exec(keys, command, args);
+  }
+
+  /**
+   * Like `call`, but returns the raw reply as a Buffer. Needed for `FORMAT msgpack`, since
+   * the binary reply would otherwise be mangled by string decoding.
+   */
+  async callBuffer(keys, command, ...args) {
+    keys = [].concat(keys);
+    validateArgs(command, args);
+    await this.load();
+    return this._exec(keys, command, args, true);
+  }
+
+  _callFormatted(format, keys, command, ...args) {
+    if (format && String(format).toLowerCase() === 'msgpack') {
+      return this.callBuffer(keys, command, ...args);
+    }
+    return this.call(keys, command, ...args);
+  }
+
+  /**
+   * Start a query against the series at `key`.
+   * @param {string} key
+   * @returns {Query}
+   */
+  query(key) {
+    return new Query(this, key);
+  }
+
+  /**
+   * Add a sample to the series at `key`.
+   * @param {string} key
+   * @param {number|string} timestamp a timestamp, or `*` for the current server time
+   * @param {Object} values field value pairs
+   * @param {Object} [options]
+   * @param {string} [options.duplicatePolicy] overrides the duplicate policy of the series (see `duplicatePolicy`)
+   * @returns {Promise<number>} the timestamp
+   */
+  add(key, timestamp, values, options = {}) {
+    return this.call(key, 'add', timestamp, ...duplicatePolicyArgs(options), ...toKeyValueList(values));
+  }
+
+  /**
+   * Add multiple samples to the series at `key`.
+   * @param {string} key
+   * @param {Array<Array>} samples a list of `[timestamp, values]` pairs
+   * @param {Object} [options]
+   * @param {string} [options.duplicatePolicy] overrides the duplicate policy of the series (see `duplicatePolicy`)
+   * @returns {Promise<number>} the number of samples stored. Samples skipped by `KEEP_FIRST` are not counted
+   */
+  bulkAdd(key, samples, options = {}) {
+    const args = samples.reduce((res, [ts, values]) => res.concat(ts, JSON.stringify(values)), []);
+    return this.call(key, 'bulkAdd', ...duplicatePolicyArgs(options), ...args);
+  }
+
+  /**
+   * Get the value of the sample at `timestamp`.
+   * @returns {Promise<Object|null>}
+   */
+  get(key, timestamp, ...args) {
+    return this._get('get', key, timestamp, ...args);
+  }
+
+  /**
+   * Remove and return the value of the sample at `timestamp`.
+   * @returns {Promise<Object|null>}
+   */
+  pop(key, timestamp, ...args) {
+    return this._get('pop', key, timestamp, ...args);
+  }
+
+  async _get(command, key, timestamp, ...args) {
+    const { format, restore, args: replyArgs } = replyFormat(args);
+    const response = await this._callFormatted(format, key, command, timestamp, ...replyArgs);
+    return decodeValue(response, format, restore);
+  }
+
+  set(key, timestamp, values) {
+    return this.call(key, 'set', timestamp, ...toKeyValueList(values));
+  }
+
+  /**
+   * Increment the fields of the sample at `timestamp`.
+   * @returns {Promise<Array>} the new values of the incremented fields
+   */
+  async incrBy(key, timestamp, values) {
+    const response = await this.call(key, 'incrBy', timestamp, ...toKeyValueList(values));
+    return response.map(restoreValue);
+  }
+
+  /**
+   * Remove the samples at the given timestamps.
+   * @returns {Promise<number>} the number of samples removed
+   */
+  del(key, ...timestamps) {
+    return this.call(key, 'del', ...timestamps);
+  }
+
+  /**
+   * Query the samples between `min` and `max`.
+   * @returns {Promise<Array<{timestamp: number, values: Object}>>}
+   */
+  range(key, min, max, ...args) {
+    return this._range('range', key, min, max, ...args);
+  }
+
+  /**
+   * Query the samples between `min` and `max`, latest first. The boundaries are given in the same order as for `range`.
+   * @returns {Promise<Array<{timestamp: number, values: Object}>>}
+   */
+  revrange(key, min, max, ...args) {
+    return this._range('revrange', key, min, max, ...args);
+  }
+
+  poprange(key, min, max, ...args) {
+    return this._range('poprange', key, min, max, ...args);
+  }
+
+  async _range(command, key, min, max, ...args) {
+    const { format, restore, args: replyArgs } = replyFormat(args);
+    const response = await this._callFormatted(format, key, command, min, max, ...replyArgs);
+    return decodeRange(response, { format, restore, aggregation: isAggregation(args), groups: getGroupByDepth(args) });
+  }
+
+  /**
+   * Run a range query on each series whose labels match all of `matchers`. Matchers have the form
+   * `name=value`, `name!=value`, `name=` (the label is absent) or `name!=` (the label is present),
+   * and at least one must be `name=value` or `name!=`.
+   * @param {string|Array<string>} matchers
+   * @param {number|string} min
+   * @param {number|string} max
+   * @param {...*} args options, as for `range`
+   * @returns {Promise<Array<{key: string, labels: Object, samples: Array}>>} the results, ordered by key
+   */
+  mrange(matchers, min, max, ...args) {
+    return this._mrange('mrange', matchers, min, max, ...args);
+  }
+
+  /**
+   * As `mrange`, with the samples of each series latest first. The boundaries are given in the same order as for `mrange`.
+   */
+  mrevrange(matchers, min, max, ...args) {
+    return this._mrange('mrevrange', matchers, min, max, ...args);
+  }
+
+  async _mrange(command, matchers, min, max, ...args) {
+    this._checkLabelIndex(command);
+    const { format, restore, args: replyArgs } = replyFormat(args);
+    const response = await this._callFormatted(format, [], command, min, max, 'MATCH', ...[].concat(matchers), ...replyArgs);
+    const aggregation = isAggregation(args);
+    const groups = getGroupByDepth(args);
+    return response.map(([key, labels, range]) => ({
+      key: String(key),
+      labels: decodeLabels(labels),
+      samples: decodeRange(range, { format, restore, aggregation, groups })
+    }));
+  }
+
+  /**
+   * Create a Writable stream which stores `{ key, timestamp, values }` samples in batches.
+   * See `SampleWriter` for the available options.
+   * @param {Object} [options]
+   * @returns {SampleWriter}
+   */
+  createWriteStream(options) {
+    return new SampleWriter(this, options);
+  }
+
+  /**
+   * Iterate over the samples between `min` and `max`, fetching at most `options.count` entries
+   * per round trip. Each page resumes after the last timestamp examined by the previous one, so
+   * the cost of a page does not grow with the position in the series.
+   *
+   *  for await (const sample of ts.scan(key, '-', '+', { filter: 'amount>5000' })) { ... }
+   *
+   * @param {string} key
+   * @param {number|string} [min='-']
+   * @param {number|string} [max='+']
+   * @param {Object} [options]
+   * @param {number} [options.count=500] the page size
+   * @param {string|Array<string>} [options.filter] FILTER conditions
+   * @param {Array<string>} [options.labels] the fields to return
+   * @param {Array<string>} [options.redact] the fields to omit
+   * @param {string} [options.format] `json` or `msgpack`, to fetch the values exactly as stored (see `range`)
+   * @returns {Readable} an object mode stream of `{ timestamp, values }` samples, which is also
+   * an async iterator
+   */
+  scan(key, min = '-', max = '+', options = {}) {
+    const args = [];
+    if (options.filter) args.push('FILTER', ...[].concat(options.filter));
+    if (options.labels) args.push('LABELS', ...[].concat(options.labels));
+    if (options.redact) args.push('REDACT', ...[].concat(options.redact));
+    if (options.format) args.push('FORMAT', options.format);
+    return this._scan(key, min, max, options.count, args);
+  }
+
+  _scan(key, min, max, count = DEFAULT_SCAN_COUNT, args = []) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('scan: count must be a positive integer');
+    }
+    validateArgs('scan', args);
+    return Readable.from(this._scanPages(key, min, max, count, args));
+  }
+
+  async* _scanPages(key, min, max, count, args) {
+    const { format, restore, args: replyArgs } = replyFormat(args);
+    let cursor = min;
+    for (;;) {
+      const [next, page] = await this._callFormatted(format, key, 'scan', cursor, max, count, ...replyArgs);
+      yield* decodeRange(page, { format, restore });
+      if (!String(next)) {
+        return;
+      }
+      cursor = resumeAfter(next);
+    }
+  }
+
+  /**
+   * Remove the samples between `min` and `max`.
+   * @returns {Promise<number>} the number of samples removed
+   */
+  remrange(key, min, max, ...args) {
+    return this.call(key, 'remrange', min, max, ...args);
+  }
+
+  count(key, min, max, ...args) {
+    return this.call(key, 'count', min, max, ...args);
+  }
+
+  async exists(key, timestamp) {
+    const response = await this.call(key, 'exists', timestamp);
+    return response === 1;
+  }
+
+  /**
+   * @returns {Promise<Array<number>>} the first and last timestamps in the series
+   */
+  span(key) {
+    return this.call(key, 'span');
+  }
+
+  times(key, min = '-', max = '+') {
+    return this.call(key, 'times', min, max);
+  }
+
+  size(key) {
+    return this.call(key, 'size');
+  }
+
+  /**
+   * @returns {Promise<Object<string, string>>} the labels attached to the series at `key`
+   */
+  async labels(key) {
+    return decodeLabels(await this.call(key, 'labels'));
+  }
+
+  /**
+   * Attach labels to the series at `key`, replacing existing labels with the same names.
+   * @param {string} key
+   * @param {Object<string, string>} labels
+   * @returns {Promise<number>} the number of labels set
+   */
+  async setLabels(key, labels) {
+    this._checkLabelIndex('setLabels');
+    return this.call(key, 'setLabels', ...toKeyValueList(labels));
+  }
+
+  /**
+   * Remove labels from the series at `key`.
+   * @returns {Promise<number>} the number of labels removed
+   */
+  async delLabels(key, ...names) {
+    this._checkLabelIndex('delLabels');
+    return this.call(key, 'delLabels', ...names);
+  }
+
+  // the label index is kept in keys shared by every series, which a cluster would place in other slots
+  _checkLabelIndex(command) {
+    if (this.isCluster) {
+      throw new Error(`TimeSeries: ${command} is not supported on a cluster, since the label index spans slots`);
+    }
+  }
+
+  /**
+   * Describe the series at `key`.
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {number} [options.samples] the number of samples examined for field names. Defaults to all
+   * @returns {Promise<Object>} `{ firstTimestamp, lastTimestamp, totalSamples, fields, retention, labels, memoryUsage }`
+   */
+  async info(key, options = {}) {
+    const args = options.samples ? ['SAMPLES', options.samples] : [];
+    return decodeInfo(await this.call(key, 'info', ...args));
+  }
+
+  /**
+   * Get or set the retention policy of the series at `key`. Samples older than the newest timestamp less
+   * `maxAge`, and the oldest samples beyond `maxCount`, are removed on each write. 0 removes a limit.
+   * @param {string} key
+   * @param {Object} [policy] the limits to set. Omit to get the current policy
+   * @param {number} [policy.maxAge]
+   * @param {number} [policy.maxCount]
+   * @returns {Promise<{maxAge: number, maxCount: number}>} the policy in effect
+   */
+  async retention(key, policy = {}) {
+    const args = [];
+    if (policy.maxAge !== undefined) args.push('MAXAGE', policy.maxAge);
+    if (policy.maxCount !== undefined) args.push('MAXCOUNT', policy.maxCount);
+    const response = await this.call(key, 'retention', ...args);
+    return decodeValue(response);
+  }
+
+  /**
+   * Get or set how `add`, `bulkAdd`, `copy` and `merge` handle a sample at a timestamp which already holds one:
+   * `BLOCK` rejects it, `REPLACE` (the default) replaces the existing sample, `KEEP_FIRST` ignores the new one,
+   * `MERGE_FIELDS` merges the fields of both, and `SUM`, `MIN` and `MAX` merge them, combining numeric fields present
+   * in both.
+   * @param {string} key
+   * @param {string} [policy] the policy to set. Omit to get the current policy
+   * @returns {Promise<string>} the policy in effect
+   */
+  duplicatePolicy(key, policy) {
+    return this.call(key, 'duplicatePolicy', ...(policy ? [policy] : []));
+  }
+
+  /**
+   * Downsample the series at `key` into `dest` as samples are written or removed. Buckets are stored in the
+   * layout written by `copy` with AGGREGATION, e.g. `value_avg`, so existing samples can be backfilled with
+   * `copy`. In a cluster, `dest` must be in the same slot as `key` (see `colocatedKey`), and rules are not supported
+   * in function mode, since the writes which update `dest` do not declare it.
+   * @param {string} key
+   * @param {string} dest
+   * @param {number} timeBucket
+   * @param {string|string[]|Object<string, string|string[]>} aggregations e.g. `['avg(value)', 'max(value)']`
+   * or `{ value: ['avg', 'max'] }`
+   * @returns {Promise<number>}
+   */
+  async createRule(key, dest, timeBucket, aggregations) {
+    if (this.isCluster && this.mode === 'function') {
+      throw new Error('TimeSeries: createRule is not supported in function mode on a cluster, since functions must declare the keys they write');
+    }
+    if (this.isCluster && !isSameSlot([key, dest])) {
+      throw new Error(`TimeSeries: the compaction destination "${dest}" must be in the same cluster slot as "${key}". Use colocatedKey() to derive it`);
+    }
+    return this.call([key, dest], 'createRule', timeBucket, ...normalizeAggregations(aggregations));
+  }
+
+  /**
+   * Remove the compaction rule from `key` to `dest`. The samples in `dest` are kept.
+   * @returns {Promise<number>} 1 if the rule existed, otherwise 0
+   */
+  deleteRule(key, dest) {
+    return this.call(key, 'deleteRule', dest);
+  }
+
+  /**
+   * @returns {Promise<Array<{dest: string, timeBucket: number, aggregations: string[]}>>} the compaction
+   * rules of the series at `key`
+   */
+  async rules(key) {
+    return decodeRules(await this.call(key, 'rules'));
+  }
+
+  /**
+   * Rewrite the series at `keys`, written by versions of the script before 0.3.0, in the current timestamp
+   * encoding. Entries are rewritten in batches of `batchSize` per call, so that no single call blocks redis
+   * for long. Series which are already migrated are left untouched.
+   * @param {string|string[]} keys
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=1000] the maximum number of entries rewritten per call
+   * @returns {Promise<number>} the number of entries rewritten
+   */
+  async migrate(keys, options = {}) {
+    const { batchSize = MIGRATE_BATCH_SIZE } = options;
+    let total = 0;
+    for (const key of [].concat(keys)) {
+      let remaining;
+      do {
+        let migrated;
+        [migrated, remaining] = await this.call(key, 'migrate', 'COUNT', batchSize);
+        total += migrated;
+      } while (remaining > 0);
+    }
+    return total;
+  }
+
+  /**
+   * Copy a range of samples from `src` to `dest`, optionally filtered and aggregated.
+   * @returns {Promise<number>} the number of items stored
+   */
+  async copy(src, dest, min, max, ...args) {
+    if (this._canRunOnServer([src, dest])) {
+      return this.call([src, dest], 'copy', min, max, ...args);
+    }
+    // copy to a key next to the source, then move the result to dest
+    const temp = this._tempKey(src);
+    try {
+      const count = await this.call([src, temp], 'copy', min, max, ...args);
+      await this._moveKey(temp, dest, getStorage(args));
+      return count;
+    } finally {
+      await this.client.del(temp);
+    }
+  }
+
+  /**
+   * Sum the numeric fields of a range of samples from 2 series and store the result in `dest`.
+   * @returns {Promise<number>} the number of items stored
+   */
+  async merge(src1, src2, dest, min, max, ...args) {
+    if (this._canRunOnServer([src1, src2, dest])) {
+      return this.call([src1, src2, dest], 'merge', min, max, ...args);
+    }
+    const temps = [];
+    const tempKey = () => {
+      const key = this._tempKey(src1);
+      temps.push(key);
+      return key;
+    };
+    try {
+      let second = src2;
+      if (!isSameSlot([src1, src2])) {
+        // bring the unfiltered range of src2 next to src1, so that merge applies all options itself
+        second = tempKey();
+        await this.copy(src2, second, min, max);
+      }
+      const temp = tempKey();
+      const count = await this.call([src1, second, temp], 'merge', min, max, ...args);
+      await this._moveKey(temp, dest, getStorage(args));
+      return count;
+    } finally {
+      await this.client.del(...temps);
+    }
+  }
+
+  /**
+   * Derive a key in the same cluster slot as `key`, e.g. for use as the destination of `copy`.
+   * @param {string} key
+   * @param {string} suffix
+   * @returns {string}
+   */
+  colocatedKey(key, suffix) {
+    return colocatedKey(key, suffix);
+  }
+
+  // whether a multi-key command can run as is. Throws if the keys span slots and fallback is disabled
+  _canRunOnServer(keys) {
+    if (!this.isCluster || isSameSlot(keys)) {
+      return true;
+    }
+    if (this.crossSlot === 'error') {
+      const list = keys.map(key => `"${key}"`).join(', ');
+      throw new Error(`TimeSeries: the keys ${list} map to different cluster slots. Use colocatedKey() to derive keys in the same slot`);
+    }
+    return false;
+  }
+
+  _tempKey(key) {
+    return colocatedKey(key, `tmp:${process.pid}:${Date.now()}:${++tempKeyId}`);
+  }
+
+  // append the contents of `src` (as written by copy or merge) to `dest`. Samples are stored with bulkAdd, so
+  // that the retention, duplicate policy and compaction rules of `dest` apply as when the script stores to it.
+  // Unlike on the server, a batch blocked by the duplicate policy leaves the batches before it stored
+  async _moveKey(src, dest, storage) {
+    await this.client.pexpire(src, TEMP_KEY_TTL);
+    if (storage === 'hash') {
+      const hash = await this.client.hgetall(src);
+      const fields = Object.keys(hash);
+      for (let i = 0; i < fields.length; i += TRANSFER_BATCH_SIZE) {
+        const args = [];
+        fields.slice(i, i + TRANSFER_BATCH_SIZE).forEach(field => args.push(field, hash[field]));
+        await this.client.hmset(dest, ...args);
+      }
+      return;
+    }
+    // msgpack keeps the values as stored, e.g. booleans
+    for (let start = 0; ; start += TRANSFER_BATCH_SIZE) {
+      const samples = await this.range(src, '-', '+', 'LIMIT', start, TRANSFER_BATCH_SIZE, 'FORMAT', 'msgpack');
+      if (!samples.length) {
+        return;
+      }
+      await this.bulkAdd(dest, samples.map(({ timestamp, values }) => [timestamp, values]));
+      if (samples.length < TRANSFER_BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+}
+
+module.exports = TimeSeries;
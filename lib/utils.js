@@ -0,0 +1,92 @@
+const { isOptionKeyword } = require('./constants');
+
+function toKeyValueList(hash) {
+  return Object.entries(hash).reduce((res, [key, value]) => res.concat(key, (value == null) ? 'null' : value), []);
+}
+
+function parseObjectResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return reply
+  }
+  const data = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    let key = reply[i];
+    let val = reply[i + 1];
+    if (Array.isArray(val)) {
+      data[key] = parseObjectResponse(val);
+    } else {
+      data[key] = val;
+    }
+  }
+  return data
+}
+
+function parseAggregationResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return [];
+  }
+  const data = [];
+  for (let i = 0; i < reply.length; i += 2) {
+    data.push(
+        [ reply[i], parseObjectResponse(reply[i+1]) ]
+    );
+  }
+  return data
+}
+
+function parseMessageResponse(reply) {
+  if (!Array.isArray(reply)) {
+    return [];
+  }
+  return reply.map(([id, val]) => {
+    return [id, parseObjectResponse(val)]
+  });
+}
+
+function findOption(args, name) {
+  return args.findIndex(x => typeof(x) === 'string' && x.toUpperCase() === name);
+}
+
+function getFormat(args) {
+  const i = findOption(args, 'FORMAT');
+  if (i >= 0 && i + 1 < args.length) {
+    return args[i + 1];
+  }
+  return null;
+}
+
+function getStorage(args) {
+  const i = findOption(args, 'STORAGE');
+  if (i >= 0 && i + 1 < args.length) {
+    return String(args[i + 1]).toLowerCase();
+  }
+  return 'timeseries';
+}
+
+function isAggregation(args) {
+  return findOption(args, 'AGGREGATION') >= 0;
+}
+
+// the number of GROUPBY fields, i.e. the depth at which aggregated values are nested
+function getGroupByDepth(args) {
+  const i = findOption(args, 'GROUPBY');
+  if (i < 0) {
+    return 0;
+  }
+  let j = i + 1;
+  while (j < args.length && !isOptionKeyword(args[j])) {
+    j++;
+  }
+  return j - i - 1;
+}
+
+module.exports = {
+  toKeyValueList,
+  parseObjectResponse,
+  parseAggregationResponse,
+  parseMessageResponse,
+  getFormat,
+  getStorage,
+  isAggregation,
+  getGroupByDepth
+};
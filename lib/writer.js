@@ -0,0 +1,206 @@
+const { Writable } = require('stream');
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_FLUSH_INTERVAL = 1000;
+const DEFAULT_CONCURRENCY = 2;
+
+function validateSample(sample) {
+  if (!sample || typeof sample !== 'object') {
+    return 'expected an object of the form { key, timestamp, values }';
+  }
+  if (typeof sample.key !== 'string' || !sample.key.length) {
+    return 'a key must be specified';
+  }
+  if (sample.timestamp === undefined || sample.timestamp === null) {
+    return 'a timestamp must be specified';
+  }
+  if (!sample.values || typeof sample.values !== 'object') {
+    return 'values must be an object';
+  }
+  return null;
+}
+
+/**
+ * Object mode Writable which groups incoming `{ key, timestamp, values }` samples by key and
+ * stores them using `bulkAdd`.
+ *
+ * A batch is sent once it reaches `batchSize` samples, or when `flushInterval` elapses. At most
+ * `concurrency` batches are stored at a time, and the batches of a key are stored one after the
+ * other, in the order they were sent. Writes are held back while `concurrency` batches are in
+ * flight, so producers respect backpressure.
+ *
+ * Each stored batch emits `batch` with `{ key, count }`. A failed batch emits `batchError` with
+ * an error carrying the `key` and `samples` of the batch, and the stream carries on. If there are
+ * no `batchError` listeners, the failure is emitted as `error` instead.
+ */
+class SampleWriter extends Writable {
+  /**
+   * @param {TimeSeries} timeseries
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=500] the maximum number of samples per bulkAdd call
+   * @param {number} [options.flushInterval=1000] the interval (ms) at which partial batches are sent. 0 disables
+   * @param {number} [options.concurrency=2] the maximum number of batches in flight
+   * @param {string} [options.duplicatePolicy] passed to bulkAdd
+   * @param {number} [options.highWaterMark] passed to Writable
+   */
+  constructor(timeseries, options = {}) {
+    super({ objectMode: true, highWaterMark: options.highWaterMark });
+    const {
+      batchSize = DEFAULT_BATCH_SIZE,
+      flushInterval = DEFAULT_FLUSH_INTERVAL,
+      concurrency = DEFAULT_CONCURRENCY
+    } = options;
+
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error('SampleWriter: batchSize must be a positive integer');
+    }
+    if (!Number.isInteger(concurrency) || concurrency <= 0) {
+      throw new Error('SampleWriter: concurrency must be a positive integer');
+    }
+    if (typeof flushInterval !== 'number' || flushInterval < 0) {
+      throw new Error('SampleWriter: flushInterval must be 0 or a positive number');
+    }
+
+    this.timeseries = timeseries;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this.duplicatePolicy = options.duplicatePolicy;
+    this._batches = new Map();
+    this._inflight = new Set();
+    // the last batch sent for each key, which the next one waits for
+    this._tails = new Map();
+    this._running = 0;
+    this._waiting = [];
+    this._timer = null;
+
+    if (flushInterval > 0) {
+      this._timer = setInterval(() => this._flushAll(), flushInterval);
+      if (this._timer.unref) this._timer.unref();
+    }
+  }
+
+  _write(sample, encoding, callback) {
+    const message = validateSample(sample);
+    if (message) {
+      return callback(new Error(`SampleWriter: ${message}`));
+    }
+
+    const { key, timestamp, values } = sample;
+    let batch = this._batches.get(key);
+    if (!batch) {
+      batch = [];
+      this._batches.set(key, batch);
+    }
+    batch.push([timestamp, values]);
+
+    if (batch.length >= this.batchSize) {
+      this._send(key);
+    }
+    this._whenReady().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    this._stopTimer();
+    this.flush().then(() => callback(), callback);
+  }
+
+  _destroy(err, callback) {
+    this._stopTimer();
+    callback(err);
+  }
+
+  /**
+   * Send all pending samples.
+   * @returns {Promise<void>} resolves once all batches in flight have completed
+   */
+  flush() {
+    this._flushAll();
+    return Promise.all(Array.from(this._inflight)).then(() => undefined);
+  }
+
+  _flushAll() {
+    Array.from(this._batches.keys()).forEach(key => this._send(key));
+  }
+
+  // resolves once there is room for another batch in flight
+  async _whenReady() {
+    while (this._inflight.size >= this.concurrency) {
+      await Promise.race(this._inflight);
+    }
+  }
+
+  // resolves once fewer than `concurrency` batches are being stored. Every batch goes through here,
+  // whether sent because it is full, by the interval or by flush
+  _acquire() {
+    if (this._running < this.concurrency) {
+      this._running++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this._waiting.push(resolve));
+  }
+
+  _release() {
+    const next = this._waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this._running--;
+    }
+  }
+
+  _store(key, samples) {
+    return this._acquire()
+      .then(() => this.timeseries.bulkAdd(key, samples, { duplicatePolicy: this.duplicatePolicy }))
+      .then(count => {
+        this._release();
+        return count;
+      }, err => {
+        this._release();
+        throw err;
+      });
+  }
+
+  _send(key) {
+    const samples = this._batches.get(key);
+    this._batches.delete(key);
+    if (!samples || !samples.length) {
+      return;
+    }
+
+    const previous = this._tails.get(key) || Promise.resolve();
+    const request = previous
+      .then(() => this._store(key, samples))
+      .then(count => {
+        this.emit('batch', { key, count });
+      })
+      .catch(err => {
+        const error = new Error(`SampleWriter: failed to store ${samples.length} samples to "${key}": ${err.message}`);
+        error.key = key;
+        error.samples = samples;
+        error.cause = err;
+        if (this.listenerCount('batchError')) {
+          this.emit('batchError', error);
+        } else {
+          this.destroy(error);
+        }
+      })
+      .then(() => {
+        this._inflight.delete(request);
+        if (this._tails.get(key) === request) {
+          this._tails.delete(key);
+        }
+      });
+
+    this._inflight.add(request);
+    this._tails.set(key, request);
+  }
+
+  _stopTimer() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+}
+
+module.exports = SampleWriter;
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// Writes timeseries-lex.lua packaged as a redis 7 function library to stdout, e.g.
+//
+//  node scripts/build-library.js | redis-cli -x FUNCTION LOAD REPLACE
+const { loadLibrary } = require('../lib/library');
+
+loadLibrary()
+  .then(library => process.stdout.write(library))
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
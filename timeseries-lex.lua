@@ -15,7 +15,7 @@
 -- Originally based on https://searchcode.com/codesearch/view/15359364/#
 
 local _NAME = 'timeseries-lex.lua'
-local _VERSION = '0.0.1'
+local _VERSION = '0.3.0'
 local _DESCRIPTION = 'A library for simple timeseries handling in Redis'
 local _COPYRIGHT = '2019 Clayton Collie, Guanima Tech'
 
@@ -25,7 +25,11 @@ end
 
 ----- DEBUG HELPERS ---
 
-function table.val_to_str (v)
+-- these are locals rather than additions to the table library, since redis 7 makes the
+-- standard libraries read-only
+local table_tostring
+
+local function val_to_str(v)
     if "string" == type(v) then
         v = string.gsub(v, "\n", "\\n")
         if string.match(string.gsub(v, "[^'\"]", ""), '^"+$') then
@@ -33,29 +37,29 @@ function table.val_to_str (v)
         end
         return '"' .. string.gsub(v, '"', '\\"') .. '"'
     else
-        return "table" == type(v) and table.tostring(v) or
+        return "table" == type(v) and table_tostring(v) or
                 tostring(v)
     end
 end
 
-function table.key_to_str (k)
+local function key_to_str(k)
     if "string" == type(k) and string.match(k, "^[_%a][_%a%d]*$") then
         return k
     else
-        return "[" .. table.val_to_str(k) .. "]"
+        return "[" .. val_to_str(k) .. "]"
     end
 end
 
-function table.tostring(tbl)
+table_tostring = function(tbl)
     local result, done = {}, {}
     for k, v in ipairs(tbl) do
-        table.insert(result, table.val_to_str(v))
+        table.insert(result, val_to_str(v))
         done[k] = true
     end
     for k, v in pairs(tbl) do
         if not done[k] then
             table.insert(result,
-                    table.key_to_str(k) .. "=" .. table.val_to_str(v))
+                    key_to_str(k) .. "=" .. val_to_str(v))
         end
     end
     return "{" .. table.concat(result, ",") .. "}"
@@ -158,6 +162,87 @@ function stats.median( t )
     end
 end
 
+-- Get the q-th percentile (0 <= q <= 100) of a table, interpolating between the closest ranks
+function stats.percentile(t, q)
+    local temp = {}
+    for _, v in pairs(t) do
+        if type(v) == 'number' then
+            temp[#temp + 1] = v
+        end
+    end
+    if (#temp == 0) then
+        return nil
+    end
+
+    table.sort(temp)
+
+    local rank = (#temp - 1) * q / 100 + 1
+    local lower = math.floor(rank)
+    local upper = math.min(lower + 1, #temp)
+    return temp[lower] + (temp[upper] - temp[lower]) * (rank - lower)
+end
+
+--- SKETCH ------
+
+-- An approximate summary of a large set of values, after DDSketch. Values are counted in bins whose bounds grow
+-- geometrically, so that a percentile is estimated within SKETCH_ACCURACY of its actual value (relative error),
+-- using memory proportional to the log of the range of values rather than to their number
+local SKETCH_ACCURACY = 0.01
+local SKETCH_GAMMA = (1 + SKETCH_ACCURACY) / (1 - SKETCH_ACCURACY)
+local SKETCH_LOG_GAMMA = math.log(SKETCH_GAMMA)
+
+local sketch = {}
+
+-- bins are keyed by their index as a string, so that the sketch survives a msgpack round trip
+function sketch.new()
+    return { count = 0, zero = 0, pos = {}, neg = {} }
+end
+
+function sketch.is_sketch(t)
+    return t.pos ~= nil
+end
+
+function sketch.add(s, val)
+    s.count = s.count + 1
+    if (val == 0) then
+        s.zero = s.zero + 1
+    else
+        local bins = (val > 0) and s.pos or s.neg
+        local index = tostring(math.ceil(math.log(math.abs(val)) / SKETCH_LOG_GAMMA))
+        bins[index] = (bins[index] or 0) + 1
+    end
+end
+
+function sketch.percentile(s, q)
+    local bins = {}
+    local function add_bins(source, sign)
+        for index, count in pairs(source) do
+            -- the value with the least relative error for the bin (gamma^(i-1), gamma^i]
+            local value = 2 * SKETCH_GAMMA ^ tonumber(index) / (SKETCH_GAMMA + 1)
+            bins[#bins + 1] = { sign * value, count }
+        end
+    end
+    add_bins(s.neg, -1)
+    add_bins(s.pos, 1)
+    if (s.zero > 0) then
+        bins[#bins + 1] = { 0, s.zero }
+    end
+    if (#bins == 0) then
+        return nil
+    end
+    table.sort(bins, function(a, b) return a[1] < b[1] end)
+
+    local rank = (s.count - 1) * q / 100
+    local seen = 0
+    for _, bin in ipairs(bins) do
+        seen = seen + bin[2]
+        if (seen > rank) then
+            return bin[1]
+        end
+    end
+    return bins[#bins][1]
+end
+
 --- UTILS ------
 
 local SEPARATOR = '|'
@@ -224,6 +309,8 @@ local function to_bulk_reply(val)
             i = i + 2
         end
         return data
+    elseif val == cjson.null then
+        return false
     elseif type == "nil" then
         return "nil"
     end
@@ -231,9 +318,15 @@ local function to_bulk_reply(val)
 end
 
 -- raw value should be a kv table [name, value, name, value ...]
--- convert to an associative array
+-- convert to an associative array. Samples stored by bulkAdd before version 0.3.0 are already associative
 local function to_hash(value)
     local len, result = #value, {}
+    if (value[1] == nil) then
+        for k, v in pairs(value) do
+            result[k] = v
+        end
+        return result
+    end
     for k = 1, len, 2 do
         result[value[k]] = value[k + 1]
     end
@@ -284,15 +377,114 @@ local function pick(value, options)
     return hash
 end
 
-local function split(source, sep)
-    local start, ending = string.find(source, sep or SEPARATOR, 1, true)
-    local timestamp = source:sub(1, start - 1)
-    local value = source:sub(ending + 1)
-    return tonumber(timestamp), value
+--- TIMESTAMP ENCODING ------
+
+-- Timestamps are encoded so that byte order matches numeric order, whatever their magnitude or sign. The bits
+-- of the IEEE 754 double are flipped (all of them for negative numbers, the sign bit otherwise) and written
+-- as 16 characters in the range A-P, each standing for 4 bits. The letters cannot appear at the start of the
+-- decimal timestamps used by earlier versions, which are still decoded (see Timeseries.migrate)
+local TIMESTAMP_WIDTH = 16
+local DIGIT_BASE = string.byte('A')
+local TWO_20, TWO_32, TWO_52 = 2 ^ 20, 2 ^ 32, 2 ^ 52
+
+local function encode_timestamp(ts)
+    ts = tonumber(ts)
+    assert(ts and (ts == ts), 'timestamp must be a number')
+    local abs = math.abs(ts)
+    local exponent, mantissa
+    if (abs == math.huge) then
+        exponent, mantissa = 2047, 0
+    elseif (abs == 0) then
+        exponent, mantissa = 0, 0
+    else
+        local m, e = math.frexp(abs)
+        exponent = e + 1022
+        if (exponent <= 0) then
+            -- subnormal
+            exponent, mantissa = 0, math.ldexp(abs, 1074)
+        else
+            mantissa = (m * 2 - 1) * TWO_52
+        end
+    end
+    local high = exponent * TWO_20 + math.floor(mantissa / TWO_32)
+    local low = mantissa % TWO_32
+    if (ts < 0) then
+        high, low = (TWO_32 / 2 - 1) - high, (TWO_32 - 1) - low
+    else
+        high = high + TWO_32 / 2
+    end
+    local digits = {}
+    for i = 8, 1, -1 do
+        digits[i] = string.char(DIGIT_BASE + high % 16)
+        digits[i + 8] = string.char(DIGIT_BASE + low % 16)
+        high, low = math.floor(high / 16), math.floor(low / 16)
+    end
+    return table.concat(digits)
+end
+
+local function decode_timestamp(str)
+    local high, low = 0.0, 0.0
+    for i = 1, 8 do
+        high = high * 16 + (str:byte(i) - DIGIT_BASE)
+        low = low * 16 + (str:byte(i + 8) - DIGIT_BASE)
+    end
+    local sign = 1
+    if (high >= TWO_32 / 2) then
+        high = high - TWO_32 / 2
+    else
+        sign = -1
+        high, low = (TWO_32 / 2 - 1) - high, (TWO_32 - 1) - low
+    end
+    local exponent = math.floor(high / TWO_20)
+    local mantissa = (high % TWO_20) * TWO_32 + low
+    if (exponent == 2047) then
+        return sign * math.huge
+    elseif (exponent == 0) then
+        return sign * math.ldexp(mantissa, -1074)
+    end
+    return sign * math.ldexp(1 + mantissa / TWO_52, exponent - 1023)
+end
+
+-- whether an entry was written by a version of the script which stored timestamps as decimal strings
+local function is_legacy_entry(raw_value)
+    local first = raw_value:byte(1)
+    return (first < DIGIT_BASE) or (first >= DIGIT_BASE + 16)
+end
+
+-- the character following the separator, i.e. the first which sorts after every entry with a given timestamp
+local AFTER_SEPARATOR = string.char(string.byte(SEPARATOR) + 1)
+
+-- lex range boundaries for the entries at or after (after, if *exclusive*) *ts*
+local function lex_min(ts, exclusive)
+    if exclusive then
+        return '(' .. encode_timestamp(ts) .. AFTER_SEPARATOR
+    end
+    return '[' .. encode_timestamp(ts)
+end
+
+-- lex range boundaries for the entries at or before (before, if *exclusive*) *ts*
+local function lex_max(ts, exclusive)
+    if exclusive then
+        return '(' .. encode_timestamp(ts)
+    end
+    return '(' .. encode_timestamp(ts) .. AFTER_SEPARATOR
+end
+
+-- the lex range of the entries at *ts*
+local function timestamp_bounds(ts)
+    return lex_min(ts), lex_max(ts)
+end
+
+local function split(source)
+    if is_legacy_entry(source) then
+        local start = string.find(source, SEPARATOR, 1, true)
+        return tonumber(source:sub(1, start - 1)), source:sub(start + 1)
+    end
+    return decode_timestamp(source), source:sub(TIMESTAMP_WIDTH + 2)
 end
 
 local function encode_value(ts, data)
-    return tostring(ts) .. SEPARATOR .. cmsgpack.pack(data)
+    return encode_timestamp(tonumber(ts)) .. SEPARATOR .. cmsgpack.pack(data)
 end
 
 local function decode_value(raw_value)
@@ -308,6 +500,216 @@ local function store_value(key, timestamp, value, is_hash)
     redis.call('zadd', key, 0, val)
 end
 
+--- SERIES METADATA ------
+
+-- Settings for a series are kept in a hash next to it. The name of the hash shares the hash tag
+-- of the series key (or uses the key as its tag), so that both map to the same cluster slot
+local function meta_key(key)
+    local start = string.find(key, '{', 1, true)
+    if start then
+        local finish = string.find(key, '}', start + 1, true)
+        if finish and (finish > start + 1) then
+            return key .. ':meta'
+        end
+    end
+    return '{' .. key .. '}:meta'
+end
+
+local RETENTION_OPTIONS = {
+    MAXAGE = 'retention_age',
+    MAXCOUNT = 'retention_count'
+}
+
+local function get_retention(key)
+    local values = redis.call('hmget', meta_key(key), 'retention_age', 'retention_count')
+    return tonumber(values[1]) or 0, tonumber(values[2]) or 0
+end
+
+-- Trim the samples which fall outside the retention policy of the series, i.e. those older than
+-- the newest timestamp less *max_age*, and the oldest beyond *max_count*. Compaction rules are not refreshed, so
+-- that their destinations keep the aggregates of the trimmed samples
+local function apply_retention(key)
+    local max_age, max_count = get_retention(key)
+    local removed = 0
+    if (max_age > 0) then
+        local last = redis.call('zrevrangebylex', key, '+', '-', 'limit', 0, 1)
+        if (#last > 0) then
+            local cutoff = split(last[1]) - max_age
+            removed = removed + redis.call('zremrangebylex', key, '-', lex_max(cutoff, true))
+        end
+    end
+    if (max_count > 0) then
+        local excess = redis.call('zcard', key) - max_count
+        if (excess > 0) then
+            removed = removed + redis.call('zremrangebyrank', key, 0, excess - 1)
+        end
+    end
+    return removed
+end
+
+-- How add and bulkAdd (and copy and merge, for their destination) handle a sample at a timestamp which already
+-- holds one. The default for a series is kept in its metadata, and can be overridden per call. Without one,
+-- the last write wins
+local DUPLICATE_POLICIES = {
+    BLOCK = 1,
+    REPLACE = 1,
+    KEEP_FIRST = 1,
+    MERGE_FIELDS = 1,
+    SUM = 1,
+    MIN = 1,
+    MAX = 1
+}
+local DEFAULT_DUPLICATE_POLICY = 'REPLACE'
+
+-- field-wise combination of numeric values for the SUM, MIN and MAX policies
+local DUPLICATE_COMBINE_FUNCS = {
+    SUM = function(a, b) return a + b end,
+    MIN = math.min,
+    MAX = math.max
+}
+
+local function check_duplicate_policy(policy, method)
+    local name = string.upper(tostring(policy))
+    assert(DUPLICATE_POLICIES[name], method .. ': invalid DUPLICATE_POLICY "' .. tostring(policy) ..
+            '". Expected one of BLOCK, REPLACE, KEEP_FIRST, MERGE_FIELDS, SUM, MIN or MAX')
+    return name
+end
+
+local function get_duplicate_policy(key)
+    return redis.call('hget', meta_key(key), 'duplicate_policy') or DEFAULT_DUPLICATE_POLICY
+end
+
+-- remove a leading DUPLICATE_POLICY option from the arguments of add or bulkAdd, falling back to the policy of the series
+local function take_duplicate_policy(key, method, args)
+    if (#args >= 2) and (string.upper(tostring(args[1])) == 'DUPLICATE_POLICY') then
+        local policy = check_duplicate_policy(args[2], method)
+        table.remove(args, 1)
+        table.remove(args, 1)
+        return policy
+    end
+    return get_duplicate_policy(key)
+end
+
+local function raise_duplicate(key, timestamp, method)
+    error(method .. ': a sample already exists at ' .. tostring(timestamp) .. ' in "' .. key .. '" (DUPLICATE_POLICY is BLOCK)')
+end
+
+-- add keeps fractional numbers as strings, while bulkAdd keeps them as decoded from json
+local function same_value(a, b)
+    if (a == b) then
+        return true
+    end
+    local x, y = tonumber(a), tonumber(b)
+    return (x ~= nil) and (x == y)
+end
+
+local function same_values(a, b)
+    for name, value in pairs(a) do
+        if not same_value(b[name], value) then
+            return false
+        end
+    end
+    for name, _ in pairs(b) do
+        if (a[name] == nil) then
+            return false
+        end
+    end
+    return true
+end
+
+-- whether the *entries* stored at a timestamp clash with a sample holding the fields of *hash*. Re-adding an
+-- identical sample does not, which keeps retried writes harmless. Fields are compared one by one, since the
+-- encoding of a sample depends on the order of its fields
+local function is_duplicate(entries, hash)
+    if (#entries ~= 1) then
+        return #entries > 1
+    end
+    local _, value = decode_value(entries[1])
+    return not same_values(to_hash(value), hash)
+end
+
+-- Store a sample, resolving a clash with an existing one at the same timestamp according to *policy*.
+-- *values* is a list of name-value pairs, or a hash if *is_hash*. Returns 'added', 'replaced' (including
+-- merged), 'unchanged' if an identical sample exists, or 'ignored'
+local function store_sample(key, timestamp, values, is_hash, policy, method)
+    local entries = redis.call('zrangebylex', key, timestamp_bounds(timestamp))
+    if (#entries == 0) then
+        redis.call('zadd', key, 0, encode_value(timestamp, (is_hash and from_hash(values)) or values))
+        return 'added'
+    end
+
+    local hash = values
+    if not is_hash then
+        hash = to_hash(values)
+    end
+    if not is_duplicate(entries, hash) then
+        return 'unchanged'
+    elseif (policy == 'BLOCK') then
+        raise_duplicate(key, timestamp, method)
+    elseif (policy == 'KEEP_FIRST') then
+        return 'ignored'
+    end
+
+    if (policy ~= 'REPLACE') then
+        -- older versions could store several samples at a timestamp. Their fields are merged in order
+        local existing = {}
+        for _, entry in ipairs(entries) do
+            local _, value = decode_value(entry)
+            for i = 1, #value, 2 do
+                existing[value[i]] = value[i + 1]
+            end
+        end
+        local combine = DUPLICATE_COMBINE_FUNCS[policy]
+        for name, value in pairs(hash) do
+            local a, b = tonumber(existing[name]), tonumber(value)
+            if combine and a and b then
+                existing[name] = possibly_convert_float(combine(a, b))
+            else
+                existing[name] = value
+            end
+        end
+        hash = existing
+    end
+
+    redis.call('zrem', key, unpack(entries))
+    store_value(key, timestamp, hash, true)
+    return 'replaced'
+end
+
+local LABEL_PREFIX = 'label:'
+
+-- the labels of the series as a list of name-value pairs
+local function get_labels(key)
+    local meta = redis.call('hgetall', meta_key(key))
+    local prefix_len = #LABEL_PREFIX
+    local result = {}
+    for i = 1, #meta, 2 do
+        local name = meta[i]
+        if (name:sub(1, prefix_len) == LABEL_PREFIX) then
+            result[#result + 1] = name:sub(prefix_len + 1)
+            result[#result + 1] = meta[i + 1]
+        end
+    end
+    return result
+end
+
+-- The label index holds a set of series keys per label name, and per name and value:
+--  ts-lex:index:region     all series with a region label
+--  ts-lex:index:region=eu  all series labelled region=eu
+local INDEX_PREFIX = 'ts-lex:index:'
+
+local function index_key(name, value)
+    if (value == nil) then
+        return INDEX_PREFIX .. name
+    end
+    return INDEX_PREFIX .. name .. '=' .. value
+end
+
+local function check_label_name(name, method)
+    local valid = name and (name ~= '') and (string.find(name, '[=!,%s]') == nil)
+    assert(valid, method .. ': invalid label name "' .. tostring(name) .. '"')
+end
+
 local function format_result(data, format)
     if (format == nil) then
         return to_bulk_reply(data)
@@ -317,49 +719,61 @@ local function format_result(data, format)
         return cmsgpack.pack(data)
     end
 end
+
+-- a range of { ts, values } samples, as a bulk reply or encoded in *format*
+local function format_range(range, format)
+    if (format == nil) then
+        return to_bulk_reply(range)
+    end
+    local final = {}
+    for i, value in ipairs(range) do
+        final[i] = {value[1], to_hash(value[2])}
+    end
+    return format_result(final, format)
+end
 --- PARAMETER PARSING --------
 
+-- A range boundary is '-' or '+', '*' for the current server time, or a timestamp. Timestamps are inclusive,
+-- unless prefixed with '(' (a '[' prefix is accepted for inclusive boundaries). Returns the timestamp (or the
+-- special value) and whether the boundary is exclusive
 local function parse_range_value(candidate, name)
     assert(candidate, 'value expected for ' .. name)
+    candidate = tostring(candidate)
+    if (candidate == '-') or (candidate == '+') then
+        return candidate, false
+    end
     local first = candidate:sub(1, 1)
     if (first == '*') then
         local val = redis.call('TIME')
         return tonumber(val[1]), false
     end
-    if (first == '+') or (first == '-') or (first == '[') or (first == '(') then
-        return candidate, true
-    else
-        local value = tonumber(candidate)
-        if (value == nil) then
-            error('number expected for ' .. name)
-        end
-        return value, false
+    local exclusive = (first == '(')
+    if exclusive or (first == '[') then
+        candidate = candidate:sub(2)
     end
+    local value = tonumber(candidate)
+    if (value == nil) then
+        error('number expected for ' .. name)
+    end
+    return value, exclusive
 end
 
+-- Appends the lex boundaries of the range to *result*, and returns the parsed values ('-', '+' or a number)
 local function parse_range_min_max(result, timestamp1, timestamp2)
-    local min_val, min_special = parse_range_value(timestamp1, 'min')
-    local max_val, max_special = parse_range_value(timestamp2, 'max')
+    local min_val, min_exclusive = parse_range_value(timestamp1, 'min')
+    local max_val, max_exclusive = parse_range_value(timestamp2, 'max')
 
     local min, max = min_val, max_val
-    if not min_special then
-        min = '[' .. min_val
+    if (type(min_val) == 'number') then
+        min = lex_min(min_val, min_exclusive)
     end
-    if not max_special then
-        --- add fudge factor to capture values at the edge of the range
-        local fudge = 1
-
-        if not min_special then
-            -- if we're reversed, then reverse fudge
-            if max_val < min_val then
-                fudge = -1
-            end
-        end
-        max = '(' .. tostring(max_val + fudge)
+    if (type(max_val) == 'number') then
+        max = lex_max(max_val, max_exclusive)
     end
 
     result[#result + 1] = min
     result[#result + 1] = max
+    return min_val, max_val
 end
 
 local function get_key_val_varargs(method, ...)
@@ -462,6 +876,15 @@ local function parse_filter_condition(exp)
             _val = parse_input(_val)
         end
         local val_type = type(_val)
+        if (_val == 'null') and (_op == 'eq' or _op == 'ne') then
+            -- null check. a field is null if it is missing or holds null
+            local want_null = (_op == 'eq')
+            return function(v)
+                local to_compare = v[_field]
+                local is_null = (to_compare == nil) or (to_compare == cjson.null) or (to_compare == 'null')
+                return is_null == want_null
+            end
+        end
         return function(v)
             local val_type = val_type
             local val = _val
@@ -480,7 +903,7 @@ local function parse_filter_condition(exp)
                     to_compare = tostring(to_compare)
                 end
             end
-            -- ts_debug('filtering. v = ' .. table.tostring(v) .. ' field = ' .. field .. ', comp = ' .. tostring(to_compare) .. ' ' .. op .. ' ' .. tostring(val))
+            -- ts_debug('filtering. v = ' .. table_tostring(v) .. ' field = ' .. field .. ', comp = ' .. tostring(to_compare) .. ' ' .. op .. ' ' .. tostring(val))
             if (op == 'eq') then
                 return val == to_compare
             elseif (op == 'ne') then
@@ -584,7 +1007,10 @@ local AGGREGATION_TYPES = {
     distinct = 1,
     stats = 1,
     count_distinct = 1,
-    rate = 1
+    rate = 1,
+    irate = 1,
+    increase = 1,
+    delta = 1
 }
 
 local AGGREGATION_RETURNS_TABLE = {
@@ -601,7 +1027,13 @@ local ALL_OPTIONS = {
     LABELS = 1,
     REDACT = 1,
     FORMAT = 1,
-    STORAGE = 1
+    STORAGE = 1,
+    MATCH = 1,
+    FILL = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    TRANSFORM = 1,
+    GROUPBY = 1
 }
 
 local PARAMETER_OPTIONS = {
@@ -610,7 +1042,12 @@ local PARAMETER_OPTIONS = {
     FILTER = 1,
     LABELS = 1,
     REDACT = 1,
-    FORMAT = 1
+    FORMAT = 1,
+    FILL = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    TRANSFORM = 1,
+    GROUPBY = 1
 }
 
 local COPY_OPTIONS = {
@@ -619,9 +1056,32 @@ local COPY_OPTIONS = {
     FILTER = 1,
     LABELS = 1,
     REDACT = 1,
-    STORAGE = 1
+    STORAGE = 1,
+    FILL = 1,
+    ALIGN = 1,
+    TIMEZONE = 1,
+    GROUPBY = 1
+}
+
+local FILL_MODES = {
+    NONE = 1,
+    NULL = 1,
+    PREVIOUS = 1,
+    NEXT = 1,
+    LINEAR = 1
 }
 
+-- FILL NONE|NULL|PREVIOUS|NEXT|LINEAR|<number>
+local function parse_fill(value)
+    local mode = string.upper(value or '')
+    if FILL_MODES[mode] then
+        return { mode = mode }
+    end
+    local constant = tonumber(value)
+    assert(constant, 'FILL: expecting NONE, NULL, PREVIOUS, NEXT, LINEAR or a number, got "' .. tostring(value) .. '"')
+    return { mode = 'VALUE', value = constant }
+end
+
 local FORMAT_VALUES = {
     json = 1,
     msgpack = 1
@@ -718,98 +1178,503 @@ local function parse_filter(args, i)
     end
 end
 
-local function parse_range_params(valid_options, min, max, ...)
-    local PARAMETER_OPTIONS = PARAMETER_OPTIONS
-    local ROLLUP_PATTERN = ROLLUP_PATTERN
-    local AGGREGATION_TYPES = AGGREGATION_TYPES
-    local fetch_params = {}
-    parse_range_min_max(fetch_params, min, max)
+--- TIME BUCKETS ------
 
-    local result = {
-        min = fetch_params[1],
-        max = fetch_params[2]
-    }
+-- Aggregation buckets are described by a number, the size of buckets aligned to 0 (as used by compaction rules),
+-- or by a table holding either
+--  size, origin  buckets of a fixed size, aligned to origin
+--  months, offset  calendar buckets of a number of months, in a timezone *offset* ms ahead of UTC
+-- Durations with units (5m, 1d, 1M ...) and timezones assume millisecond timestamps. Timezones are fixed offsets,
+-- so local days are always 24h long
+local DAY = 864e5
+local DURATION_UNITS = {
+    ms = 1,
+    s = 1e3,
+    m = 6e4,
+    h = 36e5,
+    d = DAY,
+    w = 7 * DAY
+}
+local CALENDAR_UNITS = {
+    M = 1,
+    y = 12
+}
+-- 1970-01-01 was a Thursday. Weeks start on Monday
+local WEEK_ORIGIN = 4 * DAY
 
-    valid_options = valid_options or PARAMETER_OPTIONS
+-- days since 1970-01-01 of a date in the proleptic gregorian calendar
+-- (see http://howardhinnant.github.io/date_algorithms.html)
+local function days_from_civil(y, m, d)
+    if (m <= 2) then
+        y = y - 1
+    end
+    local era = math.floor(y / 400)
+    local yoe = y - era * 400
+    local doy = math.floor((153 * ((m + 9) % 12) + 2) / 5) + d - 1
+    local doe = yoe * 365 + math.floor(yoe / 4) - math.floor(yoe / 100) + doy
+    return era * 146097 + doe - 719468
+end
 
-    local arg = { ... }
-    local i = 1
+-- the year and month of a number of days since 1970-01-01
+local function civil_from_days(days)
+    days = days + 719468
+    local era = math.floor(days / 146097)
+    local doe = days - era * 146097
+    local yoe = math.floor((doe - math.floor(doe / 1460) + math.floor(doe / 36524) - math.floor(doe / 146096)) / 365)
+    local doy = doe - (365 * yoe + math.floor(yoe / 4) - math.floor(yoe / 100))
+    local mp = math.floor((5 * doy + 2) / 153)
+    local m = (mp < 10) and (mp + 3) or (mp - 9)
+    local y = yoe + era * 400
+    if (m <= 2) then
+        y = y + 1
+    end
+    return y, m
+end
 
-    --- ts_debug('args = ' .. table.tostring(arg))
-    --- [LIMIT count] or
-    --- [AGGREGATION bucketWidth aggregateType]
-    --- [FILTER key=value, ...]
-    --- [LABELS name1, name2 ....]
-    while i < #arg do
-        local option_name = assert(arg[i], 'range: no option specified')
-        option_name = string.upper(option_name)
+-- months since 1970-01 of the local date at *ts*, and the timestamp at which such a month starts
+local function month_index(ts, offset)
+    local y, m = civil_from_days(math.floor((ts + offset) / DAY))
+    return (y - 1970) * 12 + m - 1
+end
 
-        if (not valid_options[option_name]) then
-            local j = 0
-            local str = ''
-            for k, _ in pairs(valid_options) do
-                if str:len() > 0 then
-                    str = str .. ', '
-                end
-                str = str .. k
-                j = j + 1
-            end
-            error('Invalid option "' .. option_name .. '". Expected one of ' .. str)
+local function month_start(index, offset)
+    local y = 1970 + math.floor(index / 12)
+    return days_from_civil(y, index % 12 + 1, 1) * DAY - offset
+end
+
+local function bucket_start(timeBucket, ts)
+    if (type(timeBucket) == 'number') then
+        return ts - (ts % timeBucket)
+    elseif timeBucket.months then
+        local index = month_index(ts, timeBucket.offset)
+        return month_start(index - (index % timeBucket.months), timeBucket.offset)
+    end
+    return ts - ((ts - timeBucket.origin) % timeBucket.size)
+end
+
+local function next_bucket(timeBucket, bucket)
+    if (type(timeBucket) == 'number') then
+        return bucket + timeBucket
+    elseif timeBucket.months then
+        return month_start(month_index(bucket, timeBucket.offset) + timeBucket.months, timeBucket.offset)
+    end
+    return bucket + timeBucket.size
+end
+
+-- AGGREGATION timeBucket: a number, or a duration such as 5m, 1d, 1w or 1M
+local function parse_time_bucket(agg, value)
+    local size = tonumber(value)
+    if (size == nil) then
+        local count, unit = string.match(value, '^(%d+)(%a+)$')
+        count = tonumber(count)
+        if count and CALENDAR_UNITS[unit] then
+            agg.months = count * CALENDAR_UNITS[unit]
+            assert(agg.months > 0, 'AGGREGATION: timeBucket must be > 0')
+            return
         end
+        size = count and DURATION_UNITS[unit] and (count * DURATION_UNITS[unit])
+        agg.weeks = (unit == 'w')
+    end
+    assert(size, 'AGGREGATION: timeBucket must be a number or a duration such as 1h, 1d or 1M. Got "' .. value .. '"')
+    assert(size > 0, 'AGGREGATION: timeBucket must be > 0')
+    agg.timeBucket = size
+end
 
-        i = i + 1
-        if (option_name == 'LIMIT') then
-            assert(not result.limit, 'A value for limit has already been set')
+-- TIMEZONE UTC|Z|+HH:MM|-HH:MM|+HHMM|+HH. Returns the offset from UTC in ms
+local function parse_timezone(value)
+    value = value or ''
+    local upper = string.upper(value)
+    if (upper == 'UTC') or (upper == 'Z') then
+        return 0
+    end
+    local sign, hours, minutes = string.match(value, '^([+-])(%d%d):?(%d?%d?)$')
+    hours, minutes = tonumber(hours), tonumber(minutes) or 0
+    assert(hours and (hours <= 14) and (minutes < 60), 'TIMEZONE: expecting UTC or an offset such as +02:00, got "' .. value .. '"')
+    local offset = (hours * 60 + minutes) * 6e4
+    return (sign == '-') and -offset or offset
+end
 
-            result.limit = {
-                offset = 0
-            }
-            -- we should have offset, count
-            result.limit.offset = assert(tonumber(arg[i]), 'LIMIT: offset value must be a number')
-            assert(result.limit.offset >= 0, "LIMIT: offset must be 0 or positive")
+-- ALIGN start|end|-|+|<timestamp>
+local function parse_align(value)
+    local align = string.lower(value or '')
+    if (align == 'start') or (align == '-') then
+        return 'start'
+    elseif (align == 'end') or (align == '+') then
+        return 'end'
+    end
+    return assert(tonumber(value), 'ALIGN: expecting start, end or a timestamp, got "' .. tostring(value) .. '"')
+end
 
-            result.limit.count = assert(tonumber(arg[i + 1]), 'LIMIT: count value must be a number')
+-- the lowest and highest timestamps of *range*
+local function range_extent(range)
+    local lowest, highest
+    for _, v in ipairs(range) do
+        local ts = v[1]
+        if (lowest == nil) or (ts < lowest) then
+            lowest = ts
+        end
+        if (highest == nil) or (ts > highest) then
+            highest = ts
+        end
+    end
+    return lowest, highest
+end
 
-            i = i + 2
-        elseif (option_name == 'AGGREGATION') then
-            assert(not result.aggregate, 'A value for aggregate has already been set')
+-- the buckets of an aggregation over *range*, resolving ALIGN start and end against the boundaries of the query,
+-- or the first and last samples for '-' and '+'
+local function get_time_bucket(agg, range)
+    local offset = agg.timezone or 0
+    if agg.months then
+        return { months = agg.months, offset = offset }
+    end
+    local align = agg.align
+    if (align == 'start') or (align == 'end') then
+        local lowest, highest = range_extent(range)
+        if (align == 'start') then
+            align = (type(agg.min) == 'number') and agg.min or lowest
+        else
+            align = (type(agg.max) == 'number') and agg.max or highest
+        end
+    elseif (align == nil) then
+        if (offset == 0) and not agg.weeks then
+            return agg.timeBucket
+        end
+        align = (agg.weeks and WEEK_ORIGIN or 0) - offset
+    end
+    return { size = agg.timeBucket, origin = align }
+end
 
-            local bucketSize = arg[i]
-            result.labels = {}
-            result.aggregate = {
-                timeBucket = assert(tonumber(bucketSize), 'AGGREGATE: timeBucket must be a number. Got "' .. bucketSize .. '"'),
-                fields = {}
-            }
-            i = i + 1
-            while i <= #arg do
-                local agg = arg[i]
-                if (ALL_OPTIONS[string.upper(agg)]) then
-                    break
-                end
-                local rollup, field = string.match(agg, ROLLUP_PATTERN)
-                assert(field, 'invalid or missing aggregate spec ' .. '"' .. (agg or '') .. '"')
-                rollup = assert(string.lower(rollup), 'missing value for aggregate type')
-                assert(AGGREGATION_TYPES[rollup], 'invalid aggregation type : "' .. rollup ..'"')
-                table.insert(result.aggregate.fields, { field, rollup })
-                result.labels[field] = 1
-                i = i + 1
-            end
-            -- make sure some fields were specified
-            assert(#result.aggregate.fields, 'No fields specified for aggregation')
-        elseif (option_name == "LABELS") then
-            assert(not result.labels, 'LABELS option already specified')
-            assert(not result.redacted, 'Either specify REDACT or LABELS, but not both')
-            result.labels = {}
-            while i <= #arg do
-                local key = arg[i]
-                if (ALL_OPTIONS[string.upper(key)]) then
-                    break
-                end
-                result.labels[key] = 1
-                i = i + 1
-            end
-        elseif (option_name == 'REDACT') then
-            assert(not result.redacted, 'REDACT option already specified')
+-- the field of an aggregation: a field name, or * (see expand_wildcards)
+local WILDCARD = '*'
+local FIELD_CAPTURE_PATTERN = '([%a_%*][%a%d_]*)'
+local AGGREGATION_ROLLUP_PATTERN = ID_CAPTURE_PATTERN .. '%s*%(%s*' .. FIELD_CAPTURE_PATTERN .. '%s*%)'
+-- percentiles are named p<q>, e.g. p95 or p99.9, and may be given as p95(field) or percentile(field, 95)
+local PERCENTILE_TYPE_PATTERN = '^p(%d+%.?%d*)$'
+local PERCENTILE_ROLLUP_PATTERN = '^%s*([pP][%d%.]+)%s*%(%s*' .. FIELD_CAPTURE_PATTERN .. '%s*%)'
+-- aggregation(field, argument), e.g. percentile(latency, 99) or rate(requests, 1s)
+local AGGREGATION_CALL_PATTERN = ID_CAPTURE_PATTERN .. '%s*%(%s*' .. FIELD_CAPTURE_PATTERN .. '%s*,%s*([^%s%)]*)%s*%)'
+
+-- counter rates are per timestamp unit, unless given a unit, e.g. rate(requests, 1s)
+local RATE_TYPES = {
+    rate = 1,
+    irate = 1
+}
+
+local function percentile_type(q)
+    q = tonumber(q)
+    if (q == nil) or (q < 0) or (q > 100) then
+        return nil
+    end
+    if (q == math.floor(q)) then
+        return string.format('p%d', q)
+    end
+    return 'p' .. tostring(q)
+end
+
+-- the percentile computed by an aggregation type, or nil
+local function get_percentile(agg_type)
+    local q = tonumber(string.match(agg_type, PERCENTILE_TYPE_PATTERN))
+    if (q ~= nil) and (q <= 100) then
+        return q
+    end
+    return nil
+end
+
+-- aggregations computing floats, which their finalizers return as strings for bulk replies
+local FLOAT_AGGREGATIONS = {
+    avg = true,
+    median = true,
+    stdev = true,
+    range = true,
+    stats = true,
+    rate = true,
+    irate = true,
+    increase = true,
+    delta = true
+}
+
+-- restore the floats of a computed aggregation value (a scalar, or the hash of stats) for json and msgpack
+-- replies, which keep numeric types. Values of other aggregations are returned as stored
+local function restore_floats(agg_type, value)
+    if not (FLOAT_AGGREGATIONS[agg_type] or get_percentile(agg_type)) then
+        return value
+    end
+    if (type(value) == 'table') then
+        for k, v in pairs(value) do
+            value[k] = tonumber(v) or v
+        end
+        return value
+    end
+    return tonumber(value) or value
+end
+
+local function is_aggregation_type(agg_type)
+    return (AGGREGATION_TYPES[agg_type] ~= nil) or (get_percentile(agg_type) ~= nil)
+end
+
+-- the unit of a rate: a number of timestamp units, or a duration such as 1s or 5m for millisecond timestamps
+local function parse_rate_unit(agg_type, value)
+    local unit = tonumber(value)
+    if (unit == nil) then
+        local count, name = string.match(value, '^(%d+)(%a+)$')
+        count = tonumber(count)
+        unit = count and DURATION_UNITS[name] and (count * DURATION_UNITS[name])
+    end
+    assert(unit and (unit > 0), agg_type .. ': unit must be a number > 0 or a duration such as 1s or 1m. Got "' .. value .. '"')
+    return unit
+end
+
+local function is_field_name(field)
+    return (field == WILDCARD) or (string.sub(field, 1, 1) ~= WILDCARD)
+end
+
+-- parse an aggregation spec, e.g. avg(value), p95(value), percentile(value, 99.9), rate(value, 1s) or avg(*).
+-- Returns the (lower cased) aggregation type, the field and the unit of rates, or nil
+local function parse_aggregation_spec(spec)
+    local rollup, field, arg = string.match(spec, AGGREGATION_CALL_PATTERN)
+    if (field ~= nil) and not is_field_name(field) then
+        return nil
+    end
+    if (rollup ~= nil) then
+        rollup = string.lower(rollup)
+        if (rollup == 'percentile') then
+            return assert(percentile_type(arg), 'percentile: expecting a number between 0 and 100, got "' .. arg .. '"'), field
+        end
+        if not is_aggregation_type(rollup) then
+            return rollup, field
+        end
+        assert(RATE_TYPES[rollup], rollup .. ': unexpected argument "' .. arg .. '"')
+        return rollup, field, parse_rate_unit(rollup, arg)
+    end
+
+    rollup, field = string.match(spec, AGGREGATION_ROLLUP_PATTERN)
+    if (rollup == nil) then
+        rollup, field = string.match(spec, PERCENTILE_ROLLUP_PATTERN)
+    end
+    if (rollup == nil) or not is_field_name(field) then
+        return nil
+    end
+    rollup = string.lower(rollup)
+    local q = string.match(rollup, '^p([%d%.]+)$')
+    if (q ~= nil) then
+        -- normalize e.g. p99.90 to p99.9
+        rollup = percentile_type(q) or rollup
+    end
+    return rollup, field
+end
+
+--- TRANSFORM ------
+
+-- Transforms compute a series from the numeric values of a field, in order of time (also for revrange), and add it
+-- to each sample as the field <field>_<transform>, e.g. value_sma. Samples without a numeric value are skipped
+--
+--  sma(field, n|duration)  the mean of the last n values, or of those within a trailing window, e.g. sma(value, 5m)
+--  ema(field, alpha|n)     exponential moving average with a smoothing factor 0 < alpha <= 1, or over n > 1 samples
+--  cumsum(field)           the running total
+--  diff(field)             the difference from the previous value
+local TRANSFORM_TYPES = {
+    sma = function(arg)
+        local count = tonumber(arg)
+        local window
+        if (count == nil) then
+            local n, unit = string.match(arg or '', '^(%d+)(%a+)$')
+            window = tonumber(n) and DURATION_UNITS[unit] and (tonumber(n) * DURATION_UNITS[unit])
+            assert(window and (window > 0), 'sma: expecting a number of samples or a duration such as 5m, got "' .. tostring(arg) .. '"')
+        else
+            assert((count >= 1) and (count == math.floor(count)), 'sma: the number of samples must be an integer > 0')
+        end
+        -- the values in the window are queue[first..last]
+        local queue, first, last, sum = {}, 1, 0, 0
+        return function(ts, val)
+            last = last + 1
+            queue[last] = { ts, val }
+            sum = sum + val
+            while (window and (queue[first][1] <= ts - window)) or (count and (last - first + 1 > count)) do
+                sum = sum - queue[first][2]
+                queue[first] = nil
+                first = first + 1
+            end
+            return sum / (last - first + 1)
+        end
+    end,
+    ema = function(arg)
+        local alpha = tonumber(arg)
+        assert(alpha and (alpha > 0), 'ema: expecting a smoothing factor or a number of samples, got "' .. tostring(arg) .. '"')
+        if (alpha > 1) then
+            alpha = 2 / (alpha + 1)
+        end
+        local average
+        return function(ts, val)
+            if (average == nil) then
+                average = val
+            else
+                average = average + alpha * (val - average)
+            end
+            return average
+        end
+    end,
+    cumsum = function()
+        local total = 0
+        return function(ts, val)
+            total = total + val
+            return total
+        end
+    end,
+    diff = function()
+        local prev
+        return function(ts, val)
+            local result = prev and (val - prev)
+            prev = val
+            return result
+        end
+    end
+}
+
+-- transforms which take an argument
+local TRANSFORM_ARGUMENTS = {
+    sma = 1,
+    ema = 1
+}
+
+-- parse a transform spec, e.g. sma(value, 10). The argument is validated by creating the transform
+local function parse_transform(spec)
+    local name, field, arg = string.match(spec, AGGREGATION_CALL_PATTERN)
+    if (name == nil) then
+        name, field = string.match(spec, ROLLUP_PATTERN)
+    end
+    assert(field and (string.find(field, WILDCARD, 1, true) == nil), 'TRANSFORM: invalid transform "' .. spec .. '"')
+    name = string.lower(name)
+    local create = TRANSFORM_TYPES[name]
+    assert(create, 'TRANSFORM: invalid transform type "' .. name .. '"')
+    if TRANSFORM_ARGUMENTS[name] then
+        assert(arg, 'TRANSFORM: ' .. name .. ' expects an argument, e.g. ' .. name .. '(' .. field .. ', 10)')
+    else
+        assert(arg == nil, 'TRANSFORM: ' .. name .. ' does not take an argument')
+    end
+    create(arg)
+    return { field = field, name = name, arg = arg }
+end
+
+-- add the result of each transform to the samples of *range*, which are in descending order for revrange
+local function apply_transforms(range, transforms, descending)
+    local first, last, step = 1, #range, 1
+    if descending then
+        first, last, step = #range, 1, -1
+    end
+    for _, transform in ipairs(transforms) do
+        local compute = TRANSFORM_TYPES[transform.name](transform.arg)
+        local name = transform.field .. '_' .. transform.name
+        for i = first, last, step do
+            local ts, values = range[i][1], range[i][2]
+            local val
+            for j = 1, #values, 2 do
+                if (values[j] == transform.field) then
+                    val = tonumber(values[j + 1])
+                    break
+                end
+            end
+            if (val ~= nil) then
+                local result = compute(ts, val)
+                if (result ~= nil) then
+                    values[#values + 1] = name
+                    values[#values + 1] = result
+                end
+            end
+        end
+    end
+    return range
+end
+
+local function parse_range_params(valid_options, min, max, ...)
+    local PARAMETER_OPTIONS = PARAMETER_OPTIONS
+    local fetch_params = {}
+    local min_val, max_val = parse_range_min_max(fetch_params, min, max)
+
+    local result = {
+        min = fetch_params[1],
+        max = fetch_params[2]
+    }
+
+    valid_options = valid_options or PARAMETER_OPTIONS
+
+    local arg = { ... }
+    local i = 1
+
+    --- ts_debug('args = ' .. table_tostring(arg))
+    --- [LIMIT count] or
+    --- [AGGREGATION bucketWidth aggregateType]
+    --- [FILTER key=value, ...]
+    --- [LABELS name1, name2 ....]
+    while i < #arg do
+        local option_name = assert(arg[i], 'range: no option specified')
+        option_name = string.upper(option_name)
+
+        if (not valid_options[option_name]) then
+            local j = 0
+            local str = ''
+            for k, _ in pairs(valid_options) do
+                if str:len() > 0 then
+                    str = str .. ', '
+                end
+                str = str .. k
+                j = j + 1
+            end
+            error('Invalid option "' .. option_name .. '". Expected one of ' .. str)
+        end
+
+        i = i + 1
+        if (option_name == 'LIMIT') then
+            assert(not result.limit, 'A value for limit has already been set')
+
+            result.limit = {
+                offset = 0
+            }
+            -- we should have offset, count
+            result.limit.offset = assert(tonumber(arg[i]), 'LIMIT: offset value must be a number')
+            assert(result.limit.offset >= 0, "LIMIT: offset must be 0 or positive")
+
+            result.limit.count = assert(tonumber(arg[i + 1]), 'LIMIT: count value must be a number')
+
+            i = i + 2
+        elseif (option_name == 'AGGREGATION') then
+            assert(not result.aggregate, 'A value for aggregate has already been set')
+
+            result.labels = {}
+            result.aggregate = {
+                fields = {},
+                min = min_val,
+                max = max_val
+            }
+            parse_time_bucket(result.aggregate, assert(arg[i], 'AGGREGATION: timeBucket expected'))
+            i = i + 1
+            while i <= #arg do
+                local agg = arg[i]
+                if (ALL_OPTIONS[string.upper(agg)]) then
+                    break
+                end
+                local rollup, field, unit = parse_aggregation_spec(agg)
+                assert(field, 'invalid or missing aggregate spec ' .. '"' .. (agg or '') .. '"')
+                assert(is_aggregation_type(rollup), 'invalid aggregation type : "' .. rollup ..'"')
+                table.insert(result.aggregate.fields, { field, rollup, unit })
+                result.labels[field] = 1
+                i = i + 1
+            end
+            -- make sure some fields were specified
+            assert(#result.aggregate.fields, 'No fields specified for aggregation')
+        elseif (option_name == "LABELS") then
+            assert(not result.labels, 'LABELS option already specified')
+            assert(not result.redacted, 'Either specify REDACT or LABELS, but not both')
+            result.labels = {}
+            while i <= #arg do
+                local key = arg[i]
+                if (ALL_OPTIONS[string.upper(key)]) then
+                    break
+                end
+                result.labels[key] = 1
+                i = i + 1
+            end
+        elseif (option_name == 'REDACT') then
+            assert(not result.redacted, 'REDACT option already specified')
             assert(not result.labels, 'Either specify REDACT or LABELS, but not both')
             result.redacted = {}
             while i <= #arg do
@@ -840,9 +1705,70 @@ local function parse_range_params(valid_options, min, max, ...)
             assert(STORAGE_VALUES[storage], 'STORAGE: Expecting "timeseries" or "hash", got "' .. storage .. '"')
             result.storage = storage
             i = i + 1
+        elseif (option_name == 'FILL') then
+            assert(not result.fill, 'FILL already set')
+            result.fill = parse_fill(arg[i])
+            i = i + 1
+        elseif (option_name == 'ALIGN') then
+            assert(result.align == nil, 'ALIGN already set')
+            result.align = parse_align(arg[i])
+            i = i + 1
+        elseif (option_name == 'TIMEZONE') then
+            assert(result.timezone == nil, 'TIMEZONE already set')
+            result.timezone = parse_timezone(arg[i])
+            i = i + 1
+        elseif (option_name == 'TRANSFORM') then
+            assert(result.transforms == nil, 'TRANSFORM already set')
+            result.transforms = {}
+            while i <= #arg do
+                local spec = arg[i]
+                if (ALL_OPTIONS[string.upper(spec)]) then
+                    break
+                end
+                table.insert(result.transforms, parse_transform(spec))
+                i = i + 1
+            end
+            assert(#result.transforms > 0, 'TRANSFORM: at least one transform must be specified')
+        elseif (option_name == 'GROUPBY') then
+            assert(result.groupby == nil, 'GROUPBY already set')
+            result.groupby = {}
+            while i <= #arg do
+                local field = arg[i]
+                if (ALL_OPTIONS[string.upper(field)]) then
+                    break
+                end
+                table.insert(result.groupby, field)
+                i = i + 1
+            end
+            assert(#result.groupby > 0, 'GROUPBY: at least one field must be specified')
         end
     end
 
+    if (result.fill ~= nil) then
+        assert(result.aggregate, 'FILL requires AGGREGATION')
+        if (result.fill.mode ~= 'NONE') then
+            result.aggregate.fill = result.fill
+        end
+    end
+    if (result.align ~= nil) then
+        assert(result.aggregate, 'ALIGN requires AGGREGATION')
+        assert(not result.aggregate.months, 'ALIGN is not supported with calendar months')
+        result.aggregate.align = result.align
+    end
+    if (result.timezone ~= nil) then
+        assert(result.aggregate, 'TIMEZONE requires AGGREGATION')
+        result.aggregate.timezone = result.timezone
+    end
+    if (result.groupby ~= nil) then
+        assert(result.aggregate, 'GROUPBY requires AGGREGATION')
+        result.aggregate.groupby = result.groupby
+    end
+    if (result.redacted ~= nil) and (result.aggregate ~= nil) then
+        -- fields excluded from aggregations of *
+        result.aggregate.redacted = result.redacted
+    end
+    assert(not (result.transforms and result.aggregate), 'TRANSFORM cannot be combined with AGGREGATION')
+
     return result
 end
 
@@ -882,8 +1808,7 @@ end
 local function get_single_value(key, timestamp, options, name)
     options = options or {}
     timestamp = assert(tonumber(timestamp), (name or 'get_single_value') .. ': timestamp must be a number')
-    local min = '[' .. tostring(timestamp) .. SEPARATOR
-    local max = '(' .. tostring(timestamp + 1) .. SEPARATOR
+    local min, max = timestamp_bounds(timestamp)
     local ra = redis.call('zrangebylex', key, min, max, 'limit', 0, 2)
     if ra ~= nil and #ra == 1 then
         local raw_value = ra[1]
@@ -908,6 +1833,48 @@ local function agg_collect_numbers(result, key, val)
     end
 end
 
+-- Counter aggregations (rate, irate, increase and delta) collect { timestamp, value } pairs, since samples are not
+-- necessarily iterated in order of time (e.g. with revrange)
+local function agg_collect_samples(result, key, val, ts)
+    val = tonumber(val)
+    if val ~= nil then
+        result[key] = result[key] or {}
+        table.insert(result[key], { ts, val })
+    end
+end
+
+-- the increase of a counter between 2 samples. A counter which decreases is assumed to have been reset to 0
+local function counter_increase(prev, val)
+    if (val < prev) then
+        return val
+    end
+    return val - prev
+end
+
+local function total_increase(samples)
+    local total = 0
+    for i = 2, #samples do
+        total = total + counter_increase(samples[i - 1][2], samples[i][2])
+    end
+    return total
+end
+
+-- a finalizer computing a counter aggregation over the samples of each bucket in order of time.
+-- Buckets holding a single sample have no value
+local function counter_finalizer(compute)
+    return function(result, timeBucket, unit)
+        for bucket, samples in pairs(result) do
+            local value
+            if (#samples > 1) then
+                table.sort(samples, function(a, b) return a[1] < b[1] end)
+                value = possibly_convert_float(compute(samples, unit or 1))
+            end
+            result[bucket] = value
+        end
+        return result
+    end
+end
+
 local AGGR_ITERATION_FUNCS = {
     count = function(result, key, val)
         result[key] = tonumber(result[key] or 0) + 1
@@ -920,9 +1887,10 @@ local AGGR_ITERATION_FUNCS = {
     median = agg_collect_numbers,
     stdev = agg_collect_numbers,
     stats = agg_collect_numbers,
-    rate = function(result, key, val)
-        result[key] = tonumber(result[key] or 0) + 1
-    end,
+    rate = agg_collect_samples,
+    irate = agg_collect_samples,
+    increase = agg_collect_samples,
+    delta = agg_collect_samples,
     min = function(result, key, val)
         local is_number
         local current = result[key]
@@ -1043,85 +2011,662 @@ local AGGR_FINALIZE_FUNCS = {
             result[bucket] = from_hash(values)
         end
         return result
-    end,
-    rate = function(result, timeBucket)
-        for bucket, count in pairs(result) do
-            result[bucket] = tostring(count / timeBucket)
+    end,
+    -- the average increase per unit between the first and last samples
+    rate = counter_finalizer(function(samples, unit)
+        return total_increase(samples) * unit / (samples[#samples][1] - samples[1][1])
+    end),
+    -- the increase per unit between the last 2 samples
+    irate = counter_finalizer(function(samples, unit)
+        local last, prev = samples[#samples], samples[#samples - 1]
+        return counter_increase(prev[2], last[2]) * unit / (last[1] - prev[1])
+    end),
+    increase = counter_finalizer(total_increase),
+    -- the difference between the last and first values of a gauge, which may decrease
+    delta = counter_finalizer(function(samples)
+        return samples[#samples][2] - samples[1][2]
+    end)
+}
+
+-- Percentiles are exact for buckets of up to PERCENTILE_EXACT_LIMIT values. The values of larger buckets are
+-- moved to a sketch, bounding the memory used (and the state kept by compaction rules) at the cost of accuracy
+local PERCENTILE_EXACT_LIMIT = 10000
+
+-- an iteration function collecting up to *limit* values per bucket, then moving them to a sketch
+local function percentile_collector(limit)
+    return function(result, key, val)
+        val = tonumber(val)
+        if val == nil then
+            return
+        end
+        local data = result[key]
+        if (data == nil) then
+            result[key] = { val }
+        elseif sketch.is_sketch(data) then
+            sketch.add(data, val)
+        else
+            data[#data + 1] = val
+            if (#data > limit) then
+                local s = sketch.new()
+                for _, v in ipairs(data) do
+                    sketch.add(s, v)
+                end
+                result[key] = s
+            end
+        end
+    end
+end
+
+local agg_collect_percentile = percentile_collector(PERCENTILE_EXACT_LIMIT)
+
+-- *exact* computes the result from the list of values of a bucket which was not moved to a sketch
+local function percentile_finalizer(q, exact)
+    exact = exact or stats.percentile
+    return function(result)
+        for bucket, data in pairs(result) do
+            local value
+            if sketch.is_sketch(data) then
+                value = sketch.percentile(data, q)
+            else
+                value = exact(data, q)
+            end
+            result[bucket] = possibly_convert_float(value)
+        end
+        return result
+    end
+end
+
+-- the iteration and finalize functions of an aggregation type
+local function get_aggregation_funcs(agg_type)
+    local q = get_percentile(agg_type)
+    if (q ~= nil) then
+        return agg_collect_percentile, percentile_finalizer(q)
+    end
+    return AGGR_ITERATION_FUNCS[agg_type], AGGR_FINALIZE_FUNCS[agg_type] or AGGR_FINALIZE_FUNCS.default
+end
+
+local function aggregate(range, aggregationType, timeBucket, unit)
+    local result = {}
+    local ts, key, val
+
+    local iterate, finalize = get_aggregation_funcs(aggregationType)
+    assert(iterate, 'invalid aggregate type "' .. tostring(aggregationType) .. '"')
+
+    for _, kv in ipairs(range) do
+        ts = bucket_start(timeBucket, kv[1])
+        val = kv[2]
+        key = tostring(ts)
+        iterate(result, key, val, kv[1])
+    end
+
+    return finalize(result, timeBucket, unit)
+end
+
+-- Replace the aggregations of * by those of every field of *range* holding numeric values (except those given to
+-- REDACT), e.g. avg(*) by avg(a), avg(b) ... count(*) counts the samples of each bucket, which are added to *by_key*
+-- as the field *
+local function expand_wildcards(fields, by_key, range, redacted)
+    local result = {}
+    local seen = {}
+    local numeric
+
+    local function add(field_info)
+        local id = field_info[1] .. '(' .. field_info[2]
+        if (seen[id] == nil) then
+            seen[id] = 1
+            result[#result + 1] = field_info
+        end
+    end
+
+    for _, field_info in ipairs(fields) do
+        local key, agg_type = field_info[1], field_info[2]
+        if (key ~= WILDCARD) then
+            add(field_info)
+        elseif (agg_type == 'count') then
+            local rows = {}
+            for i, v in ipairs(range) do
+                rows[i] = { v[1], 1 }
+            end
+            by_key[WILDCARD] = rows
+            add(field_info)
+        else
+            if (numeric == nil) then
+                numeric = {}
+                for name, values in pairs(by_key) do
+                    if (name ~= WILDCARD) and not (redacted and redacted[name]) then
+                        for _, v in ipairs(values) do
+                            if (tonumber(v[2]) ~= nil) then
+                                numeric[#numeric + 1] = name
+                                break
+                            end
+                        end
+                    end
+                end
+                table.sort(numeric)
+            end
+            for _, name in ipairs(numeric) do
+                add({ name, agg_type, field_info[3] })
+            end
+        end
+    end
+    return result
+end
+
+-- Partition *range* by the values of the GROUPBY *fields*. Returns a list of { values, range }, where values are
+-- strings. Samples without a value for each of the fields are left out
+local function group_range(range, fields)
+    local groups, result = {}, {}
+    for _, v in ipairs(range) do
+        local hash = to_hash(v[2] or {})
+        local values = {}
+        for i, field in ipairs(fields) do
+            if (hash[field] == nil) then
+                values = nil
+                break
+            end
+            values[i] = tostring(hash[field])
+        end
+        if (values ~= nil) then
+            local id = cjson.encode(values)
+            local group = groups[id]
+            if (group == nil) then
+                group = { values, {} }
+                groups[id] = group
+                result[#result + 1] = group
+            end
+            table.insert(group[2], v)
+        end
+    end
+    return result
+end
+
+-- the samples of *range* by field, as lists of { timestamp, value }
+local function range_by_field(range)
+    local by_key = {}
+    for _, v in ipairs(range) do
+        local ts = v[1]
+        local hash = v[2] or {}
+        for i = 1, #hash, 2 do
+            local k = hash[i]
+            by_key[k] = by_key[k] or {}
+            table.insert(by_key[k], { ts, hash[i + 1] })
+        end
+    end
+    return by_key
+end
+
+--- FILL ------
+
+-- Aggregations only produce buckets holding samples. With FILL, every bucket between min and max (or the first
+-- and last buckets with samples, for '-' and '+') is emitted. An empty bucket takes the value of the previous or
+-- next bucket with samples, a value interpolated between them, or a constant. Values which cannot be filled, e.g.
+-- before the first bucket with samples, are null
+local MAX_FILLED_BUCKETS = 100000
+
+-- the first and last buckets to emit for *range*, or nil if there are none
+local function fill_span(range, agg_params, timeBucket)
+    local lowest, highest = range_extent(range)
+    local first = (type(agg_params.min) == 'number') and agg_params.min or lowest
+    local last = (type(agg_params.max) == 'number') and agg_params.max or highest
+    if (first == nil) or (last == nil) then
+        return nil
+    end
+    return bucket_start(timeBucket, first), bucket_start(timeBucket, last)
+end
+
+local function fill_value(fill, ts, prev_ts, prev, next_ts, next)
+    local mode = fill.mode
+    local value
+    if (mode == 'VALUE') then
+        value = fill.value
+    elseif (mode == 'PREVIOUS') then
+        value = prev
+    elseif (mode == 'NEXT') then
+        value = next
+    elseif (mode == 'LINEAR') and (prev ~= nil) and (next ~= nil) then
+        -- only scalar numeric values are interpolated
+        local from, to = tonumber(prev), tonumber(next)
+        if (from ~= nil) and (to ~= nil) then
+            value = from + (to - from) * (ts - prev_ts) / (next_ts - prev_ts)
+        end
+    end
+    if (value == nil) then
+        return cjson.null
+    end
+    return value
+end
+
+-- add the buckets between *first* and *last* missing from *buckets*, the result of aggregate
+local function fill_buckets(buckets, fill, first, last, timeBucket)
+    local present = {}
+    for k in pairs(buckets) do
+        present[#present + 1] = tonumber(k)
+    end
+    table.sort(present)
+
+    local j = 0
+    local count = 0
+    local ts = first
+    while (ts <= last) do
+        count = count + 1
+        assert(count <= MAX_FILLED_BUCKETS, 'FILL: too many buckets between min and max')
+        local k = tostring(ts)
+        if (buckets[k] == nil) then
+            while (present[j + 1] ~= nil) and (present[j + 1] < ts) do
+                j = j + 1
+            end
+            local prev_ts, next_ts = present[j], present[j + 1]
+            local prev = prev_ts and buckets[tostring(prev_ts)]
+            local next = next_ts and buckets[tostring(next_ts)]
+            buckets[k] = fill_value(fill, ts, prev_ts, prev, next_ts, next)
+        end
+        ts = next_bucket(timeBucket, ts)
+    end
+    return buckets
+end
+
+local function base_range(cmd, key, params)
+    -- boundaries are given as min, max for every command, revrange included. ZREVRANGEBYLEX expects them in descending order
+    local fetch_params = { key, params.min, params.max }
+    if (cmd == 'zrevrangebylex') then
+        fetch_params = { key, params.max, params.min }
+    end
+    if (params.limit) then
+        fetch_params[#fetch_params + 1] = 'LIMIT'
+        fetch_params[#fetch_params + 1] = params.limit.offset
+        fetch_params[#fetch_params + 1] = params.limit.count
+    end
+    return redis.call(cmd, unpack(fetch_params))
+end
+
+-- COMMANDS TABLE
+local Timeseries = {
+}
+
+Timeseries.__index = Timeseries;
+
+local function parse_timestamp(ts)
+    if (ts == '*') then
+        local val = redis.call('TIME')
+        return val[1]
+    end
+    return tonumber(ts)
+end
+
+local function parse_values(method, ...)
+    local values = get_key_val_varargs(method, ...)
+    local parse_value = parse_input
+    local len = #values
+
+    for i = 1, len, 2 do
+        values[i + 1] = parse_value(values[i + 1])
+    end
+    return values
+end
+
+local function add_values(key, timestamp, ...)
+    timestamp = assert(parse_timestamp(timestamp), 'timestamp should be a number')
+    store_value(key, timestamp, parse_values('add', ...), false)
+    return timestamp
+end
+
+--- COMPACTION ------
+
+-- A compaction rule downsamples a series into another key as samples are added. Rules are kept in the
+-- metadata hash of the source series, as JSON under `rule:<dest>`. Buckets are written to the destination
+-- in the layout used by copy ... AGGREGATION (e.g. value_avg), so an existing range can be backfilled with copy.
+--
+-- Aggregating a bucket incrementally needs intermediate state, which is kept for the newest bucket only, as msgpack
+-- under `rule_state:<dest>`. Samples which arrive late, i.e. before the newest sample seen by the rule, or which
+-- replace or remove an existing sample, cause their bucket to be re-aggregated from the source
+local RULE_PREFIX = 'rule:'
+local RULE_STATE_PREFIX = 'rule_state:'
+
+-- The state is read and written on every add, so rules do not collect every value of a bucket as range queries do.
+-- Samples are fed to a rule in order of time, which lets counters keep their first, previous and last samples, and
+-- avg, stdev and stats keep running sums (Welford's algorithm, as in stats.basic). Quantiles are exact for buckets
+-- of up to RULE_EXACT_LIMIT values, then estimated with a sketch
+local RULE_EXACT_LIMIT = 100
+
+local function rule_collect_stats(result, key, val)
+    val = tonumber(val)
+    if val == nil then
+        return
+    end
+    local s = result[key] or { count = 0, sum = 0, mean = 0, vk = 0, min = val, max = val }
+    local oldmean = s.mean
+    s.count = s.count + 1
+    s.sum = s.sum + val
+    s.min = math.min(s.min, val)
+    s.max = math.max(s.max, val)
+    s.mean = s.sum / s.count
+    s.vk = s.vk + (val - s.mean) * (val - oldmean)
+    result[key] = s
+end
+
+local function rule_collect_counter(result, key, val, ts)
+    val = tonumber(val)
+    if val == nil then
+        return
+    end
+    local s = result[key]
+    if (s == nil) then
+        result[key] = { count = 1, increase = 0, first = { ts, val }, last = { ts, val } }
+    else
+        s.count = s.count + 1
+        s.increase = s.increase + counter_increase(s.last[2], val)
+        s.prev = s.last
+        s.last = { ts, val }
+    end
+end
+
+local function rule_std(s)
+    return math.sqrt(s.vk / (s.count - 1))
+end
+
+-- a finalizer computing the value of each bucket from its running state
+local function rule_finalizer(compute)
+    return function(result, timeBucket, unit)
+        for bucket, s in pairs(result) do
+            result[bucket] = possibly_convert_float(compute(s, unit or 1))
+        end
+        return result
+    end
+end
+
+-- a counter aggregation, which has no value for buckets holding a single sample
+local function rule_counter_finalizer(compute)
+    return rule_finalizer(function(s, unit)
+        if (s.count > 1) then
+            return compute(s, unit)
+        end
+    end)
+end
+
+local RULE_AGGREGATIONS = {
+    avg = { rule_collect_stats, rule_finalizer(function(s) return s.sum / s.count end) },
+    stdev = { rule_collect_stats, rule_finalizer(rule_std) },
+    stats = { rule_collect_stats, function(result)
+        for bucket, s in pairs(result) do
+            local stat = { 'count', s.count, 'sum', s.sum, 'min', s.min, 'max', s.max, 'mean', s.mean, 'std', rule_std(s) }
+            for i = 2, #stat, 2 do
+                stat[i] = possibly_convert_float(stat[i])
+            end
+            result[bucket] = stat
         end
         return result
-    end
+    end },
+    median = { percentile_collector(RULE_EXACT_LIMIT), percentile_finalizer(50, stats.median) },
+    rate = { rule_collect_counter, rule_counter_finalizer(function(s, unit)
+        return s.increase * unit / (s.last[1] - s.first[1])
+    end) },
+    irate = { rule_collect_counter, rule_counter_finalizer(function(s, unit)
+        return counter_increase(s.prev[2], s.last[2]) * unit / (s.last[1] - s.prev[1])
+    end) },
+    increase = { rule_collect_counter, rule_counter_finalizer(function(s) return s.increase end) },
+    delta = { rule_collect_counter, rule_counter_finalizer(function(s) return s.last[2] - s.first[2] end) }
 }
 
-local function aggregate(range, aggregationType, timeBucket)
+-- the iteration and finalize functions of an aggregation type for compaction rules
+local function get_rule_funcs(agg_type)
+    local q = get_percentile(agg_type)
+    if (q ~= nil) then
+        return percentile_collector(RULE_EXACT_LIMIT), percentile_finalizer(q)
+    end
+    local funcs = RULE_AGGREGATIONS[agg_type]
+    if (funcs ~= nil) then
+        return funcs[1], funcs[2]
+    end
+    return get_aggregation_funcs(agg_type)
+end
+
+-- the rules of the series, as a list of { dest, rule } ordered by dest
+local function get_rules(key)
+    local meta = redis.call('hgetall', meta_key(key))
+    local prefix_len = #RULE_PREFIX
     local result = {}
-    local ts, key, val
+    for i = 1, #meta, 2 do
+        local name = meta[i]
+        if (name:sub(1, prefix_len) == RULE_PREFIX) then
+            result[#result + 1] = { name:sub(prefix_len + 1), cjson.decode(meta[i + 1]) }
+        end
+    end
+    table.sort(result, function(a, b) return a[1] < b[1] end)
+    return result
+end
 
-    local iterate = assert(AGGR_ITERATION_FUNCS[aggregationType], 'invalid aggregate type "' .. tostring(aggregationType) .. '"')
-    local finalize = AGGR_FINALIZE_FUNCS[aggregationType] or AGGR_FINALIZE_FUNCS.default
+local function append_aggregate(data, slot_key, value)
+    local sep = '_'
+    if (type(value) == 'table') then
+        for j = 1, #value, 2 do
+            data[#data + 1] = slot_key .. sep .. value[j]
+            data[#data + 1] = value[j + 1]
+        end
+    else
+        data[#data + 1] = slot_key
+        data[#data + 1] = value
+    end
+end
 
-    for _, kv in ipairs(range) do
-        ts = kv[1] - (kv[1] % timeBucket)
-        val = kv[2]
-        key = tostring(ts)
-        iterate(result, key, val)
+-- feed the values of a sample (as a hash) into the state of a bucket
+local function iterate_bucket(state, aggregations, ts, values)
+    for _, agg in ipairs(aggregations) do
+        local field, agg_type = agg[1], agg[2]
+        local val = values[field]
+        if (val ~= nil) then
+            state[agg_type] = state[agg_type] or {}
+            local iterate = get_rule_funcs(agg_type)
+            iterate(state[agg_type], field, val, ts)
+        end
+    end
+end
+
+-- the destination sample for a bucket, as a list of name-value pairs
+local function finalize_bucket(state, aggregations, timeBucket)
+    local data = {}
+    for _, agg in ipairs(aggregations) do
+        local field, agg_type = agg[1], agg[2]
+        local result = state[agg_type]
+        if result and (result[field] ~= nil) then
+            -- finalizers replace the entries of the table they are given, so keep the state intact
+            local temp = {}
+            for k, v in pairs(result) do
+                temp[k] = v
+            end
+            local _, finalize = get_rule_funcs(agg_type)
+            temp = finalize(temp, timeBucket, agg[3])
+            if (temp[field] ~= nil) then
+                append_aggregate(data, field .. '_' .. agg_type, temp[field])
+            end
+        end
     end
+    return data
+end
 
-    return finalize(result, timeBucket)
+local function store_bucket(dest, bucket, data)
+    redis.call('zremrangebylex', dest, timestamp_bounds(bucket))
+    if (#data > 0) then
+        add_values(dest, bucket, unpack(data))
+    end
+    apply_retention(dest)
 end
 
-local function base_range(cmd, key, params)
-    local fetch_params = { key, params.min, params.max }
-    if (params.limit) then
-        fetch_params[#fetch_params + 1] = 'LIMIT'
-        fetch_params[#fetch_params + 1] = params.limit.offset
-        fetch_params[#fetch_params + 1] = params.limit.count
+-- aggregate a bucket from the samples of the source series. Returns the state and the newest timestamp
+local function rebuild_bucket(key, rule, bucket)
+    local entries = redis.call('zrangebylex', key, lex_min(bucket), lex_max(bucket + rule.bucket, true))
+    local state, last = {}, bucket
+    for _, entry in ipairs(entries) do
+        local ts, value = decode_value(entry)
+        iterate_bucket(state, rule.aggregations, ts, to_hash(value))
+        last = math.max(last, ts)
     end
-    return redis.call(cmd, unpack(fetch_params))
+    return state, last
 end
 
--- COMMANDS TABLE
-local Timeseries = {
-}
+-- Update the destinations of the rules of a series with newly added samples, given as a list of
+-- { timestamp, values, replaced } with values as a hash, and replaced set if the sample took the place of another
+local function apply_compaction(key, samples)
+    local rules = get_rules(key)
+    if (#rules == 0) then
+        return
+    end
+    local meta = meta_key(key)
+    for _, item in ipairs(rules) do
+        local dest, rule = item[1], item[2]
+        local size = rule.bucket
+        local raw_state = redis.call('hget', meta, RULE_STATE_PREFIX .. dest)
+        local current
+        if raw_state then
+            current = cmsgpack.unpack(raw_state)
+        end
+        local changed, late = false, {}
 
-Timeseries.__index = Timeseries;
+        for _, sample in ipairs(samples) do
+            local ts = sample[1]
+            local bucket = ts - (ts % size)
+            if (current == nil) or (bucket > current.bucket) then
+                if changed then
+                    store_bucket(dest, current.bucket, finalize_bucket(current.state, rule.aggregations, size))
+                    changed = false
+                end
+                current = { bucket = bucket, last = ts, state = {} }
+            end
+            -- a sample which replaced another cannot be applied incrementally
+            if (bucket == current.bucket) and (ts >= current.last) and not sample[3] then
+                iterate_bucket(current.state, rule.aggregations, ts, sample[2])
+                current.last = ts
+                changed = true
+            else
+                late[bucket] = true
+            end
+        end
 
-local function parse_timestamp(ts)
-    if (ts == '*') then
-        local val = redis.call('TIME')
-        return val[1]
+        for bucket, _ in pairs(late) do
+            local state, last = rebuild_bucket(key, rule, bucket)
+            if (bucket == current.bucket) then
+                current.state = state
+                current.last = last
+                changed = true
+            else
+                store_bucket(dest, bucket, finalize_bucket(state, rule.aggregations, size))
+            end
+        end
+
+        if changed then
+            store_bucket(dest, current.bucket, finalize_bucket(current.state, rule.aggregations, size))
+            redis.call('hset', meta, RULE_STATE_PREFIX .. dest, cmsgpack.pack(current))
+        end
     end
-    return tonumber(ts)
 end
 
--- Add timestamp-value pairs to the Timeseries
+-- Re-aggregate the buckets of the rules of a series after samples were removed, given as a list of raw entries
+-- holding at least the first and last of them. Buckets left without samples are removed from the destinations
+local function refresh_compaction(key, entries)
+    if (#entries == 0) then
+        return
+    end
+    local rules = get_rules(key)
+    if (#rules == 0) then
+        return
+    end
+    local first, last = math.huge, -math.huge
+    for _, entry in ipairs(entries) do
+        local ts = split(entry)
+        first = math.min(first, ts)
+        last = math.max(last, ts)
+    end
+    local meta = meta_key(key)
+    for _, item in ipairs(rules) do
+        local dest, rule = item[1], item[2]
+        local size = rule.bucket
+        local raw_state = redis.call('hget', meta, RULE_STATE_PREFIX .. dest)
+        local current
+        if raw_state then
+            current = cmsgpack.unpack(raw_state)
+        end
+        local buckets = redis.call('zrangebylex', dest, lex_min(first - (first % size)), lex_max(last))
+        for _, bucket_entry in ipairs(buckets) do
+            local bucket = split(bucket_entry)
+            local state, newest = rebuild_bucket(key, rule, bucket)
+            store_bucket(dest, bucket, finalize_bucket(state, rule.aggregations, size))
+            if current and (bucket == current.bucket) then
+                current.state = state
+                current.last = newest
+                redis.call('hset', meta, RULE_STATE_PREFIX .. dest, cmsgpack.pack(current))
+            end
+        end
+    end
+end
+
+-- Store *entries*, a list of { timestamp, hash }, resolving clashes with existing samples according to *policy*,
+-- then apply the compaction rules and retention policy of the series. With BLOCK, every sample is checked
+-- before any is stored, so that a blocked batch is not partially stored. Returns the number of samples stored,
+-- which excludes those ignored by KEEP_FIRST
+local function store_samples(key, entries, policy, method)
+    if (policy == 'BLOCK') then
+        local seen = {}
+        for _, entry in ipairs(entries) do
+            local ts, hash = entry[1], entry[2]
+            local id = tostring(tonumber(ts))
+            local existing = redis.call('zrangebylex', key, timestamp_bounds(ts))
+            if (seen[id] and not same_values(seen[id], hash)) or is_duplicate(existing, hash) then
+                raise_duplicate(key, ts, method)
+            end
+            seen[id] = hash
+        end
+    end
+
+    local count = 0
+    local samples = {}
+    for _, entry in ipairs(entries) do
+        local ts, hash = entry[1], entry[2]
+        local status = store_sample(key, ts, hash, true, policy, method)
+        if (status ~= 'ignored') then
+            count = count + 1
+        end
+        if (status == 'added') or (status == 'replaced') then
+            samples[#samples + 1] = { tonumber(ts), hash, status == 'replaced' }
+        end
+    end
+    apply_compaction(key, samples)
+    apply_retention(key)
+    return count
+end
+
+-- Add timestamp-value pairs to the Timeseries. A sample at an existing timestamp is handled according to
+-- the duplicate policy of the series, unless overridden by DUPLICATE_POLICY
+--
+--  add key timestamp [DUPLICATE_POLICY policy] name value [name value ...]
 function Timeseries.add(key, timestamp, ...)
+    local args = { ... }
+    local policy = take_duplicate_policy(key, 'add', args)
     timestamp = assert(parse_timestamp(timestamp), 'timestamp should be a number')
-    local values = get_key_val_varargs('add', ...)
-    local parse_value = parse_input
-    local len = #values
-
-    for i = 1, len, 2 do
-        values[i + 1] = parse_value(values[i + 1])
+    local values = parse_values('add', unpack(args))
+    local status = store_sample(key, timestamp, values, false, policy, 'add')
+    if (status == 'added') or (status == 'replaced') then
+        apply_compaction(key, { { tonumber(timestamp), to_hash(values), status == 'replaced' } })
+        apply_retention(key)
     end
-    store_value(key, timestamp, values, false)
     return timestamp
 end
 
-
+-- Add samples as timestamp-json pairs. Returns the number of samples stored, which excludes those
+-- ignored by the KEEP_FIRST policy
+--
+--  bulkAdd key [DUPLICATE_POLICY policy] timestamp json [timestamp json ...]
 function Timeseries.bulkAdd(key, ...)
-    local values = get_key_val_varargs('bulkAdd', ...)
+    local args = { ... }
+    local policy = take_duplicate_policy(key, 'bulkAdd', args)
+    local values = get_key_val_varargs('bulkAdd', unpack(args))
     local len = #values
-    local count = 0
 
+    local entries = {}
     for i = 1, len, 2 do
-        local ts = assert(parse_timestamp(values[i]), 'timestamp should be a number');
+        local ts = assert(parse_timestamp(values[i]), 'timestamp should be a number')
         -- should be a json encoded string
-        local val = cjson.decode(values[i + 1])
-        store_value(key, ts, val, true)
-        count = count + 1
+        entries[#entries + 1] = { ts, cjson.decode(values[i + 1]) }
     end
-
-    return count
+    return store_samples(key, entries, policy, 'bulkAdd')
 end
 
 function Timeseries.del(key, ...)
@@ -1133,8 +2678,7 @@ function Timeseries.del(key, ...)
     local count = 0
     for _, timestamp in ipairs(args) do
         timestamp = assert(parse_timestamp(timestamp), 'del: timestamp must be a number')
-        min = '[' .. tostring(timestamp) .. SEPARATOR
-        max = '(' .. tostring(timestamp + 1) .. SEPARATOR
+        min, max = timestamp_bounds(timestamp)
         entries = redis.call('zrangebylex', key, min, max)
         if entries and #entries then
             for _, raw_value in ipairs(entries) do
@@ -1148,13 +2692,264 @@ function Timeseries.del(key, ...)
         return 0
     end
 
-    return redis.call('zrem', key, unpack(values))
+    local removed = redis.call('zrem', key, unpack(values))
+    refresh_compaction(key, values)
+    return removed
+end
+
+-- The name and version of the script, so that clients can check they are talking to a compatible version
+function Timeseries.version()
+    return { _NAME, _VERSION }
 end
 
 function Timeseries.size(key)
     return redis.call('zcard', key)
 end
 
+-- Get the labels of the series as a list of name-value pairs
+function Timeseries.labels(key)
+    return get_labels(key)
+end
+
+-- Attach descriptive labels (e.g. region, unit) to the series. Existing labels with the same names are
+-- replaced. Returns the number of labels set
+--
+--  setLabels key name value [name value ...]
+function Timeseries.setLabels(key, ...)
+    local values = get_key_val_varargs('setLabels', ...)
+    assert(#values > 0, 'setLabels: at least one label must be specified')
+    local meta = meta_key(key)
+    local args = {}
+    for i = 1, #values, 2 do
+        local name, value = values[i], values[i + 1]
+        check_label_name(name, 'setLabels')
+        local current = redis.call('hget', meta, LABEL_PREFIX .. name)
+        if current and (current ~= value) then
+            redis.call('srem', index_key(name, current), key)
+        end
+        redis.call('sadd', index_key(name), key)
+        redis.call('sadd', index_key(name, value), key)
+        args[i] = LABEL_PREFIX .. name
+        args[i + 1] = value
+    end
+    redis.call('hmset', meta, unpack(args))
+    return #values / 2
+end
+
+-- Remove labels from the series. Returns the number of labels removed
+function Timeseries.delLabels(key, ...)
+    local names = { ... }
+    assert(#names > 0, 'delLabels: at least one label must be specified')
+    local meta = meta_key(key)
+    local fields = {}
+    for i, name in ipairs(names) do
+        fields[i] = LABEL_PREFIX .. name
+        local current = redis.call('hget', meta, fields[i])
+        if current then
+            redis.call('srem', index_key(name), key)
+            redis.call('srem', index_key(name, current), key)
+        end
+    end
+    return redis.call('hdel', meta, unpack(fields))
+end
+
+-- Describe the series: its first and last timestamps, number of samples, the names of the fields used
+-- by its samples, retention policy, labels and approximate memory usage in bytes. Collecting the field
+-- names decodes every sample, unless SAMPLES limits the number examined (from the oldest)
+--
+--  info key [SAMPLES count]
+function Timeseries.info(key, ...)
+    local args = { ... }
+    local samples = 0
+    if (#args > 0) then
+        assert(string.upper(args[1]) == 'SAMPLES', 'info: invalid option "' .. args[1] .. '". Expected SAMPLES')
+        samples = assert(tonumber(args[2]), 'info: SAMPLES must be a number')
+    end
+
+    local result = {}
+    local span = Timeseries.span(key)
+    if (#span > 0) then
+        result[#result + 1] = 'firstTimestamp'
+        result[#result + 1] = span[1]
+        result[#result + 1] = 'lastTimestamp'
+        result[#result + 1] = span[2]
+    end
+    result[#result + 1] = 'totalSamples'
+    result[#result + 1] = redis.call('zcard', key)
+
+    local entries
+    if (samples > 0) then
+        entries = redis.call('zrangebylex', key, '-', '+', 'limit', 0, samples)
+    else
+        entries = redis.call('zrangebylex', key, '-', '+')
+    end
+    local seen, fields = {}, {}
+    for _, entry in ipairs(entries) do
+        local _, value = decode_value(entry)
+        for i = 1, #value, 2 do
+            local name = value[i]
+            if not seen[name] then
+                seen[name] = true
+                fields[#fields + 1] = name
+            end
+        end
+    end
+    table.sort(fields)
+    result[#result + 1] = 'fields'
+    result[#result + 1] = fields
+
+    local max_age, max_count = get_retention(key)
+    result[#result + 1] = 'retention'
+    result[#result + 1] = { 'maxAge', max_age, 'maxCount', max_count }
+    result[#result + 1] = 'labels'
+    result[#result + 1] = get_labels(key)
+
+    -- MEMORY USAGE samples the members of large sets, so the figure is approximate
+    local memory = 0
+    for _, name in ipairs({ key, meta_key(key) }) do
+        local ok, usage = pcall(redis.call, 'memory', 'usage', name)
+        if ok and usage then
+            memory = memory + usage
+        end
+    end
+    result[#result + 1] = 'memoryUsage'
+    result[#result + 1] = memory
+
+    return result
+end
+
+-- Get or set the retention policy of the series. MAXAGE is relative to the newest timestamp in the
+-- series, and MAXCOUNT limits the number of samples. A value of 0 removes the limit. Samples outside
+-- the policy are removed when it is set, and on each subsequent add, bulkAdd, set and incrBy
+--
+--  retention key [MAXAGE age] [MAXCOUNT count]
+function Timeseries.retention(key, ...)
+    local args = { ... }
+    if (#args > 0) then
+        local meta = meta_key(key)
+        for i = 1, #args, 2 do
+            local name = string.upper(args[i])
+            local field = RETENTION_OPTIONS[name]
+            assert(field, 'retention: invalid option "' .. args[i] .. '". Expected MAXAGE or MAXCOUNT')
+            local value = tonumber(args[i + 1])
+            assert(value and (value >= 0), 'retention: ' .. name .. ' must be a number >= 0')
+            if (value == 0) then
+                redis.call('hdel', meta, field)
+            else
+                redis.call('hmset', meta, field, value)
+            end
+        end
+        apply_retention(key)
+    end
+    local max_age, max_count = get_retention(key)
+    return { 'maxAge', max_age, 'maxCount', max_count }
+end
+
+-- Get or set the duplicate policy of the series, which decides how add and bulkAdd handle a sample at a
+-- timestamp which already holds one:
+--  BLOCK         fail
+--  REPLACE       replace the existing sample (the default)
+--  KEEP_FIRST    ignore the new sample
+--  MERGE_FIELDS  keep the fields of the existing sample, overwritten by those of the new sample
+--  SUM, MIN, MAX as MERGE_FIELDS, combining the values of numeric fields present in both samples
+--
+--  duplicatePolicy key [policy]
+function Timeseries.duplicatePolicy(key, policy)
+    if (policy ~= nil) then
+        policy = check_duplicate_policy(policy, 'duplicatePolicy')
+        redis.call('hset', meta_key(key), 'duplicate_policy', policy)
+    end
+    return get_duplicate_policy(key)
+end
+
+-- Downsample the series into *dest* as samples are added with add or bulkAdd. Each rule aggregates fields
+-- into buckets of *timeBucket*, using the same aggregation types as range ... AGGREGATION.
+-- Samples already in the series are not aggregated
+--
+--  createRule key dest timeBucket aggregation(field) [aggregation(field) ...]
+function Timeseries.createRule(key, dest, timeBucket, ...)
+    assert(dest and (dest ~= ''), 'createRule: a destination key must be specified')
+    assert(dest ~= key, 'createRule: the destination must differ from the source')
+    local bucket = tonumber(timeBucket)
+    assert(bucket and (bucket > 0), 'createRule: timeBucket must be a number > 0')
+
+    local specs = { ... }
+    assert(#specs > 0, 'createRule: at least one aggregation must be specified')
+    local aggregations = {}
+    for i, spec in ipairs(specs) do
+        local rollup, field, unit = parse_aggregation_spec(spec)
+        assert(field, 'createRule: invalid aggregation "' .. spec .. '"')
+        assert(is_aggregation_type(rollup), 'createRule: invalid aggregation type "' .. rollup .. '"')
+        assert(field ~= WILDCARD, 'createRule: aggregations of * are not supported, fields must be named')
+        aggregations[i] = { field, rollup, unit }
+    end
+
+    local meta = meta_key(key)
+    local created = redis.call('hsetnx', meta, RULE_PREFIX .. dest, cjson.encode({ bucket = bucket, aggregations = aggregations }))
+    assert(created == 1, 'createRule: a rule for "' .. dest .. '" already exists')
+    return 1
+end
+
+-- Remove the rule writing to *dest*. Samples already aggregated into *dest* are kept
+function Timeseries.deleteRule(key, dest)
+    return redis.call('hdel', meta_key(key), RULE_PREFIX .. dest, RULE_STATE_PREFIX .. dest) > 0 and 1 or 0
+end
+
+-- The compaction rules of the series, as a list of [dest, timeBucket, [aggregation(field) ...]]
+function Timeseries.rules(key)
+    local result = {}
+    for i, item in ipairs(get_rules(key)) do
+        local specs = {}
+        for j, agg in ipairs(item[2].aggregations) do
+            if (agg[3] ~= nil) then
+                specs[j] = agg[2] .. '(' .. agg[1] .. ', ' .. possibly_convert_float(agg[3]) .. ')'
+            else
+                specs[j] = agg[2] .. '(' .. agg[1] .. ')'
+            end
+        end
+        result[i] = { item[1], possibly_convert_float(item[2].bucket), specs }
+    end
+    return result
+end
+
+-- Entries written by earlier versions start with a digit or '-' (or 'i'/'n' for inf and nan), so they sort
+-- either before or after every entry in the current encoding
+local LEGACY_RANGES = {
+    { '-', '(' .. string.char(DIGIT_BASE) },
+    { '[' .. string.char(DIGIT_BASE + 16), '+' }
+}
+local DEFAULT_MIGRATE_COUNT = 1000
+
+-- Rewrite at most *count* entries stored with the decimal timestamps of earlier versions in the current encoding.
+-- Returns the number of entries rewritten and the number left to rewrite
+--
+--  migrate key [COUNT count]
+function Timeseries.migrate(key, ...)
+    local args = { ... }
+    local count = DEFAULT_MIGRATE_COUNT
+    if (#args > 0) then
+        assert(string.upper(args[1]) == 'COUNT', 'migrate: invalid option "' .. args[1] .. '". Expected COUNT')
+        count = tonumber(args[2])
+        assert(count and (count > 0), 'migrate: COUNT must be a number > 0')
+    end
+
+    local migrated = 0
+    local remaining = 0
+    for _, range in ipairs(LEGACY_RANGES) do
+        if (migrated < count) then
+            local entries = redis.call('zrangebylex', key, range[1], range[2], 'LIMIT', 0, count - migrated)
+            for _, entry in ipairs(entries) do
+                local ts, block = split(entry)
+                redis.call('zrem', key, entry)
+                redis.call('zadd', key, 0, encode_timestamp(ts) .. SEPARATOR .. block)
+            end
+            migrated = migrated + #entries
+        end
+        remaining = remaining + redis.call('zlexcount', key, range[1], range[2])
+    end
+    return { migrated, remaining }
+end
+
 -- Count the number of elements between *min* and *max*
 function Timeseries.count(key, min, max, ...)
     local params = parse_range_params({ FILTER = 1 }, min, max, ...)
@@ -1205,10 +3000,10 @@ function Timeseries._get(remove, key, timestamp, ...)
         local result = entry.value
         if (remove) then
             redis.call("zrem", key, entry.raw_value)
+            refresh_compaction(key, { entry.raw_value })
         end
         if (params.format == nil) then
-            -- to_bulk_reply
-            return result
+            return to_bulk_reply(result)
         end
         return format_result(to_hash(result), params.format)
     end
@@ -1226,7 +3021,8 @@ end
 
 -- Set the values of a hash associated with *timestamp*
 function Timeseries.set(key, timestamp, ...)
-    local current = get_single_value(key, parse_timestamp(timestamp), 'set')
+    timestamp = parse_timestamp(timestamp)
+    local current = get_single_value(key, timestamp, 'set')
     local hash
     if (current == nil) then
         hash = {}
@@ -1250,6 +3046,8 @@ function Timeseries.set(key, timestamp, ...)
     end
 
     store_value(key, timestamp, hash, true)
+    apply_compaction(key, { { tonumber(timestamp), hash, current ~= nil } })
+    apply_retention(key)
 end
 
 -- The list of timestamp-value pairs between *min* and *max* with optional offset and count
@@ -1257,17 +3055,14 @@ function Timeseries.range(key, min, max, ...)
     return Timeseries._range('zrangebylex', key, min, max, ...)
 end
 
--- The descending list of timestamp-value pairs between *timestamp1* and *max* with optional offset and count
-function Timeseries.revrange(key, max, min, ...)
-    return Timeseries._range('zrevrangebylex', key, min, max, ...)
-end
-
 local function remove_values(key, values, filter)
 
     if values and #values > 0 then
 
         if (filter == nil) then
-            return redis.call('zrem', key, unpack(values))
+            local removed = redis.call('zrem', key, unpack(values))
+            refresh_compaction(key, values)
+            return removed
         end
 
         local to_delete = {}
@@ -1287,7 +3082,9 @@ local function remove_values(key, values, filter)
         if count == 0 then
             return 0
         end
-        return redis.call('zrem', key, unpack(to_delete))
+        local removed = redis.call('zrem', key, unpack(to_delete))
+        refresh_compaction(key, to_delete)
+        return removed
     end
     return 0
 end
@@ -1296,7 +3093,13 @@ end
 function Timeseries.remrange(key, min, max, ...)
     local params = parse_range_params({ FILTER = 1, LIMIT = 1 }, min, max, ...)
     if (params.filter == nil) and (params.limit == nil) then
-        return redis.call('zremrangebylex', key, params.min, params.max)
+        local bounds = {
+            redis.call('zrangebylex', key, params.min, params.max, 'LIMIT', 0, 1)[1],
+            redis.call('zrevrangebylex', key, params.max, params.min, 'LIMIT', 0, 1)[1]
+        }
+        local removed = redis.call('zremrangebylex', key, params.min, params.max)
+        refresh_compaction(key, bounds)
+        return removed
     end
     local data = base_range('zrangebylex', key, params)
     return remove_values(key, data, params.filter)
@@ -1333,6 +3136,8 @@ function Timeseries.incrBy(key, timestamp, ...)
     end
 
     store_value(key, timestamp, hash, true)
+    apply_compaction(key, { { tonumber(timestamp), hash, current ~= nil } })
+    apply_retention(key)
 
     return to_bulk_reply(result)
 end
@@ -1341,44 +3146,53 @@ function Timeseries._range(remove, cmd, key, min, max, ...)
 
     local function handle_aggregation(range, agg_params, format)
         local aggregate = aggregate
-        local by_key = {}
         local k
-        for _, v in ipairs(range) do
-            local ts = v[1]
-            local hash = v[2] or {}
-            for i = 1, #hash, 2 do
-                k = hash[i]
-                by_key[k] = by_key[k] or {}
-                table.insert(by_key[k], { ts, hash[i + 1] })
-            end
-        end
         local result = {}
         local bucket_list = {}
         local bucket_hash = {}
-
-        for _, field_info in ipairs(agg_params.fields) do
-            local key = field_info[1]
-            local agg_type = field_info[2]
-            local values = by_key[key]
-
-            if (values and #values > 0) then
-                local buckets = aggregate(values, agg_type, agg_params.timeBucket)
+        -- buckets are aligned and filled over the whole range, so that groups share them
+        local timeBucket = get_time_bucket(agg_params, range)
+        local first, last
+        if (agg_params.fill ~= nil) then
+            first, last = fill_span(range, agg_params, timeBucket)
+        end
+
+        -- aggregate the samples of *group* into the values of each bucket, nested by the values of the GROUPBY fields
+        local function aggregate_group(group, group_values)
+            local by_key = range_by_field(group)
+            for _, field_info in ipairs(expand_wildcards(agg_params.fields, by_key, group, agg_params.redacted)) do
+                local key = field_info[1]
+                local agg_type = field_info[2]
+                local values = by_key[key]
+
+                local buckets = {}
+                if (values and #values > 0) then
+                    buckets = aggregate(values, agg_type, timeBucket, field_info[3])
+                end
+                if (first ~= nil) then
+                    buckets = fill_buckets(buckets, agg_params.fill, first, last, timeBucket)
+                end
                 for k, value in pairs(buckets) do
                     result[k] = result[k] or {}
-                    result[k][key] = result[k][key] or {}
+                    local slot = result[k]
+                    for _, name in ipairs(group_values) do
+                        slot[name] = slot[name] or {}
+                        slot = slot[name]
+                    end
+                    slot[key] = slot[key] or {}
 
-                    local temp = result[k][key]
+                    local temp = slot[key]
                     if (format == 'json') or (format == 'msgpack') then
-                        if (agg_type == 'distinct') then
+                        if (agg_type == 'distinct') and (value ~= cjson.null) then
                             local data = {}
                             for m = 1, #value, 2 do
                                 data[#data + 1] = value[m]
                             end
                             value = data
-                        elseif (agg_type == 'stats') then
+                        elseif (agg_type == 'stats') and (value ~= cjson.null) then
                             value = to_hash(value)
                         end
-                        temp[agg_type] = value
+                        temp[agg_type] = restore_floats(agg_type, value)
                     else
                         temp[#temp + 1] = agg_type
                         temp[#temp + 1] = value
@@ -1391,6 +3205,14 @@ function Timeseries._range(remove, cmd, key, min, max, ...)
             end
         end
 
+        if (agg_params.groupby ~= nil) then
+            for _, group in ipairs(group_range(range, agg_params.groupby)) do
+                aggregate_group(group[2], group[1])
+            end
+        else
+            aggregate_group(range, {})
+        end
+
         -- use bucket_list to transform hash into properly ordered indexed array
         table.sort(bucket_list, function(a, b) return a[1] < b[1] end)
 
@@ -1419,13 +3241,10 @@ function Timeseries._range(remove, cmd, key, min, max, ...)
         if params.aggregate ~= nil then
             range = handle_aggregation(range, params.aggregate, format)
         else
-            if (format == 'json') or (format == 'msgpack') then
-                local final = {}
-                for i, value in ipairs(range) do
-                    final[i] = {value[1], to_hash(value[2])}
-                end
-                range = format_result(final, format)
+            if (params.transforms ~= nil) then
+                apply_transforms(range, params.transforms, cmd == 'zrevrangebylex')
             end
+            range = format_range(range, format)
         end
 
         if remove then
@@ -1451,6 +3270,88 @@ function Timeseries.poprange(key, min, max, ...)
 end
 
 
+-- Parse a label matcher: name=value, name!=value, name= (the label is absent) or name!= (the label is present)
+local function parse_label_matcher(expr)
+    local name, op, value = string.match(expr, '^([^=!]+)(!?=)(.*)$')
+    assert(name, 'MATCH: invalid label matcher "' .. expr .. '"')
+    return { name = name, negate = (op == '!='), value = value }
+end
+
+-- The sorted keys of the series whose labels satisfy all of the matchers
+local function select_series(matchers)
+    local include, exclude = {}, {}
+    for _, matcher in ipairs(matchers) do
+        local set
+        if (matcher.value == '') then
+            set = index_key(matcher.name)
+        else
+            set = index_key(matcher.name, matcher.value)
+        end
+        -- name=value and name!= select series, name!=value and name= exclude them
+        if (matcher.negate == (matcher.value == '')) then
+            include[#include + 1] = set
+        else
+            exclude[#exclude + 1] = set
+        end
+    end
+    assert(#include > 0, 'MATCH: at least one matcher of the form name=value or name!= is required')
+
+    local keys = redis.call('sinter', unpack(include))
+    local result = {}
+    for _, key in ipairs(keys) do
+        local excluded = false
+        for _, set in ipairs(exclude) do
+            if (redis.call('sismember', set, key) == 1) then
+                excluded = true
+                break
+            end
+        end
+        if not excluded then
+            result[#result + 1] = key
+        end
+    end
+    table.sort(result)
+    return result
+end
+
+-- Run a range query on each series selected by the label matchers following MATCH. The remaining
+-- arguments are passed to *range*. Returns a list of { key, labels, range }
+function Timeseries._mrange(cmd, min, max, ...)
+    local args = { ... }
+    local matchers, range_args = {}, {}
+    local i = 1
+    while i <= #args do
+        if (string.upper(args[i]) == 'MATCH') then
+            assert(#matchers == 0, 'MATCH already specified')
+            i = i + 1
+            while (i <= #args) and not ALL_OPTIONS[string.upper(args[i])] do
+                matchers[#matchers + 1] = parse_label_matcher(args[i])
+                i = i + 1
+            end
+        else
+            range_args[#range_args + 1] = args[i]
+            i = i + 1
+        end
+    end
+    assert(#matchers > 0, 'mrange: MATCH must be specified with at least one label matcher')
+
+    local result = {}
+    for j, key in ipairs(select_series(matchers)) do
+        local range = Timeseries._range(false, cmd, key, min, max, unpack(range_args))
+        result[j] = { key, get_labels(key), range }
+    end
+    return result
+end
+
+--  mrange min max MATCH matcher [matcher ...] [range options]
+function Timeseries.mrange(_, min, max, ...)
+    return Timeseries._mrange('zrangebylex', min, max, ...)
+end
+
+function Timeseries.mrevrange(_, min, max, ...)
+    return Timeseries._mrange('zrevrangebylex', min, max, ...)
+end
+
 -- list of timestamps between *min* and *max*
 function Timeseries.times(key, min, max)
     min = min or '-'
@@ -1463,6 +3364,30 @@ function Timeseries.times(key, min, max)
     return result
 end
 
+-- Fetch a page of at most *count* entries between *min* and *max*, for iterating over large ranges.
+-- Returns { cursor, range }, where cursor is the timestamp of the last entry examined (before filtering)
+-- or an empty string if the range is exhausted.
+function Timeseries.scan(key, min, max, count, ...)
+    count = assert(tonumber(count), 'scan: count must be a number')
+    assert(count > 0, 'scan: count must be positive')
+
+    local params = parse_range_params({ FILTER = 1, LABELS = 1, REDACT = 1, FORMAT = 1 }, min, max, ...)
+    params.limit = { offset = 0, count = count }
+
+    local data = base_range('zrangebylex', key, params)
+    local cursor = ''
+    if #data == count then
+        local ts = split(data[#data])
+        cursor = string.format('%.17g', ts)
+    end
+
+    local range = {}
+    if #data > 0 then
+        range = format_range(process_range(data, params), params.format)
+    end
+    return { cursor, range }
+end
+
 local function storeHash(dest, range)
     local args = {}
     for _, val in ipairs(range) do
@@ -1478,15 +3403,17 @@ local function storeHash(dest, range)
     redis.call('hmset', dest, unpack(args))
 end
 
-local function storeTimeseries(dest, range)
-    for _, val in ipairs(range) do
-        local ts = val[1]
+-- store the samples of *range* in *dest* as add would, according to the duplicate policy of *dest*
+local function storeTimeseries(dest, range, method)
+    local entries = {}
+    for i, val in ipairs(range) do
         local data = val[2]
         if type(data) ~= 'table' then
             data = {'value', data}
         end
-        Timeseries.add(dest, ts, unpack(data))
+        entries[i] = { val[1], to_hash(parse_values(method, unpack(data))) }
     end
+    return store_samples(dest, entries, get_duplicate_policy(dest), method)
 end
 
 --- copy data from a timeseries and store it in another key
@@ -1494,50 +3421,65 @@ function Timeseries.copy(key, dest, min, max, ...)
 
     local function handle_aggregation(range, agg_params, storage)
         local aggregate = aggregate
-        local by_key = {}
-        for _, v in ipairs(range) do
-            local ts = v[1]
-            local hash = v[2] or {}
-            for i = 1, #hash, 2 do
-                local k = hash[i]
-                by_key[k] = by_key[k] or {}
-                table.insert(by_key[k], { ts, hash[i + 1] })
-            end
-        end
         local result = {}
         local bucket_hash = {}
         local bucket_list = {}
         local sep = '_'
-
-        for _, field_info in ipairs(agg_params.fields) do
-            local key = field_info[1]
-            local agg_type = field_info[2]
-            local values = by_key[ key ]
-
-            if (values and #values > 0) then
-                local buckets = aggregate(values, agg_type, agg_params.timeBucket)
+        local timeBucket = get_time_bucket(agg_params, range)
+        local first, last
+        if (agg_params.fill ~= nil) then
+            first, last = fill_span(range, agg_params, timeBucket)
+        end
+
+        -- with GROUPBY, fields are prefixed by the values of the group, e.g. eu_latency_avg
+        local function aggregate_group(group, prefix)
+            local by_key = range_by_field(group)
+            for _, field_info in ipairs(expand_wildcards(agg_params.fields, by_key, group, agg_params.redacted)) do
+                local key = field_info[1]
+                local agg_type = field_info[2]
+                local values = by_key[ key ]
+
+                local buckets = {}
+                if (values and #values > 0) then
+                    buckets = aggregate(values, agg_type, timeBucket, field_info[3])
+                end
+                if (first ~= nil) then
+                    buckets = fill_buckets(buckets, agg_params.fill, first, last, timeBucket)
+                end
                 for k, value in pairs(buckets) do
-                    result[k] = result[k] or {}
-
-                    local slot_key = key .. sep .. agg_type
-                    local temp = result[k]
-                    if (type(value) == 'table') then
-                        for j = 1, #value, 2 do
-                            temp[#temp + 1] = slot_key .. sep .. value[j]
-                            temp[#temp + 1] = value[j + 1]
+                    -- null values are not stored
+                    if (value ~= cjson.null) then
+                        result[k] = result[k] or {}
+
+                        -- count(*) is stored as count
+                        local slot_key = prefix .. ((key == WILDCARD) and agg_type or (key .. sep .. agg_type))
+                        local temp = result[k]
+                        if (type(value) == 'table') then
+                            for j = 1, #value, 2 do
+                                temp[#temp + 1] = slot_key .. sep .. value[j]
+                                temp[#temp + 1] = value[j + 1]
+                            end
+                        else
+                            temp[#temp + 1] = slot_key
+                            temp[#temp + 1] = value
+                        end
+                        if (bucket_hash[k] == nil) then
+                            bucket_hash[k] = 1
+                            bucket_list[#bucket_list + 1] = { tonumber(k), k }
                         end
-                    else
-                        temp[#temp + 1] = slot_key
-                        temp[#temp + 1] = value
-                    end
-                    if (bucket_hash[k] == nil) then
-                        bucket_hash[k] = 1
-                        bucket_list[#bucket_list + 1] = { tonumber(k), k }
                     end
                 end
             end
         end
 
+        if (agg_params.groupby ~= nil) then
+            for _, group in ipairs(group_range(range, agg_params.groupby)) do
+                aggregate_group(group[2], table.concat(group[1], sep) .. sep)
+            end
+        else
+            aggregate_group(range, '')
+        end
+
         -- use bucket_list to transform hash into properly ordered indexed array
         table.sort(bucket_list, function(a, b) return a[1] < b[1] end)
         local final = {}
@@ -1557,9 +3499,12 @@ function Timeseries.copy(key, dest, min, max, ...)
 
     -- Fast path if no filtering or transformation
     if (params.filter == nil and params.aggregate == nil and storage == 'timeseries') and (params.labels == nil) and (params.redacted == nil) then
-        for _, val in ipairs(data) do
-            redis.call('zadd', dest, 0, val)
+        local entries = {}
+        for i, val in ipairs(data) do
+            local ts, value = decode_value(val)
+            entries[i] = { ts, to_hash(value) }
         end
+        store_samples(dest, entries, get_duplicate_policy(dest), 'copy')
         return #data
     end
 
@@ -1577,7 +3522,7 @@ function Timeseries.copy(key, dest, min, max, ...)
 
     if (#range) then
         if storage == 'timeseries' then
-            storeTimeseries(dest, range)
+            storeTimeseries(dest, range, 'copy')
         else
             storeHash(dest, range)
         end
@@ -1638,7 +3583,7 @@ function Timeseries.merge(firstKey, secondKey, dest, min, max, ...)
         storage = storage or 'timeseries'
         if (#range) then
             if storage == 'timeseries' then
-                storeTimeseries(dest, range)
+                storeTimeseries(dest, range, 'merge')
             else
                 storeHash(dest, range)
             end
@@ -1667,7 +3612,10 @@ function Timeseries.merge(firstKey, secondKey, dest, min, max, ...)
 
     return storeResult(merged, storage)
 end
----------
+
+--------- COMMAND DISPATCH ---------
+-- Everything below handles EVAL/EVALSHA calls. It is replaced by function registration
+-- when the script is packaged as a redis 7 function library (see lib/library.js)
 local UpperMap
 
 local command_name = assert(table.remove(ARGV, 1), 'Timeseries: must provide a command')
@@ -1688,9 +3636,9 @@ if (command == nil) then
     error('Timeseries: unknown command ' .. command_name)
 end
 
--- ts_debug('running ' .. command_name .. '(' .. KEYS[1] .. ',' .. table.tostring(ARGV) .. ')')
+-- ts_debug('running ' .. command_name .. '(' .. KEYS[1] .. ',' .. table_tostring(ARGV) .. ')')
 
-if (command_name == 'copy') or (command_name == 'COPY') then
+if (command_name == 'copy') or (command_name == 'COPY') or (command_name == 'createRule') or (command_name == 'CREATERULE') then
     return command(KEYS[1], KEYS[2], unpack(ARGV))
 elseif (command_name == 'merge') or (command_name == 'MERGE') then
     return command(KEYS[1], KEYS[2], KEYS[3], unpack(ARGV))